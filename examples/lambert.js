@@ -24,6 +24,7 @@ async function main()
     const engine = new IVE.Engine();
     engine.setSizeToWindow();
     engine.setClearColor(IVE.Color.fromHex('87ceeb')); // sky blue
+    engine.setSampleCount(4); // anti-aliasing
     await engine.initialize();
 
     // Add canvas to page
@@ -151,10 +152,32 @@ async function main()
         IVE.Color.WHITE,
         0.3
     );
+
+    // Create a point light between the boxes
+    const pointLight = new IVE.PointLight(
+        new IVE.Vector3(0, 1.5, 0),
+        IVE.Color.YELLOW,
+        0.8,
+        4,
+        2
+    );
+
+    // Create a spot light shining down on the ground in front of the boxes
+    const spotLight = new IVE.SpotLight(
+        new IVE.Vector3(0, 3, 3),
+        new IVE.Vector3(0, -1, 0),
+        IVE.Color.BLUE,
+        1,
+        IVE.Angle.fromDegrees(15),
+        IVE.Angle.fromDegrees(25),
+        6
+    );
     
     // Add the lights to the scene
     scene.addDirectionalLight('sun', directionalLight);
     scene.addAmbientLight(ambientLight);
+    scene.addPointLight('lamp', pointLight);
+    scene.addSpotLight('spot', spotLight);
 
     // Create a perspective camera
     const camera = new IVE.PerspectiveCamera(45, 0.1, 100);
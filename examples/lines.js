@@ -0,0 +1,112 @@
+import * as IVE from '/src/illuvision.js';
+
+/**
+ * Creates a geometry without faces from a list of vertices and colors,
+ * using the given topology.
+ */
+function createGeometry(vertices, colors, topology)
+{
+    const geometry = new IVE.Geometry();
+
+    for (let i = 0; i < vertices.length; i++) {
+        geometry.addVertex(vertices[i]);
+        geometry.addVertexColor(colors[i]);
+    }
+
+    geometry.setTopology(topology);
+    return geometry;
+}
+
+/**
+ * Render coordinate axes as lines, a spiral as a line strip and a point
+ * cloud. All of them use a basic material with vertex colors.
+ */
+async function main()
+{
+    // Init engine
+    const engine = new IVE.Engine();
+    engine.setSizeToWindow();
+    await engine.initialize();
+
+    // Add canvas to page
+    document.body.appendChild(engine.getCanvas());
+
+    // Every geometry uses the vertex colors
+    const material = new IVE.BasicMaterial({
+        colorMode: IVE.Material.VERTEX_COLOR
+    });
+
+    // Create the coordinate axes, each line is made of two vertices
+    const axes = createGeometry([
+        new IVE.Vector3(0, 0, 0), new IVE.Vector3(3, 0, 0),
+        new IVE.Vector3(0, 0, 0), new IVE.Vector3(0, 3, 0),
+        new IVE.Vector3(0, 0, 0), new IVE.Vector3(0, 0, 3)
+    ], [
+        IVE.Color.RED, IVE.Color.RED,
+        IVE.Color.LIME, IVE.Color.LIME,
+        IVE.Color.BLUE, IVE.Color.BLUE
+    ], IVE.Geometry.LINES);
+
+    // Create a spiral, every vertex is connected to the next one
+    const spiralVertices = [];
+    const spiralColors = [];
+
+    for (let i = 0; i <= 100; i++) {
+        const angle = i / 100 * Math.PI * 6;
+        spiralVertices.push(new IVE.Vector3(
+            Math.cos(angle) * 2, i / 50, Math.sin(angle) * 2
+        ));
+        spiralColors.push(IVE.Color.lerp(
+            IVE.Color.YELLOW, IVE.Color.RED, i / 100
+        ));
+    }
+
+    const spiral = createGeometry(
+        spiralVertices, spiralColors, IVE.Geometry.LINE_STRIP
+    );
+
+    // Create a point cloud with random positions
+    const cloudVertices = [];
+    const cloudColors = [];
+
+    for (let i = 0; i < 500; i++) {
+        cloudVertices.push(new IVE.Vector3(
+            Math.random() * 6 - 3,
+            Math.random() * 6 - 3,
+            Math.random() * 6 - 3
+        ));
+        cloudColors.push(IVE.Color.WHITE);
+    }
+
+    const cloud = createGeometry(
+        cloudVertices, cloudColors, IVE.Geometry.POINTS
+    );
+
+    // Create a new Scene and add the nodes to it
+    const scene = new IVE.Scene();
+    scene.addNode(new IVE.SceneNode(new IVE.Mesh(axes, material)));
+    scene.addNode(new IVE.SceneNode(new IVE.Mesh(spiral, material)));
+    scene.addNode(new IVE.SceneNode(new IVE.Mesh(cloud, material)));
+
+    // Create a perspective camera
+    const camera = new IVE.PerspectiveCamera(45, 0.1, 100);
+    camera.setAspectRatio(engine.getAspectRatio());
+    camera.setTarget(new IVE.Vector3(0, 1, 0));
+    camera.setPosition(new IVE.Vector3(8, 6, 8));
+
+    // Create the function for the animation loop 
+    const animation = function () {
+        engine.render(scene, camera);
+    }
+
+    // Set the animation loop
+    engine.setAnimationLoop(animation);
+
+    // Add resize events
+    window.addEventListener('resize', function () {
+        engine.setSizeToWindow();
+        camera.setAspectRatio(engine.getAspectRatio());
+    });
+}
+
+main();
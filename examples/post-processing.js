@@ -0,0 +1,106 @@
+import * as IVE from '/src/illuvision.js';
+
+/**
+ * Render a spinning cube and apply a chain of full-screen effects to it.
+ * Press 1 to toggle the grayscale effect, 2 to toggle the vignette and
+ * 3 to swap the order of both effects.
+ */
+async function main()
+{
+    // Init engine
+    const engine = new IVE.Engine();
+    engine.setSizeToWindow();
+    engine.setClearColor(IVE.Color.fromHex('87ceeb')); // sky blue
+    await engine.initialize();
+
+    // Add canvas to page
+    document.body.appendChild(engine.getCanvas());
+
+    // Create a box that uses the vertex colors
+    const boxGeometry = new IVE.Box(1, 1, 1);
+    boxGeometry.setFaceColors(
+        IVE.Color.BLUE,
+        IVE.Color.LIME,
+        IVE.Color.YELLOW,
+        IVE.Color.RED,
+        IVE.Color.WHITE,
+        IVE.Color.BLACK
+    );
+
+    const boxMaterial = new IVE.BasicMaterial({
+        colorMode: IVE.Material.VERTEX_COLOR
+    });
+    boxMaterial.setCullMode(IVE.Material.CULL_BACK);
+
+    const box = new IVE.SceneNode(new IVE.Mesh(boxGeometry, boxMaterial));
+
+    // Create a new Scene and add the box to it
+    const scene = new IVE.Scene();
+    scene.addNode(box);
+
+    // Create a perspective camera
+    const camera = new IVE.PerspectiveCamera(45, 0.1, 100);
+    camera.setAspectRatio(engine.getAspectRatio());
+    camera.setTarget(new IVE.Vector3(0, 0, 0));
+    camera.setPosition(new IVE.Vector3(3, 3, 3));
+
+    // Create an effect that removes the colors of the image
+    const grayscale = new IVE.EffectPass('grayscale', /*wgsl*/ `
+        @fragment
+        fn fragment_main(data: EffectOut) -> @location(0) vec4<f32> {
+            let color = textureSample(input_texture, input_sampler, data.uv);
+            let gray = dot(color.rgb, vec3<f32>(0.299, 0.587, 0.114));
+            return vec4<f32>(vec3<f32>(gray), color.a);
+        }
+    `);
+
+    // Create an effect that darkens the corners of the image
+    const vignette = new IVE.EffectPass('vignette', /*wgsl*/ `
+        @fragment
+        fn fragment_main(data: EffectOut) -> @location(0) vec4<f32> {
+            let color = textureSample(input_texture, input_sampler, data.uv);
+            let distance = length(data.uv - vec2<f32>(0.5));
+            let factor = smoothstep(0.8, effect.radius, distance);
+            return vec4<f32>(color.rgb * factor, color.a);
+        }
+    `);
+    vignette.setUniform('radius', 0.3, 'f32');
+
+    // Create the composer applying the effects
+    const composer = new IVE.EffectComposer(engine);
+    composer.addPass(grayscale);
+    composer.addPass(vignette);
+
+    // Toggle and reorder the effects with the keyboard
+    window.addEventListener('keydown', function (event) {
+        if (event.key === '1') {
+            grayscale.setEnabled(!grayscale.isEnabled());
+        } else if (event.key === '2') {
+            vignette.setEnabled(!vignette.isEnabled());
+        } else if (event.key === '3') {
+            const index = composer.getPasses().indexOf(vignette);
+            composer.movePass(vignette, index === 0 ? 1 : 0);
+        }
+    });
+
+    // Create the function for the animation loop 
+    const animation = function ()
+    {
+        // Rotate the cube
+        box.rotateX = box.rotateX + 0.5;
+        box.rotateY = box.rotateY + 0.5;
+
+        composer.render(scene, camera);
+    }
+
+    // Set the animation loop
+    engine.setAnimationLoop(animation);
+
+    // Add resize events
+    window.addEventListener('resize', function () {
+        engine.setSizeToWindow();
+        camera.setAspectRatio(engine.getAspectRatio());
+    });
+}
+
+main();
@@ -20,9 +20,11 @@ function terrain(x, y)
 async function main()
 {
     // Init engine
+    const skyColor = IVE.Color.fromHex('87ceeb'); // sky blue
     const engine = new IVE.Engine();
     engine.setSizeToWindow();
-    engine.setClearColor(IVE.Color.fromHex('87ceeb')); // sky blue
+    engine.setClearColor(skyColor);
+    engine.setSampleCount(4); // anti-aliasing
     await engine.initialize();
 
     // Add canvas to page
@@ -69,6 +71,8 @@ async function main()
     });
     groundMaterial.setTextureAttachment(textureAttachment);
     groundMaterial.setUseTexture(true);
+    groundMaterial.setWireframeOverlay(true);
+    groundMaterial.setWireframeColor(IVE.Color.BLACK);
 
     // Create a mesh from the geometry and material
     const ground = new IVE.Mesh(groundGeometry, groundMaterial);
@@ -81,7 +85,8 @@ async function main()
 
     // Create a water material
     const waterMaterial = new IVE.BasicMaterial({
-        color: new IVE.Color(0.5, 0.5, 1, 0.35)
+        color: new IVE.Color(0.5, 0.5, 1, 0.35),
+        transparent: true
     });
 
     // Create a water mesh from the geometry and the material
@@ -102,6 +107,14 @@ async function main()
         0.7
     );
 
+    // Let the hills cast shadows on the terrain
+    directionalLight.castShadow = true;
+    directionalLight.shadowMapSize = 2048;
+    directionalLight.shadowDistance = 150;
+
+    // The transparent water does not cast shadows
+    sceneNode2.setCastShadow(false);
+
     // Create ambient light
     const ambientLight = new IVE.AmbientLight(
         IVE.Color.WHITE,
@@ -115,6 +128,12 @@ async function main()
     scene.addDirectionalLight('sun', directionalLight);
     scene.addAmbientLight(ambientLight);
 
+    // Fade the far terrain into the sky instead of cutting it off
+    scene.setFog(new IVE.Fog(IVE.Fog.LINEAR, skyColor, {
+        start: 100,
+        end: 240
+    }));
+
     // Create a perspective camera
     const camera = new IVE.PerspectiveCamera(45, 0.1, 1000);
     camera.setAspectRatio(engine.getAspectRatio());
@@ -132,28 +151,35 @@ async function main()
     const timer = new IVE.Timer();
 
     // Create performance monitor
-    const perfMonitor = new IVE.Utils.PerformanceMonitor(timer);
+    const perfMonitor = new IVE.Utils.PerformanceMonitor(timer, engine);
     document.body.appendChild(perfMonitor.getContainer());
 
     // Create the function for the animation loop 
-    const animation = function ()
+    const animation = async function ()
     {
         // Update timer
         timer.update();
 
         // Move camera according to keyboard and mouse input.
         camController.update(timer);
-        
-        // Update performance monitor
-        perfMonitor.update();
 
         // Render scene
-        engine.render(scene, camera);
+        await engine.render(scene, camera);
+
+        // Update performance monitor with the statistics of this frame
+        perfMonitor.update();
     }
 
     // Set the animation loop
     engine.setAnimationLoop(animation);
 
+    // Toggle a wireframe on top of the ground with the F key
+    window.addEventListener('keydown', function (event) {
+        if (event.code === 'KeyF') {
+            groundMaterial.setWireframe(!groundMaterial.isWireframe());
+        }
+    });
+
     // Add resize events
     window.addEventListener('resize', function () {
         engine.setSizeToWindow();
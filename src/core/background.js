@@ -0,0 +1,382 @@
+
+import { BackgroundShader } from './material/shaders/background-shader.js';
+import { Color } from './color.js';
+import { CubeTexture } from './texture/cube-texture.js';
+import { Engine } from '../engine.js';
+import { Sampler } from './texture/sampler.js';
+import { UniformBuffer } from './buffer/uniform-buffer.js';
+
+/**
+ * Describes what is visible behind the nodes of a scene. Solid backgrounds
+ * replace the clear color of the engine, vertical gradients run from the
+ * bottom color to the top color of the screen and skyboxes show a cube
+ * texture around the camera that stays in place when the camera moves.
+ */
+class Background
+{
+    #mode = null;
+    #color = null;
+    #topColor = null;
+    #bottomColor = null;
+    #cubeTexture = null;
+    #sampler = null;
+
+    #uniformBuffer = null;
+    #shader = null;
+    #bindGroupLayout = null;
+    #bindGroup = null;
+    #compiled = false;
+    #needsUpdate = false;
+
+    constructor(mode = Background.COLOR, settings = {})
+    {
+        if (!Background.MODES.includes(mode)) {
+            throw new Error(`Invalid background mode: ${mode}.`);
+        }
+
+        this.#mode = mode;
+        this.#uniformBuffer = new UniformBuffer();
+
+        this.color = settings.color ?? Color.BLACK;
+        this.topColor = settings.topColor ?? Color.WHITE;
+        this.bottomColor = settings.bottomColor ?? Color.BLACK;
+
+        if (mode === Background.SKYBOX) {
+            CubeTexture.validateInstance(settings.cubeTexture);
+            this.#cubeTexture = settings.cubeTexture;
+
+            const sampler = settings.sampler ?? new Sampler({
+                magFilter: Sampler.LINEAR,
+                minFilter: Sampler.LINEAR
+            });
+
+            Sampler.validateInstance(sampler);
+            this.#sampler = sampler;
+        }
+    }
+
+    /**
+     * Gets the kind of background, which cannot change.
+     */
+    get mode() {
+        return this.#mode;
+    }
+
+    /**
+     * Gets the color of solid backgrounds.
+     */
+    get color() {
+        return this.#color;
+    }
+
+    /**
+     * Sets the color of solid backgrounds.
+     */
+    set color(color)
+    {
+        Background.#validateColor(color, 'Background color');
+
+        this.#color = color;
+    }
+
+    /**
+     * Gets the color at the top of gradients.
+     */
+    get topColor() {
+        return this.#topColor;
+    }
+
+    /**
+     * Sets the color at the top of gradients.
+     */
+    set topColor(color)
+    {
+        Background.#validateColor(color, 'Top color');
+
+        this.#topColor = color;
+        this.#setUniform('top_color', color);
+    }
+
+    /**
+     * Gets the color at the bottom of gradients.
+     */
+    get bottomColor() {
+        return this.#bottomColor;
+    }
+
+    /**
+     * Sets the color at the bottom of gradients.
+     */
+    set bottomColor(color)
+    {
+        Background.#validateColor(color, 'Bottom color');
+
+        this.#bottomColor = color;
+        this.#setUniform('bottom_color', color);
+    }
+
+    /**
+     * Gets the cube texture of skyboxes, or null for other backgrounds.
+     */
+    get cubeTexture() {
+        return this.#cubeTexture;
+    }
+
+    /**
+     * Gets the sampler of the cube texture, or null for other backgrounds.
+     */
+    get sampler() {
+        return this.#sampler;
+    }
+
+    /**
+     * Returns whether the background is drawn with its own pipeline instead
+     * of clearing the render pass with its color.
+     */
+    isDrawn() {
+        return this.#mode !== Background.COLOR;
+    }
+
+    /**
+     * Gets the number of vertices drawn for the background.
+     */
+    getVertexCount() {
+        return BackgroundShader.getVertexCount(this.#mode);
+    }
+
+    /**
+     * Gets the shader drawing the background.
+     */
+    getShader()
+    {
+        if (!this.#compiled) {
+            throw new Error('Background must be compiled before use.');
+        }
+
+        return this.#shader;
+    }
+
+    /**
+     * Gets the bind group layout of the background.
+     */
+    getBindGroupLayout()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Background must be compiled before accessing bind group '
+                + 'layout.'
+            );
+        }
+
+        return this.#bindGroupLayout;
+    }
+
+    /**
+     * Gets the bind group of the background.
+     */
+    getBindGroup()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Background must be compiled before accessing bind group.'
+            );
+        }
+
+        return this.#bindGroup;
+    }
+
+    /**
+     * Returns if the background is compiled.
+     */
+    isCompiled() {
+        return this.#compiled;
+    }
+
+    /**
+     * Compiles the uniform buffer, shader and cube texture of drawn
+     * backgrounds. Solid backgrounds have nothing to compile.
+     */
+    async compile(device)
+    {
+        if (this.#compiled) {
+            return;
+        }
+
+        Engine.validateDevice(device);
+
+        if (this.isDrawn()) {
+            this.#uniformBuffer.compile(device);
+            this.#shader = BackgroundShader.createShader(this.#mode);
+            this.#shader.compile(device);
+            await this.#shader.validate();
+
+            if (this.#cubeTexture !== null) {
+                this.#cubeTexture.compile(device);
+                this.#sampler.compile(device);
+            }
+
+            this.#createBindGroup(device);
+        }
+
+        this.#compiled = true;
+        this.#needsUpdate = false;
+    }
+
+    /**
+     * Returns whether the gradient colors changed since the background was
+     * compiled or last updated.
+     */
+    needsUpdate() {
+        return this.#needsUpdate;
+    }
+
+    /**
+     * Writes the gradient colors to the uniform buffer.
+     */
+    update(device)
+    {
+        if (!this.#compiled) {
+            throw new Error('Background must be compiled before updating.');
+        }
+
+        if (this.isDrawn()) {
+            this.#uniformBuffer.updateUniformBuffer(device);
+        }
+
+        this.#needsUpdate = false;
+    }
+
+    /**
+     * Destroys WebGPU resources associated with this background. The cube
+     * texture stays compiled.
+     */
+    destroy()
+    {
+        if (this.#uniformBuffer.isCompiled()) {
+            this.#uniformBuffer.destroy();
+        }
+
+        if (this.#shader) {
+            this.#shader.destroy();
+            this.#shader = null;
+        }
+
+        this.#bindGroup = null;
+        this.#bindGroupLayout = null;
+        this.#compiled = false;
+    }
+
+    /**
+     * Forgets all GPU resources including the cube texture, so the
+     * background can be compiled again on a new device.
+     */
+    reset()
+    {
+        this.destroy();
+
+        if (this.#cubeTexture !== null) {
+            this.#cubeTexture.destroy();
+            this.#sampler.destroy();
+        }
+    }
+
+    /**
+     * Sets a gradient color in the uniform buffer.
+     */
+    #setUniform(name, color)
+    {
+        this.#uniformBuffer.setUniform(name, color.toArray(), 'vec4<f32>');
+        this.#needsUpdate = true;
+    }
+
+    /**
+     * Creates the bind group with the uniform buffer and, for skyboxes, the
+     * sampler and cube texture.
+     */
+    #createBindGroup(device)
+    {
+        const layoutEntries = [{
+            binding: 0,
+            visibility: GPUShaderStage.FRAGMENT,
+            buffer: {}
+        }];
+
+        const entries = [{
+            binding: 0,
+            resource: {
+                buffer: this.#uniformBuffer.getUniformBuffer()
+            }
+        }];
+
+        if (this.#cubeTexture !== null) {
+            layoutEntries.push({
+                binding: 1,
+                visibility: GPUShaderStage.FRAGMENT,
+                sampler: {}
+            }, {
+                binding: 2,
+                visibility: GPUShaderStage.FRAGMENT,
+                texture: {
+                    viewDimension: 'cube'
+                }
+            });
+
+            entries.push({
+                binding: 1,
+                resource: this.#sampler.getGpuSampler()
+            }, {
+                binding: 2,
+                resource: this.#cubeTexture.getGpuTextureView()
+            });
+        }
+
+        this.#bindGroupLayout = device.createBindGroupLayout({
+            entries: layoutEntries
+        });
+
+        this.#bindGroup = device.createBindGroup({
+            label: 'background',
+            layout: this.#bindGroupLayout,
+            entries: entries
+        });
+    }
+
+    /**
+     * Validates that a value is a Color instance.
+     */
+    static #validateColor(color, colorName)
+    {
+        if (!(color instanceof Color)) {
+            throw new TypeError(`${colorName} must be a Color instance.`);
+        }
+    }
+
+    // Some fake constants containing the background modes.
+
+    static get COLOR() {
+        return 'color';
+    }
+
+    static get GRADIENT() {
+        return 'gradient';
+    }
+
+    static get SKYBOX() {
+        return 'skybox';
+    }
+
+    // All background modes
+
+    static get MODES()
+    {
+        return [
+            Background.COLOR,
+            Background.GRADIENT,
+            Background.SKYBOX
+        ];
+    }
+}
+
+export {
+    Background
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
 
 import { BaseBuffer } from './base-buffer.js';
 import { Engine } from '../../engine.js';
+import { MemoryTracker } from '../memory-tracker.js';
 
 /**
  * Represents an index buffer with metadata for GPU usage.
@@ -90,6 +91,9 @@ class IndexBuffer
     destroy()
     {
         if (this.#gpuBuffer) {
+            MemoryTracker.release(
+                MemoryTracker.INDEX_BUFFER, this.#gpuBuffer.size
+            );
             this.#gpuBuffer.destroy();
             this.#gpuBuffer = null;
         }
@@ -119,6 +123,10 @@ class IndexBuffer
         }
 
         this.#gpuBuffer.unmap();
+
+        MemoryTracker.allocate(
+            MemoryTracker.INDEX_BUFFER, this.#gpuBuffer.size
+        );
     }
 }
 
@@ -1,6 +1,7 @@
 
 import { BaseBuffer } from './base-buffer.js';
 import { Engine } from '../../engine.js';
+import { MemoryTracker } from '../memory-tracker.js';
 
 /**
  * Manages WebGPU storage buffers for variable-length arrays of structured data.
@@ -204,7 +205,7 @@ class StorageBuffer extends BaseBuffer
 
         // Resize buffer if needed
         if (requiredSize > this.#storageBuffer.size) {
-            this.#storageBuffer.destroy();
+            this.#destroyStorageBuffer();
             this.#createStorageBuffer(
                 device, Math.ceil(requiredSize * this.#growthFactor)
             );
@@ -229,7 +230,7 @@ class StorageBuffer extends BaseBuffer
     destroy()
     {
         if (this.#storageBuffer) {
-            this.#storageBuffer.destroy();
+            this.#destroyStorageBuffer();
             this.#storageBuffer = null;
         }
 
@@ -271,25 +272,42 @@ class StorageBuffer extends BaseBuffer
     }
 
     /**
-     * Creates the WebGPU storage buffer.
+     * Creates the WebGPU storage buffer with at least the given size.
      */
-    #createStorageBuffer(device)
+    #createStorageBuffer(device, size = 0)
     {
         let flatData = this.#flattenStorage();
 
         const alignedSize = Math.ceil(flatData.byteLength / 256) * 256;
 
         this.#storageBuffer = device.createBuffer({
-            size: Math.max(alignedSize, this.#minBufferSize),
+            size: StorageBuffer.alignBufferSize(
+                Math.max(alignedSize, this.#minBufferSize, size)
+            ),
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
         });
 
+        MemoryTracker.allocate(
+            MemoryTracker.STORAGE_BUFFER, this.#storageBuffer.size
+        );
+
         // Write initial data if available
         if (flatData.byteLength > 0) {
             device.queue.writeBuffer(this.#storageBuffer, 0, flatData);
         }
     }
 
+    /**
+     * Destroys the current WebGPU buffer.
+     */
+    #destroyStorageBuffer()
+    {
+        MemoryTracker.release(
+            MemoryTracker.STORAGE_BUFFER, this.#storageBuffer.size
+        );
+        this.#storageBuffer.destroy();
+    }
+
     /**
      * Flattens the storage as required in the storage constructor.
      */
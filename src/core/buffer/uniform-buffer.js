@@ -1,6 +1,7 @@
 
 import { BaseBuffer } from './base-buffer.js';
 import { Engine } from '../../engine.js';
+import { MemoryTracker } from '../memory-tracker.js';
 
 /**
  * Manages WebGPU uniform buffers with automatic resizing and validation.
@@ -110,7 +111,7 @@ class UniformBuffer extends BaseBuffer
         const flatUniforms = this.#flattenUniforms();
 
         if (flatUniforms.byteLength > this.#uniformBuffer.size) {
-            this.#uniformBuffer.destroy();
+            this.#destroyUniformBuffer();
             this.#createUniformBuffer(device);
         } else {
             device.queue.writeBuffer(this.#uniformBuffer, 0, flatUniforms);
@@ -146,7 +147,7 @@ class UniformBuffer extends BaseBuffer
     destroy()
     {
         if (this.#uniformBuffer) {
-            this.#uniformBuffer.destroy();
+            this.#destroyUniformBuffer();
             this.#uniformBuffer = null;
         }
 
@@ -182,11 +183,26 @@ class UniformBuffer extends BaseBuffer
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
 
+        MemoryTracker.allocate(
+            MemoryTracker.UNIFORM_BUFFER, this.#uniformBuffer.size
+        );
+
         if (flatUniforms.byteLength > 0) {
             device.queue.writeBuffer(this.#uniformBuffer, 0, flatUniforms);
         }
     }
 
+    /**
+     * Destroys the current WebGPU buffer.
+     */
+    #destroyUniformBuffer()
+    {
+        MemoryTracker.release(
+            MemoryTracker.UNIFORM_BUFFER, this.#uniformBuffer.size
+        );
+        this.#uniformBuffer.destroy();
+    }
+
     /**
      * Flattens the uniforms according to the rules set at buffer creation.
      */
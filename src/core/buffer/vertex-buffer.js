@@ -2,6 +2,7 @@
 import { BaseBuffer } from './base-buffer.js';
 import { Engine } from '../../engine.js';
 import { Geometry } from '../geometry/geometry.js';
+import { MemoryTracker } from '../memory-tracker.js';
 import { VertexAttributes } from '../vertex-attributes.js';
 
 /**
@@ -133,6 +134,9 @@ class VertexBuffer
     destroy()
     {
         if (this.#gpuBuffer) {
+            MemoryTracker.release(
+                MemoryTracker.VERTEX_BUFFER, this.#gpuBuffer.size
+            );
             this.#gpuBuffer.destroy();
             this.#gpuBuffer = null;
         }
@@ -157,6 +161,10 @@ class VertexBuffer
         const mappedBuffer = this.#gpuBuffer.getMappedRange();
         new Float32Array(mappedBuffer).set(this.#buffer);
         this.#gpuBuffer.unmap();
+
+        MemoryTracker.allocate(
+            MemoryTracker.VERTEX_BUFFER, this.#gpuBuffer.size
+        );
     }
 
     /**
@@ -201,6 +209,7 @@ class VertexBuffer
             case VertexAttributes.UV:
                 return 'float32x2';
             case VertexAttributes.COLOR:
+            case VertexAttributes.TANGENT:
                 return 'float32x4';
             default:
                 throw new Error(`Unknown component type: ${component}`);
@@ -202,6 +202,9 @@ class Camera
         this.#uniformBuffer.setUniform(
             'view', this.getViewMatrix().toArray(), 'mat4x4<f32>'
         );
+        this.#uniformBuffer.setUniform(
+            'position', this.#position.toArray(), 'vec3<f32>'
+        );
 
         this.#uniformBuffer.compile(device);
         this.#createBindGroup(device);
@@ -225,6 +228,9 @@ class Camera
         this.#uniformBuffer.setUniform(
             'view', this.getViewMatrix().toArray(), 'mat4x4<f32>'
         );
+        this.#uniformBuffer.setUniform(
+            'position', this.#position.toArray(), 'vec3<f32>'
+        );
         this.#uniformBuffer.updateUniformBuffer(device);
         this.#needsUpdate = false;
     }
@@ -266,6 +272,20 @@ class Camera
         this.#compiled = false;
     }
 
+    /**
+     * Forgets all GPU resources of this camera, so it can be compiled again
+     * on a new device. Unlike destroy, listeners are kept.
+     */
+    reset()
+    {
+        this.#uniformBuffer.destroy();
+
+        this.#bindGroup = null;
+        this.#bindGroupLayout = null;
+
+        this.#compiled = false;
+    }
+
     /**
      * Adds a listener that gets called when the view matrix changes.
      * The listener receives the camera instance as parameter.
@@ -321,7 +341,7 @@ class Camera
         this.#bindGroupLayout = device.createBindGroupLayout({
             entries: [{
                 binding: 0,
-                visibility: GPUShaderStage.VERTEX,
+                visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
                 buffer: {},
             }]
         });
@@ -0,0 +1,267 @@
+
+import { EffectPass } from './effect-pass.js';
+import { Engine } from '../../engine.js';
+import { RenderTarget } from '../texture/render-target.js';
+
+/**
+ * Renders a scene into an intermediate texture and applies a chain of
+ * full-screen effect passes to it. The last enabled pass writes to the
+ * canvas. Passes can be enabled, disabled and reordered at any time.
+ */
+class EffectComposer
+{
+    #engine = null;
+    #passes = [];
+
+    #sceneTarget = null;
+    #swapTarget = null;
+
+    #deviceRestoredListener = null;
+    #listening = false;
+
+    constructor(engine)
+    {
+        Engine.validateEngine(engine);
+
+        this.#engine = engine;
+
+        // Textures of the old device can not be used anymore
+        this.#deviceRestoredListener = () => this.#destroyResources();
+    }
+
+    /**
+     * Adds a pass at the given position, by default at the end of the chain.
+     */
+    addPass(pass, index = this.#passes.length)
+    {
+        EffectPass.validateInstance(pass);
+
+        if (this.getPass(pass.getName()) !== null) {
+            throw new Error(`Pass ${pass.getName()} already exists.`);
+        }
+
+        this.#validateIndex(index, this.#passes.length);
+        this.#passes.splice(index, 0, pass);
+    }
+
+    /**
+     * Removes a pass from the chain and destroys its GPU resources. The pass
+     * is compiled again if it is added back later.
+     */
+    removePass(pass)
+    {
+        const index = this.#getPassIndex(pass);
+
+        this.#passes.splice(index, 1);
+        pass.destroy();
+    }
+
+    /**
+     * Moves a pass to a new position in the chain.
+     */
+    movePass(pass, index)
+    {
+        const currentIndex = this.#getPassIndex(pass);
+        this.#validateIndex(index, this.#passes.length - 1);
+
+        this.#passes.splice(currentIndex, 1);
+        this.#passes.splice(index, 0, pass);
+    }
+
+    /**
+     * Gets the pass with the given name or null if there is none.
+     */
+    getPass(name) {
+        return this.#passes.find(pass => pass.getName() === name) ?? null;
+    }
+
+    /**
+     * Gets all passes in the order they are applied.
+     */
+    getPasses() {
+        return Array.from(this.#passes);
+    }
+
+    /**
+     * Renders the scene and applies all enabled passes. Without enabled
+     * passes the scene is rendered directly to the canvas.
+     */
+    async render(scene, camera)
+    {
+        const passes = this.#passes.filter(pass => pass.isEnabled());
+
+        if (!this.#listening) {
+            this.#engine.addDeviceRestoredListener(
+                this.#deviceRestoredListener
+            );
+            this.#listening = true;
+        }
+
+        if (passes.length === 0) {
+            await this.#engine.render(scene, camera);
+            return;
+        }
+
+        const canvas = this.#engine.getCanvas();
+        this.#updateTargets(
+            canvas.width, canvas.height, this.#engine.getSampleCount()
+        );
+
+        await this.#engine.render(scene, camera, this.#sceneTarget);
+
+        if (this.#engine.isDeviceLost()) {
+            return;
+        }
+
+        const device = this.#engine.getDevice();
+
+        // Shaders are validated before the canvas texture is acquired
+        for (const pass of passes) {
+            pass.compile(device);
+            await pass.getShader().validate();
+        }
+
+        const commandEncoder = device.createCommandEncoder();
+
+        let input = this.#sceneTarget;
+        let output = this.#swapTarget;
+
+        for (let i = 0; i < passes.length; i++) {
+            const pass = passes[i];
+
+            let outputView = null;
+            let outputFormat = null;
+
+            if (i === passes.length - 1) {
+                outputView = this.#engine.getContext()
+                    .getCurrentTexture()
+                    .createView();
+                outputFormat = this.#engine.getFormat();
+            } else {
+                output.compile(device);
+                outputView = output.getColorTexture().getGpuTextureView();
+                outputFormat = output.getColorFormat();
+            }
+
+            pass.render(
+                device,
+                commandEncoder,
+                input.getColorTexture(),
+                outputView,
+                outputFormat
+            );
+
+            [input, output] = [output, input];
+        }
+
+        device.queue.submit([commandEncoder.finish()]);
+    }
+
+    /**
+     * Destroys the intermediate textures and all passes and stops listening
+     * to the engine. They are created again on the next call to render.
+     */
+    destroy()
+    {
+        this.#destroyResources();
+
+        if (this.#listening) {
+            this.#engine.removeDeviceRestoredListener(
+                this.#deviceRestoredListener
+            );
+            this.#listening = false;
+        }
+    }
+
+    /**
+     * Destroys the intermediate textures and all passes.
+     */
+    #destroyResources()
+    {
+        this.#destroyTargets();
+
+        for (const pass of this.#passes) {
+            pass.destroy();
+        }
+    }
+
+    /**
+     * Creates the intermediate render targets, or recreates them if the
+     * canvas size or the sample count of the engine changed.
+     */
+    #updateTargets(width, height, sampleCount)
+    {
+        if (this.#sceneTarget !== null
+            && this.#sceneTarget.getWidth() === width
+            && this.#sceneTarget.getHeight() === height
+            && this.#sceneTarget.getSampleCount() === sampleCount
+        ) {
+            return;
+        }
+
+        this.#destroyTargets();
+
+        const format = EffectComposer.COLOR_FORMAT;
+
+        // Only the scene needs depth and multisampling, the passes draw a
+        // single triangle
+        this.#sceneTarget = new RenderTarget(
+            width, height, true, format, sampleCount
+        );
+        this.#swapTarget = new RenderTarget(width, height, false, format);
+    }
+
+    /**
+     * Destroys the intermediate render targets.
+     */
+    #destroyTargets()
+    {
+        if (this.#sceneTarget !== null) {
+            this.#sceneTarget.destroy();
+            this.#swapTarget.destroy();
+        }
+
+        this.#sceneTarget = null;
+        this.#swapTarget = null;
+    }
+
+    /**
+     * Gets the index of a pass or throws if it is not part of the chain.
+     */
+    #getPassIndex(pass)
+    {
+        EffectPass.validateInstance(pass);
+
+        const index = this.#passes.indexOf(pass);
+
+        if (index === -1) {
+            throw new Error(`Pass ${pass.getName()} is not part of the chain.`);
+        }
+
+        return index;
+    }
+
+    /**
+     * Validates a position in the chain.
+     */
+    #validateIndex(index, maxIndex)
+    {
+        if (!Number.isInteger(index) || index < 0 || index > maxIndex) {
+            throw new RangeError(
+                `Index must be an integer between 0 and ${maxIndex}.`
+            );
+        }
+    }
+
+    /**
+     * Returns the format of the intermediate textures. A float format keeps
+     * colors brighter than white until the last pass.
+     */
+    static get COLOR_FORMAT() {
+        return 'rgba16float';
+    }
+}
+
+export {
+    EffectComposer
+};
@@ -0,0 +1,342 @@
+
+import { Engine } from '../../engine.js';
+import { Sampler } from '../texture/sampler.js';
+import { Shader } from '../shader.js';
+import { Texture } from '../texture/texture.js';
+import { UniformBuffer } from '../buffer/uniform-buffer.js';
+import {
+    createUniformStruct,
+    getUniformWgslType
+} from '../material/shaders/parts/common.js';
+
+// Shader parts shared by all effect passes
+
+const EFFECT_OUTPUT = /*wgsl*/ `
+struct EffectOut {
+    @builtin(position) position: vec4<f32>,
+    @location(0) uv: vec2<f32>
+}
+`;
+
+const EFFECT_VERTEX_FUNCTION = /*wgsl*/ `
+@vertex
+fn vertex_main(@builtin(vertex_index) index: u32) -> EffectOut {
+    // A single triangle covering the whole screen
+    var positions = array<vec2<f32>, 3>(
+        vec2<f32>(-1.0, -1.0),
+        vec2<f32>(3.0, -1.0),
+        vec2<f32>(-1.0, 3.0)
+    );
+
+    let position = positions[index];
+
+    var output: EffectOut;
+    output.position = vec4<f32>(position, 0.0, 1.0);
+    output.uv = vec2<f32>(position.x * 0.5 + 0.5, 0.5 - position.y * 0.5);
+
+    return output;
+}
+`;
+
+const EFFECT_BINDINGS = /*wgsl*/ `
+@group(0) @binding(0) var<uniform> effect: EffectUniforms;
+@group(0) @binding(1) var input_sampler: sampler;
+@group(0) @binding(2) var input_texture: texture_2d<f32>;
+`;
+
+/**
+ * A full-screen pass of an EffectComposer. The fragment code must contain a
+ * fragment_main function that receives an EffectOut with the uv coordinates
+ * and returns the output color. It can read the previous result from
+ * input_texture with input_sampler and its uniforms from effect, which
+ * always contains the resolution of the output in pixels.
+ */
+class EffectPass
+{
+    #name = null;
+    #fragmentCode = null;
+    #enabled = true;
+
+    #shader = null;
+    #sampler = null;
+    #uniformBuffer = null;
+    #bindGroupLayout = null;
+    #pipelines = new Map();
+    #compiled = false;
+
+    constructor(name, fragmentCode)
+    {
+        EffectPass.#validateName(name);
+
+        if (typeof fragmentCode !== 'string'
+            || fragmentCode.trim().length === 0
+        ) {
+            throw new TypeError('Fragment code must be a non-empty string.');
+        }
+
+        this.#name = name;
+        this.#fragmentCode = fragmentCode;
+
+        this.#sampler = new Sampler({
+            magFilter: Sampler.LINEAR,
+            minFilter: Sampler.LINEAR
+        });
+
+        this.#uniformBuffer = new UniformBuffer();
+        this.#uniformBuffer.setUniform('resolution', [1, 1], 'vec2<f32>');
+    }
+
+    /**
+     * Gets the name of the pass.
+     */
+    getName() {
+        return this.#name;
+    }
+
+    /**
+     * Enables or disables the pass. Disabled passes are skipped.
+     */
+    setEnabled(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Enabled setting must be of type boolean.');
+        }
+
+        this.#enabled = config;
+    }
+
+    /**
+     * Returns whether the pass is enabled.
+     */
+    isEnabled() {
+        return this.#enabled;
+    }
+
+    /**
+     * Sets a uniform that is available as effect.name in the fragment code.
+     * Adding a new uniform to a compiled pass compiles it again.
+     */
+    setUniform(name, value, type)
+    {
+        if (name === 'resolution') {
+            throw new Error('The resolution uniform is set by the composer.');
+        }
+
+        const wgslType = getUniformWgslType(type);
+        UniformBuffer.validateBufferValueType(wgslType);
+
+        const layout = this.#uniformBuffer.getUniformLayout();
+        const layoutChanged = layout.get(name) !== wgslType;
+
+        this.#uniformBuffer.setUniform(name, value, wgslType);
+
+        // The shader and buffer size depend on the uniform layout
+        if (layoutChanged && this.#compiled) {
+            this.destroy();
+        }
+    }
+
+    /**
+     * Gets the value of a uniform.
+     */
+    getUniform(name) {
+        return this.#uniformBuffer.getUniform(name);
+    }
+
+    /**
+     * Gets the shader of the pass.
+     */
+    getShader()
+    {
+        if (!this.#compiled) {
+            throw new Error('Effect pass must be compiled before use.');
+        }
+
+        return this.#shader;
+    }
+
+    /**
+     * Returns if the pass is compiled.
+     */
+    isCompiled() {
+        return this.#compiled;
+    }
+
+    /**
+     * Compiles the shader, sampler and uniform buffer of the pass.
+     */
+    compile(device)
+    {
+        if (this.#compiled) {
+            return;
+        }
+
+        Engine.validateDevice(device);
+
+        this.#shader = new Shader(
+            EFFECT_OUTPUT + EFFECT_VERTEX_FUNCTION,
+            this.#renderFragmentCode()
+        );
+
+        this.#shader.compile(device);
+        this.#sampler.compile(device);
+        this.#uniformBuffer.compile(device);
+
+        this.#bindGroupLayout = device.createBindGroupLayout({
+            entries: [{
+                binding: 0,
+                visibility: GPUShaderStage.FRAGMENT,
+                buffer: {}
+            }, {
+                binding: 1,
+                visibility: GPUShaderStage.FRAGMENT,
+                sampler: {}
+            }, {
+                binding: 2,
+                visibility: GPUShaderStage.FRAGMENT,
+                texture: {}
+            }]
+        });
+
+        this.#compiled = true;
+    }
+
+    /**
+     * Records the pass into a command encoder. The input texture is read and
+     * the result is written into the output view with the given format.
+     */
+    render(device, commandEncoder, inputTexture, outputView, outputFormat)
+    {
+        if (!this.#compiled) {
+            throw new Error('Effect pass must be compiled before rendering.');
+        }
+
+        Texture.validateInstance(inputTexture);
+
+        const resolution = [
+            inputTexture.getTextureWidth(),
+            inputTexture.getTextureHeight()
+        ];
+
+        this.#uniformBuffer.setUniform('resolution', resolution, 'vec2<f32>');
+        this.#uniformBuffer.updateUniformBuffer(device);
+
+        const bindGroup = device.createBindGroup({
+            label: this.#name + '-effect',
+            layout: this.#bindGroupLayout,
+            entries: [{
+                binding: 0,
+                resource: {
+                    buffer: this.#uniformBuffer.getUniformBuffer()
+                }
+            }, {
+                binding: 1,
+                resource: this.#sampler.getGpuSampler()
+            }, {
+                binding: 2,
+                resource: inputTexture.getGpuTextureView()
+            }]
+        });
+
+        const renderPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: outputView,
+                clearValue: { r: 0, g: 0, b: 0, a: 1 },
+                loadOp: 'clear',
+                storeOp: 'store'
+            }]
+        });
+
+        renderPass.setPipeline(this.#getPipeline(device, outputFormat));
+        renderPass.setBindGroup(0, bindGroup);
+        renderPass.draw(3);
+        renderPass.end();
+    }
+
+    /**
+     * Destroys WebGPU resources associated with this pass.
+     */
+    destroy()
+    {
+        if (this.#shader) {
+            this.#shader.destroy();
+            this.#shader = null;
+        }
+
+        this.#sampler.destroy();
+
+        if (this.#uniformBuffer.isCompiled()) {
+            this.#uniformBuffer.destroy();
+        }
+
+        this.#bindGroupLayout = null;
+        this.#pipelines.clear();
+        this.#compiled = false;
+    }
+
+    /**
+     * Gets the render pipeline for an output format, creating it if needed.
+     */
+    #getPipeline(device, format)
+    {
+        if (this.#pipelines.has(format)) {
+            return this.#pipelines.get(format);
+        }
+
+        const pipeline = device.createRenderPipeline({
+            layout: device.createPipelineLayout({
+                bindGroupLayouts: [this.#bindGroupLayout]
+            }),
+            vertex: {
+                module: this.#shader.getVertexModule()
+            },
+            fragment: {
+                module: this.#shader.getFragmentModule(),
+                targets: [{ format: format }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            }
+        });
+
+        this.#pipelines.set(format, pipeline);
+
+        return pipeline;
+    }
+
+    /**
+     * Renders the fragment code with the uniform struct and bindings.
+     */
+    #renderFragmentCode()
+    {
+        const uniforms = createUniformStruct(
+            'EffectUniforms', this.#uniformBuffer.getUniformLayout()
+        );
+
+        return EFFECT_OUTPUT + uniforms + EFFECT_BINDINGS + this.#fragmentCode;
+    }
+
+    /**
+     * Validates the name of a pass.
+     */
+    static #validateName(name)
+    {
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            throw new TypeError('Effect pass name must be a non-empty string.');
+        }
+    }
+
+    /**
+     * Validates that an object is an EffectPass instance.
+     */
+    static validateInstance(value)
+    {
+        if (!(value instanceof EffectPass)) {
+            throw new TypeError('Expected an instance of EffectPass.');
+        }
+    }
+}
+
+export {
+    EffectPass
+};
@@ -0,0 +1,162 @@
+
+import { Color } from './color.js';
+
+/**
+ * Describes fog that fades fragments into a color with their distance from
+ * the camera. Linear fog starts at the start distance and covers everything
+ * beyond the end distance. Exponential fog grows with the density, squared
+ * exponential fog keeps the area close to the camera clearer.
+ */
+class Fog
+{
+    #mode = null;
+    #color = null;
+    #start = null;
+    #end = null;
+    #density = null;
+
+    constructor(mode = Fog.LINEAR, color = Color.WHITE, settings = {})
+    {
+        this.mode = mode;
+        this.color = color;
+        this.start = settings.start ?? 10;
+        this.end = settings.end ?? 100;
+        this.density = settings.density ?? 0.02;
+    }
+
+    /**
+     * Gets the way the fog grows with the distance.
+     */
+    get mode() {
+        return this.#mode;
+    }
+
+    /**
+     * Sets the way the fog grows with the distance.
+     */
+    set mode(mode)
+    {
+        if (!Fog.MODES.includes(mode)) {
+            throw new Error(`Invalid fog mode: ${mode}.`);
+        }
+
+        this.#mode = mode;
+    }
+
+    /**
+     * Gets the fog color.
+     */
+    get color() {
+        return this.#color;
+    }
+
+    /**
+     * Sets the fog color. It should usually match the clear color.
+     */
+    set color(color)
+    {
+        if (!(color instanceof Color)) {
+            throw new TypeError('Fog color must be a Color instance.');
+        }
+
+        this.#color = color;
+    }
+
+    /**
+     * Gets the distance at which linear fog starts.
+     */
+    get start() {
+        return this.#start;
+    }
+
+    /**
+     * Sets the distance at which linear fog starts.
+     */
+    set start(start)
+    {
+        Fog.#validateDistance(start, 'start');
+
+        this.#start = start;
+    }
+
+    /**
+     * Gets the distance at which linear fog covers everything.
+     */
+    get end() {
+        return this.#end;
+    }
+
+    /**
+     * Sets the distance at which linear fog covers everything.
+     */
+    set end(end)
+    {
+        Fog.#validateDistance(end, 'end');
+
+        this.#end = end;
+    }
+
+    /**
+     * Gets the density of exponential fog.
+     */
+    get density() {
+        return this.#density;
+    }
+
+    /**
+     * Sets the density of exponential fog.
+     */
+    set density(density)
+    {
+        Fog.#validateDistance(density, 'density');
+
+        this.#density = density;
+    }
+
+    /**
+     * Validates that a value is a finite number of at least zero.
+     */
+    static #validateDistance(value, valueName)
+    {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw new TypeError(
+                `Invalid value for ${valueName}: expected a finite number`
+            );
+        }
+
+        if (value < 0) {
+            throw new RangeError(
+                `Invalid value for ${valueName}: must not be negative`
+            );
+        }
+    }
+
+    // Some fake constants containing the fog modes.
+
+    static get LINEAR() {
+        return 'linear';
+    }
+
+    static get EXPONENTIAL() {
+        return 'exponential';
+    }
+
+    static get EXPONENTIAL_SQUARED() {
+        return 'exponential_squared';
+    }
+
+    // All fog modes, their position plus one identifies them in shaders
+
+    static get MODES()
+    {
+        return [
+            Fog.LINEAR,
+            Fog.EXPONENTIAL,
+            Fog.EXPONENTIAL_SQUARED
+        ];
+    }
+}
+
+export {
+    Fog
+};
\ No newline at end of file
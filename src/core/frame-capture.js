@@ -0,0 +1,100 @@
+
+/**
+ * Holds the pixels of a captured frame as tightly packed RGBA values with
+ * 8 bits per channel, starting at the top left corner.
+ */
+class FrameCapture
+{
+    #width = 0;
+    #height = 0;
+    #pixels = null;
+
+    constructor(width, height, pixels)
+    {
+        FrameCapture.#validateDimension(width, 'width');
+        FrameCapture.#validateDimension(height, 'height');
+
+        if (!(pixels instanceof Uint8ClampedArray)) {
+            throw new TypeError('Pixels must be an Uint8ClampedArray.');
+        }
+
+        if (pixels.length !== width * height * 4) {
+            throw new RangeError(
+                'Pixel count must match width and height of the frame.'
+            );
+        }
+
+        this.#width = width;
+        this.#height = height;
+        this.#pixels = pixels;
+    }
+
+    /**
+     * Gets the width of the frame in pixels.
+     */
+    getWidth() {
+        return this.#width;
+    }
+
+    /**
+     * Gets the height of the frame in pixels.
+     */
+    getHeight() {
+        return this.#height;
+    }
+
+    /**
+     * Gets the raw RGBA pixel data.
+     */
+    getPixels() {
+        return this.#pixels;
+    }
+
+    /**
+     * Encodes the frame as an image Blob, by default as PNG.
+     */
+    async toBlob(type = 'image/png')
+    {
+        const imageData = new ImageData(
+            this.#pixels, this.#width, this.#height
+        );
+
+        if (typeof OffscreenCanvas !== 'undefined') {
+            const canvas = new OffscreenCanvas(this.#width, this.#height);
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+            return canvas.convertToBlob({ type: type });
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.#width;
+        canvas.height = this.#height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        return new Promise(function (resolve, reject) {
+            canvas.toBlob(function (blob) {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode the frame.'));
+                }
+            }, type);
+        });
+    }
+
+    /**
+     * Validates that a dimension is a positive integer.
+     */
+    static #validateDimension(value, dimensionName)
+    {
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new TypeError(
+                `${dimensionName} must be a positive integer.`
+            );
+        }
+    }
+}
+
+export {
+    FrameCapture
+};
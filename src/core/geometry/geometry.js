@@ -1,3 +1,5 @@
+import {BoundingBox} from '../math/bounding-box.js';
+import {BoundingSphere} from '../math/bounding-sphere.js';
 import {Face} from '../face.js';
 import {IndexBuffer} from '../buffer/index-buffer.js';
 import {Object} from '../object.js';
@@ -7,14 +9,19 @@ import {VertexBuffer} from '../buffer/vertex-buffer.js';
 
 /**
  * A minimal yet extensible Geometry class that stores vertices, faces and
- * uv-coordinates. Supports automatic normal calculation
+ * uv-coordinates. Supports automatic normal calculation. Geometries without
+ * faces are drawn in vertex order, for example as points or lines.
  */
 class Geometry extends Object
 {
+    #topology = Object.TRIANGLES;
     #faces = [];
     #uvs = [];
     #vertexNormals = [];
     #faceNormals = [];
+    #tangents = [];
+    #boundingBox = null;
+    #boundingSphere = null;
 
     constructor() {
         super();
@@ -24,7 +31,18 @@ class Geometry extends Object
      * Gets the rendering topology.
      */
     getTopology() {
-        return Object.TRIANGLES;
+        return this.#topology;
+    }
+
+    /**
+     * Sets the rendering topology to triangles, lines, a line strip or
+     * points.
+     */
+    setTopology(topology)
+    {
+        this.#validateTopology(topology);
+
+        this.#topology = topology;
     }
 
     /**
@@ -55,6 +73,14 @@ class Geometry extends Object
         return Array.from(this.#faceNormals);
     }
 
+    /**
+     * Gets a copy of all vertex tangents, four numbers per vertex. The
+     * fourth number is the handedness of the bitangent.
+     */
+    getTangents() {
+        return Array.from(this.#tangents);
+    }
+
     /**
      * Gets the number of faces in the geometry.
      */
@@ -69,6 +95,32 @@ class Geometry extends Object
         return this.#uvs.length;
     }
 
+    /**
+     * Gets the bounding box of the geometry in local space. It is calculated
+     * on first access.
+     */
+    getBoundingBox()
+    {
+        if (this.#boundingBox === null) {
+            this.calculateBoundingBox();
+        }
+
+        return this.#boundingBox.clone();
+    }
+
+    /**
+     * Gets the bounding sphere of the geometry in local space. It is
+     * calculated on first access.
+     */
+    getBoundingSphere()
+    {
+        if (this.#boundingSphere === null) {
+            this.calculateBoundingSphere();
+        }
+
+        return this.#boundingSphere.clone();
+    }
+
     /**
      * Adds a vertex normal to the geometry.
      */
@@ -177,6 +229,83 @@ class Geometry extends Object
         }
     }
 
+    /**
+     * Calculates and stores vertex tangents pointing in the direction of
+     * increasing u-coordinates, derived from the positions, uv-coordinates
+     * and faces. Vertex normals are calculated first if there are none.
+     * This will overwrite any existing tangents.
+     */
+    calculateTangents()
+    {
+        if (this.#faces.length === 0) {
+            throw new Error('Tangents can only be calculated from faces.');
+        }
+
+        this.#validateUvCount();
+        this.#ensureNormalsExist();
+
+        const tangents = [];
+        const bitangents = [];
+
+        for (let i = 0; i < this.getVertexCount(); i++) {
+            tangents.push(new Vector3(0, 0, 0));
+            bitangents.push(new Vector3(0, 0, 0));
+        }
+
+        // Add the uv directions of every triangle to its vertices
+        for (const face of this.#faces) {
+            const indices = face.getIndices();
+
+            for (let i = 1; i < indices.length - 1; i++) {
+                this.#addTriangleTangent(
+                    [indices[0], indices[i], indices[i + 1]],
+                    tangents,
+                    bitangents
+                );
+            }
+        }
+
+        this.#tangents = [];
+
+        for (let i = 0; i < this.getVertexCount(); i++) {
+            const normal = this.#vertexNormals[i];
+
+            // Vertices without uv direction get any perpendicular tangent
+            if (tangents[i].length() === 0) {
+                tangents[i] = Math.abs(normal.x) < 0.9
+                    ? new Vector3(1, 0, 0)
+                    : new Vector3(0, 1, 0);
+            }
+
+            // Make the tangent perpendicular to the normal
+            const tangent = tangents[i].subtractOther(
+                normal.multiplyScalarOther(normal.dot(tangents[i]))
+            );
+            tangent.normalize();
+
+            const handedness = normal.crossOther(tangent)
+                .dot(bitangents[i]) < 0 ? -1 : 1;
+
+            this.#tangents.push(tangent.x, tangent.y, tangent.z, handedness);
+        }
+    }
+
+    /**
+     * Calculates and stores the bounding box enclosing all vertices.
+     * Call this again after vertices have been moved.
+     */
+    calculateBoundingBox() {
+        this.#boundingBox = BoundingBox.fromPoints(this.getVertices());
+    }
+
+    /**
+     * Calculates and stores the bounding sphere enclosing all vertices.
+     * Call this again after vertices have been moved.
+     */
+    calculateBoundingSphere() {
+        this.#boundingSphere = BoundingSphere.fromPoints(this.getVertices());
+    }
+
     /**
      * Splits all faces with more than three vertices into triangular faces.
      * Always call triangulate before calculateVertexNormals!
@@ -243,6 +372,44 @@ class Geometry extends Object
         );
     }
 
+    /**
+     * Create and return an Index Buffer with two indices for every edge of
+     * the faces, to draw them as lines. Edges shared by multiple faces are
+     * only added once.
+     */
+    createWireframeIndexBuffer()
+    {
+        if (this.#faces.length === 0) {
+            return null;
+        }
+
+        const edges = new Map();
+
+        for (const face of this.#faces) {
+            const indices = face.getIndices();
+
+            for (let i = 0; i < indices.length; i++) {
+                const start = indices[i];
+                const end = indices[(i + 1) % indices.length];
+
+                const key = Math.min(start, end) + '_' + Math.max(start, end);
+
+                if (!edges.has(key)) {
+                    edges.set(key, [start, end]);
+                }
+            }
+        }
+
+        const totalIndices = edges.size * 2;
+        const indexBuffer = totalIndices > 65535
+            ? new Uint32Array(totalIndices)
+            : new Uint16Array(totalIndices);
+
+        indexBuffer.set(Array.from(edges.values()).flat());
+
+        return new IndexBuffer(indexBuffer, totalIndices);
+    }
+
     /**
      * Validates a component.
      */
@@ -252,7 +419,8 @@ class Geometry extends Object
             VertexAttributes.POSITION,
             VertexAttributes.NORMAL,
             VertexAttributes.UV,
-            VertexAttributes.COLOR
+            VertexAttributes.COLOR,
+            VertexAttributes.TANGENT
         ];
 
         if (!validComponents.includes(component)) {
@@ -274,6 +442,7 @@ class Geometry extends Object
             case VertexAttributes.UV:
                 return 2;
             case VertexAttributes.COLOR:
+            case VertexAttributes.TANGENT:
                 return 4;
             default:
                 throw new Error(`Unknown layout component: ${component}`);
@@ -315,6 +484,39 @@ class Geometry extends Object
         return Vector3.normalize(edge1.crossOther(edge2));
     }
 
+    /**
+     * Adds the tangent and bitangent of a triangle to its three vertices.
+     */
+    #addTriangleTangent(indices, tangents, bitangents)
+    {
+        const [a, b, c] = indices;
+
+        const edge1 = this.getVertex(b).subtractOther(this.getVertex(a));
+        const edge2 = this.getVertex(c).subtractOther(this.getVertex(a));
+
+        const du1 = this.#uvs[b * 2] - this.#uvs[a * 2];
+        const dv1 = this.#uvs[b * 2 + 1] - this.#uvs[a * 2 + 1];
+        const du2 = this.#uvs[c * 2] - this.#uvs[a * 2];
+        const dv2 = this.#uvs[c * 2 + 1] - this.#uvs[a * 2 + 1];
+
+        const determinant = du1 * dv2 - du2 * dv1;
+
+        // Triangles without uv area have no tangent direction
+        if (determinant === 0) {
+            return;
+        }
+
+        const tangent = edge1.multiplyScalarOther(dv2 / determinant)
+            .subtractOther(edge2.multiplyScalarOther(dv1 / determinant));
+        const bitangent = edge2.multiplyScalarOther(du1 / determinant)
+            .subtractOther(edge1.multiplyScalarOther(du2 / determinant));
+
+        for (const index of indices) {
+            tangents[index].add(tangent);
+            bitangents[index].add(bitangent);
+        }
+    }
+
     /**
      * Validates that all face indices reference existing vertices.
      */
@@ -335,6 +537,25 @@ class Geometry extends Object
         }
     }
 
+    /**
+     * Validates a rendering topology.
+     */
+    #validateTopology(topology)
+    {
+        const validTopologies = [
+            Object.TRIANGLES,
+            Object.LINES,
+            Object.LINE_STRIP,
+            Object.POINTS
+        ];
+
+        if (!validTopologies.includes(topology)) {
+            throw new Error(
+                `Invalid topology: ${topology}.`
+            );
+        }
+    }
+
     /**
      * Validates a triangulation method.
      */
@@ -506,6 +727,9 @@ class Geometry extends Object
                     break;
                 case VertexAttributes.COLOR:
                     this.validateColorCount();
+                    break;
+                case VertexAttributes.TANGENT:
+                    this.#ensureTangentsExist();
             }
         }
     }
@@ -520,6 +744,16 @@ class Geometry extends Object
         }
     }
 
+    /**
+     * Ensures vertex tangents exist by calculating them if necessary.
+     */
+    #ensureTangentsExist()
+    {
+        if (this.#tangents.length === 0) {
+            this.calculateTangents();
+        }
+    }
+
     /**
      * Validates that a single UV component is in the range 0-1.
      */
@@ -587,6 +821,9 @@ class Geometry extends Object
                 case VertexAttributes.COLOR:
                     this.#writeColorData(buffer, offset, index);
                     break;
+                case VertexAttributes.TANGENT:
+                    this.#writeTangentData(buffer, offset, index);
+                    break;
             }
         }
     }
@@ -637,6 +874,16 @@ class Geometry extends Object
         buffer[offset + 3] = color.alpha;
     }
 
+    /**
+     * Writes tangent data to buffer.
+     */
+    #writeTangentData(buffer, offset, vertexIndex)
+    {
+        for (let i = 0; i < 4; i++) {
+            buffer[offset + i] = this.#tangents[vertexIndex * 4 + i];
+        }
+    }
+
     /**
      * Validates that a dimension is a positive number.
      */
@@ -0,0 +1,367 @@
+
+import { Angle } from './math/angle.js';
+import { BoundingBox } from './math/bounding-box.js';
+import { BoundingSphere } from './math/bounding-sphere.js';
+import { Color } from './color.js';
+import { Engine } from '../engine.js';
+import { Matrix3 } from './math/matrix3.js';
+import { Matrix4 } from './math/matrix4.js';
+import { Mesh } from './mesh.js';
+import { StorageBuffer } from './buffer/storage-buffer.js';
+import { Vector3 } from './math/vector3.js';
+
+/**
+ * A mesh that draws many copies of the same geometry and material with a
+ * single draw call. Every instance has its own transformation and color,
+ * which are stored in a storage buffer. The material must be created with
+ * the instanced setting.
+ */
+class InstancedMesh extends Mesh
+{
+    #instances = new Map();
+    #storageBuffer = null;
+    #needsUpdate = false;
+
+    // Bounds of all instances, calculated on first use after a change
+    #boundingBox = null;
+    #boundingSphere = null;
+
+    constructor(geometry, material, capacity = 16)
+    {
+        super(geometry, material);
+
+        if (!Number.isInteger(capacity) || capacity <= 0) {
+            throw new RangeError('Capacity must be a positive integer.');
+        }
+
+        this.#storageBuffer = new StorageBuffer(
+            InstancedMesh.LAYOUT, capacity
+        );
+    }
+
+    /**
+     * Returns whether the mesh draws multiple instances.
+     */
+    isInstanced() {
+        return true;
+    }
+
+    /**
+     * Adds an instance. Settings can contain a position, a rotation in
+     * degrees around each axis, a scale and a color.
+     */
+    addInstance(name, settings = {})
+    {
+        InstancedMesh.#validateName(name);
+
+        if (this.#instances.has(name)) {
+            throw new Error(`Instance ${name} already exists.`);
+        }
+
+        this.#setInstance(name, {
+            position: settings.position ?? new Vector3(0, 0, 0),
+            rotation: settings.rotation ?? new Vector3(0, 0, 0),
+            scale: settings.scale ?? new Vector3(1, 1, 1),
+            color: settings.color ?? Color.WHITE
+        });
+    }
+
+    /**
+     * Updates an existing instance. Settings that are not given keep their
+     * current value.
+     */
+    updateInstance(name, settings = {})
+    {
+        const instance = this.#getExistingInstance(name);
+
+        this.#setInstance(name, {
+            position: settings.position ?? instance.position,
+            rotation: settings.rotation ?? instance.rotation,
+            scale: settings.scale ?? instance.scale,
+            color: settings.color ?? instance.color
+        });
+    }
+
+    /**
+     * Removes an instance.
+     */
+    removeInstance(name)
+    {
+        this.#getExistingInstance(name);
+
+        this.#instances.delete(name);
+        this.#storageBuffer.removeStorageEntry(name);
+        this.#needsUpdate = true;
+        this.#clearBounds();
+    }
+
+    /**
+     * Gets a copy of the settings of an instance.
+     */
+    getInstance(name)
+    {
+        const instance = this.#getExistingInstance(name);
+
+        return {
+            position: instance.position.clone(),
+            rotation: instance.rotation.clone(),
+            scale: instance.scale.clone(),
+            color: instance.color.clone()
+        };
+    }
+
+    /**
+     * Returns whether an instance with the given name exists.
+     */
+    hasInstance(name) {
+        return this.#instances.has(name);
+    }
+
+    /**
+     * Gets the names of all instances in drawing order.
+     */
+    getInstanceNames() {
+        return Array.from(this.#instances.keys());
+    }
+
+    /**
+     * Gets the number of instances.
+     */
+    getInstanceCount() {
+        return this.#instances.size;
+    }
+
+    /**
+     * Gets the bounding box enclosing all instances in local space.
+     */
+    getBoundingBox()
+    {
+        if (this.#instances.size === 0) {
+            return super.getBoundingBox();
+        }
+
+        if (this.#boundingBox === null) {
+            this.#calculateBoundingBox();
+        }
+
+        return this.#boundingBox.clone();
+    }
+
+    /**
+     * Gets the bounding sphere enclosing all instances in local space.
+     */
+    getBoundingSphere()
+    {
+        if (this.#instances.size === 0) {
+            return super.getBoundingSphere();
+        }
+
+        if (this.#boundingSphere === null) {
+            this.#boundingSphere = BoundingSphere.fromPoints(
+                this.getBoundingBox().getCorners()
+            );
+        }
+
+        return this.#boundingSphere.clone();
+    }
+
+    /**
+     * Gets the storage buffer holding the instance data.
+     */
+    getStorageBuffer()
+    {
+        if (!this.isCompiled()) {
+            throw new Error(
+                'Mesh must be compiled before accessing storage buffer.'
+            );
+        }
+
+        return this.#storageBuffer;
+    }
+
+    /**
+     * Returns whether instances changed since the last update.
+     */
+    needsUpdate() {
+        return this.#needsUpdate;
+    }
+
+    /**
+     * Compiles the mesh and the instance storage buffer.
+     */
+    async compile(device)
+    {
+        if (this.isCompiled()) {
+            return;
+        }
+
+        await super.compile(device);
+        this.#storageBuffer.compile(device);
+        this.#needsUpdate = false;
+    }
+
+    /**
+     * Writes changed instances to the storage buffer. The storage buffer
+     * might be recreated when it has to grow.
+     */
+    update(device)
+    {
+        if (!this.isCompiled()) {
+            throw new Error('Mesh must be compiled before updating.');
+        }
+
+        Engine.validateDevice(device);
+
+        this.#storageBuffer.update(device);
+        this.#needsUpdate = false;
+    }
+
+    /**
+     * Destroys WebGPU resources associated with this mesh.
+     */
+    destroy()
+    {
+        super.destroy();
+
+        if (this.#storageBuffer.isCompiled()) {
+            this.#storageBuffer.destroy();
+        }
+    }
+
+    /**
+     * Validates and stores an instance and writes its storage entry.
+     */
+    #setInstance(name, instance)
+    {
+        Vector3.validateInstance(instance.position);
+        Vector3.validateInstance(instance.rotation);
+        Vector3.validateInstance(instance.scale);
+
+        if (!(instance.color instanceof Color)) {
+            throw new TypeError('Color must be an instance of Color class.');
+        }
+
+        const stored = {
+            position: instance.position.clone(),
+            rotation: instance.rotation.clone(),
+            scale: instance.scale.clone(),
+            color: instance.color.clone()
+        };
+
+        const modelMatrix = InstancedMesh.#createModelMatrix(stored);
+        const normalMatrix = InstancedMesh.#createNormalMatrix(modelMatrix);
+
+        this.#storageBuffer.setStorageEntry(name, {
+            model_matrix: modelMatrix.toArray(),
+            normal_matrix: normalMatrix.toArray(),
+            color: stored.color.toArray()
+        });
+
+        this.#instances.set(name, stored);
+        this.#needsUpdate = true;
+        this.#clearBounds();
+    }
+
+    /**
+     * Calculates the bounding box enclosing the geometry of every instance.
+     */
+    #calculateBoundingBox()
+    {
+        const box = super.getBoundingBox();
+        const corners = [];
+
+        for (const instance of this.#instances.values()) {
+            const matrix = InstancedMesh.#createModelMatrix(instance);
+            corners.push(...box.transformOther(matrix).getCorners());
+        }
+
+        this.#boundingBox = BoundingBox.fromPoints(corners);
+    }
+
+    /**
+     * Clears the bounds, so they are calculated again on their next use.
+     */
+    #clearBounds()
+    {
+        this.#boundingBox = null;
+        this.#boundingSphere = null;
+    }
+
+    /**
+     * Gets an instance or throws if it does not exist.
+     */
+    #getExistingInstance(name)
+    {
+        if (!this.#instances.has(name)) {
+            throw new Error(`Instance ${name} does not exist.`);
+        }
+
+        return this.#instances.get(name);
+    }
+
+    /**
+     * Creates the model matrix of an instance. Instances are scaled first,
+     * then rotated and finally translated.
+     */
+    static #createModelMatrix(instance)
+    {
+        const { position, rotation, scale } = instance;
+
+        const scaleMatrix = Matrix4.createScale(scale.x, scale.y, scale.z);
+        const rotationX = Matrix4.createRotateX(Angle.fromDegrees(rotation.x));
+        const rotationY = Matrix4.createRotateY(Angle.fromDegrees(rotation.y));
+        const rotationZ = Matrix4.createRotateZ(Angle.fromDegrees(rotation.z));
+        const translation = Matrix4.createTranslation(
+            position.x, position.y, position.z
+        );
+
+        return scaleMatrix
+            .multiplyOther(rotationX)
+            .multiplyOther(rotationY)
+            .multiplyOther(rotationZ)
+            .multiplyOther(translation);
+    }
+
+    /**
+     * Creates the normal matrix of an instance, padded to a 4x4 matrix to
+     * match the storage alignment.
+     */
+    static #createNormalMatrix(modelMatrix)
+    {
+        const mat3 = Matrix3.fromMatrix4(modelMatrix);
+        const n = Matrix3.transpose(Matrix3.invert(mat3)).toArray();
+
+        return new Matrix4([
+            n[0], n[1], n[2], 0,
+            n[3], n[4], n[5], 0,
+            n[6], n[7], n[8], 0,
+            0, 0, 0, 1
+        ]);
+    }
+
+    /**
+     * Validates an instance name.
+     */
+    static #validateName(name)
+    {
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            throw new TypeError('Instance name must be a non-empty string.');
+        }
+    }
+
+    /**
+     * Returns the storage layout of a single instance.
+     */
+    static get LAYOUT()
+    {
+        return {
+            model_matrix: 'mat4x4<f32>',
+            normal_matrix: 'mat4x4<f32>',
+            color: 'vec4<f32>'
+        }
+    }
+}
+
+export {
+    InstancedMesh
+};
@@ -5,10 +5,15 @@ import { Light } from './light.js';
 
 /**
  * Represents the directional light, which is light coming from one direction.
+ * A directional light can cast shadows within a distance from the camera.
  */
 class DirectionalLight extends Light
 {
     #direction = null;
+    #castShadow = false;
+    #shadowMapSize = 1024;
+    #shadowBias = 0.05;
+    #shadowDistance = 50;
 
     constructor(direction, color = Color.WHITE, intensity = 0.1)
     {
@@ -33,6 +38,94 @@ class DirectionalLight extends Light
         this.#direction = direction;
     }
 
+    /**
+     * Returns whether the light casts shadows.
+     */
+    get castShadow() {
+        return this.#castShadow;
+    }
+
+    /**
+     * Sets whether the light casts shadows. Only the first shadow casting
+     * directional light of a scene is used.
+     */
+    set castShadow(castShadow)
+    {
+        if (typeof castShadow !== 'boolean') {
+            throw new TypeError('Cast shadow must be of type boolean.');
+        }
+
+        this.#castShadow = castShadow;
+    }
+
+    /**
+     * Returns the width and height of the shadow map in pixels.
+     */
+    get shadowMapSize() {
+        return this.#shadowMapSize;
+    }
+
+    /**
+     * Sets the width and height of the shadow map in pixels.
+     */
+    set shadowMapSize(size)
+    {
+        if (!Number.isInteger(size) || size < 1 || size > 8192) {
+            throw new RangeError(
+                'Shadow map size must be an integer between 1 and 8192.'
+            );
+        }
+
+        this.#shadowMapSize = size;
+    }
+
+    /**
+     * Returns the depth offset in world units that prevents surfaces from
+     * shadowing themselves.
+     */
+    get shadowBias() {
+        return this.#shadowBias;
+    }
+
+    /**
+     * Sets the depth offset in world units that prevents surfaces from
+     * shadowing themselves.
+     */
+    set shadowBias(bias)
+    {
+        if (typeof bias !== 'number' || !isFinite(bias) || bias < 0) {
+            throw new RangeError(
+                'Shadow bias must be a finite number of at least 0.'
+            );
+        }
+
+        this.#shadowBias = bias;
+    }
+
+    /**
+     * Returns the distance from the camera up to which shadows are drawn.
+     */
+    get shadowDistance() {
+        return this.#shadowDistance;
+    }
+
+    /**
+     * Sets the distance from the camera up to which shadows are drawn.
+     * Smaller distances give sharper shadows.
+     */
+    set shadowDistance(distance)
+    {
+        if (typeof distance !== 'number' || !isFinite(distance)
+            || distance <= 0
+        ) {
+            throw new RangeError(
+                'Shadow distance must be a finite number greater than 0.'
+            );
+        }
+
+        this.#shadowDistance = distance;
+    }
+
     /**
      * Returns the storage layout of a directional light.
      */
@@ -0,0 +1,118 @@
+
+import { Color } from '../color.js';
+import { Vector3 } from '../math/vector3.js';
+import { Light } from './light.js';
+
+/**
+ * Represents a point light, which shines in all directions from a position.
+ * Its light fades out with the distance and reaches zero at the range. The
+ * attenuation is the exponent of the falloff curve, higher values make the
+ * light fade faster close to the light.
+ */
+class PointLight extends Light
+{
+    #position = null;
+    #range = null;
+    #attenuation = null;
+
+    constructor(
+        position,
+        color = Color.WHITE,
+        intensity = 0.1,
+        range = 10,
+        attenuation = 1
+    ) {
+        super(color, intensity);
+
+        this.position = position;
+        this.range = range;
+        this.attenuation = attenuation;
+    }
+
+    /**
+     * Returns the position of the light.
+     */
+    get position() {
+        return this.#position;
+    }
+
+    /**
+     * Sets the position of the light.
+     */
+    set position(position)
+    {
+        Vector3.validateInstance(position);
+
+        this.#position = position;
+    }
+
+    /**
+     * Returns the distance at which the light reaches zero.
+     */
+    get range() {
+        return this.#range;
+    }
+
+    /**
+     * Sets the distance at which the light reaches zero.
+     */
+    set range(range)
+    {
+        PointLight.#validatePositiveNumber(range, 'range');
+
+        this.#range = range;
+    }
+
+    /**
+     * Returns the exponent of the distance falloff.
+     */
+    get attenuation() {
+        return this.#attenuation;
+    }
+
+    /**
+     * Sets the exponent of the distance falloff.
+     */
+    set attenuation(attenuation)
+    {
+        PointLight.#validatePositiveNumber(attenuation, 'attenuation');
+
+        this.#attenuation = attenuation;
+    }
+
+    /**
+     * Validates that a value is a finite number greater than zero.
+     */
+    static #validatePositiveNumber(value, valueName)
+    {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw new TypeError(
+                `Invalid value for ${valueName}: expected a finite number`
+            );
+        }
+
+        if (value <= 0) {
+            throw new RangeError(
+                `Invalid value for ${valueName}: must be greater than 0`
+            );
+        }
+    }
+
+    /**
+     * Returns the storage layout of a point light.
+     */
+    static get LAYOUT()
+    {
+        return {
+            position: 'vec3<f32>',
+            color: 'vec3<f32>',
+            intensity: 'f32',
+            range: 'f32',
+            attenuation: 'f32'
+        }
+    }
+}
+
+export {
+    PointLight
+};
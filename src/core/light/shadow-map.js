@@ -0,0 +1,366 @@
+
+import { BoundingBox } from '../math/bounding-box.js';
+import { Engine } from '../../engine.js';
+import { Matrix4 } from '../math/matrix4.js';
+import { MemoryTracker } from '../memory-tracker.js';
+import { ShadowShader } from '../material/shaders/shadow-shader.js';
+import { UniformBuffer } from '../buffer/uniform-buffer.js';
+import { Vector3 } from '../math/vector3.js';
+
+/**
+ * Holds the depth texture a shadow casting directional light is rendered
+ * into and the matrix projecting world positions into it. The light camera
+ * is orthographic and fits the camera view up to the shadow distance of the
+ * light. Towards the light it is extended to include every shadow caster.
+ */
+class ShadowMap
+{
+    #size = 1;
+    #texture = null;
+    #textureView = null;
+    #sampler = null;
+    #uniformBuffer = null;
+    #shaders = null;
+    #bindGroupLayout = null;
+    #bindGroup = null;
+    #compiled = false;
+
+    constructor()
+    {
+        this.#uniformBuffer = new UniformBuffer();
+        this.#setUniforms(new Matrix4(), 0, 0, false);
+
+        this.#shaders = [
+            ShadowShader.createShader(false),
+            ShadowShader.createShader(true)
+        ];
+    }
+
+    /**
+     * Gets the width and height of the shadow map in pixels.
+     */
+    getSize() {
+        return this.#size;
+    }
+
+    /**
+     * Gets the uniform buffer with the light matrix and shadow settings.
+     */
+    getUniformBuffer()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Shadow map must be compiled before accessing uniform buffer!'
+            );
+        }
+
+        return this.#uniformBuffer;
+    }
+
+    /**
+     * Gets the GPU texture view of the depth texture.
+     */
+    getTextureView()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Shadow map must be compiled before accessing texture view!'
+            );
+        }
+
+        return this.#textureView;
+    }
+
+    /**
+     * Gets the comparison sampler used to read the depth texture.
+     */
+    getSampler()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Shadow map must be compiled before accessing sampler!'
+            );
+        }
+
+        return this.#sampler;
+    }
+
+    /**
+     * Gets the depth pass shader for normal or instanced meshes.
+     */
+    getShader(instanced = false)
+    {
+        if (!this.#compiled) {
+            throw new Error('Shadow map must be compiled before use.');
+        }
+
+        return this.#shaders[instanced ? 1 : 0];
+    }
+
+    /**
+     * Gets the bind group layout of the depth pass.
+     */
+    getBindGroupLayout()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Shadow map must be compiled before accessing bind group layout.'
+            );
+        }
+
+        return this.#bindGroupLayout;
+    }
+
+    /**
+     * Gets the bind group of the depth pass.
+     */
+    getBindGroup()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Shadow map must be compiled before accessing bind group.'
+            );
+        }
+
+        return this.#bindGroup;
+    }
+
+    /**
+     * Returns if the shadow map is compiled.
+     */
+    isCompiled() {
+        return this.#compiled;
+    }
+
+    /**
+     * Compiles the depth texture, sampler, uniform buffer and shaders.
+     */
+    async compile(device)
+    {
+        if (this.#compiled) {
+            return;
+        }
+
+        Engine.validateDevice(device);
+
+        this.#createTexture(device);
+        this.#uniformBuffer.compile(device);
+
+        for (const shader of this.#shaders) {
+            shader.compile(device);
+            await shader.validate();
+        }
+
+        this.#sampler = device.createSampler({
+            addressModeU: 'clamp-to-edge',
+            addressModeV: 'clamp-to-edge',
+            magFilter: 'linear',
+            minFilter: 'linear',
+            compare: 'less-equal'
+        });
+
+        this.#bindGroupLayout = device.createBindGroupLayout({
+            entries: [{
+                binding: 0,
+                visibility: GPUShaderStage.VERTEX,
+                buffer: {}
+            }]
+        });
+
+        this.#bindGroup = device.createBindGroup({
+            label: 'shadow',
+            layout: this.#bindGroupLayout,
+            entries: [{
+                binding: 0,
+                resource: {
+                    buffer: this.#uniformBuffer.getUniformBuffer()
+                }
+            }]
+        });
+
+        this.#compiled = true;
+    }
+
+    /**
+     * Fits the light camera of a directional light to the view of a camera.
+     * The light index is the position of the light in the directional light
+     * storage of the scene. Without a light, shadows are disabled. Changing
+     * the shadow map size of the light creates a new depth texture.
+     */
+    update(device, light, lightIndex, camera, casterBounds)
+    {
+        if (!this.#compiled) {
+            throw new Error('Shadow map must be compiled before updating.');
+        }
+
+        if (light === null) {
+            this.#setUniforms(new Matrix4(), 0, 0, false);
+            this.#uniformBuffer.updateUniformBuffer(device);
+            return;
+        }
+
+        if (light.shadowMapSize !== this.#size) {
+            this.#destroyTexture();
+            this.#size = light.shadowMapSize;
+            this.#createTexture(device);
+        }
+
+        const [lightMatrix, depthRange] = ShadowMap.#createLightMatrix(
+            light, camera, casterBounds
+        );
+
+        // The bias is given in world units, the depth texture stores 0 to 1
+        this.#setUniforms(
+            lightMatrix, light.shadowBias / depthRange, lightIndex, true
+        );
+        this.#uniformBuffer.updateUniformBuffer(device);
+    }
+
+    /**
+     * Destroys WebGPU resources associated with this shadow map.
+     */
+    destroy()
+    {
+        this.#destroyTexture();
+
+        if (this.#uniformBuffer.isCompiled()) {
+            this.#uniformBuffer.destroy();
+        }
+
+        for (const shader of this.#shaders) {
+            shader.destroy();
+        }
+
+        this.#sampler = null;
+        this.#bindGroup = null;
+        this.#bindGroupLayout = null;
+        this.#compiled = false;
+    }
+
+    /**
+     * Sets all uniforms read by the depth pass and the lit materials.
+     */
+    #setUniforms(lightMatrix, bias, lightIndex, enabled)
+    {
+        const buffer = this.#uniformBuffer;
+
+        buffer.setUniform('light_matrix', lightMatrix.toArray(), 'mat4x4<f32>');
+        buffer.setUniform('bias', bias, 'f32');
+        buffer.setUniform('texel_size', 1 / this.#size, 'f32');
+        buffer.setUniform('light_index', lightIndex, 'u32');
+        buffer.setUniform('enabled', enabled ? 1 : 0, 'u32');
+    }
+
+    /**
+     * Creates the depth texture with the current size.
+     */
+    #createTexture(device)
+    {
+        this.#texture = device.createTexture({
+            size: [this.#size, this.#size, 1],
+            dimension: '2d',
+            format: ShadowMap.DEPTH_FORMAT,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT
+                | GPUTextureUsage.TEXTURE_BINDING
+        });
+
+        this.#textureView = this.#texture.createView();
+
+        MemoryTracker.allocate(MemoryTracker.TEXTURE, this.#getByteSize());
+    }
+
+    /**
+     * Destroys the depth texture if there is one.
+     */
+    #destroyTexture()
+    {
+        if (this.#texture === null) {
+            return;
+        }
+
+        MemoryTracker.release(MemoryTracker.TEXTURE, this.#getByteSize());
+
+        this.#texture.destroy();
+        this.#texture = null;
+        this.#textureView = null;
+    }
+
+    /**
+     * Returns the size of the depth texture in bytes.
+     */
+    #getByteSize() {
+        return this.#size * this.#size * 4;
+    }
+
+    /**
+     * Creates the view projection matrix of the light camera and returns it
+     * together with the depth range it covers in world units.
+     */
+    static #createLightMatrix(light, camera, casterBounds)
+    {
+        const direction = Vector3.normalize(light.direction);
+
+        // The up vector must not be parallel to the light direction
+        const up = Math.abs(direction.y) > 0.99
+            ? new Vector3(0, 0, 1)
+            : new Vector3(0, 1, 0);
+
+        const lightView = Matrix4.createLookAt(
+            direction, new Vector3(0, 0, 0), up
+        );
+
+        // Corners of the camera view up to the shadow distance
+        const projection = camera.getProjectionMatrix();
+        const inverse = Matrix4.invert(
+            Matrix4.multiply(camera.getViewMatrix(), projection)
+        );
+
+        const farDepth = Math.min(
+            new Vector3(0, 0, -light.shadowDistance)
+                .transformMatrix4Other(projection).z,
+            1
+        );
+
+        const corners = [];
+
+        for (const x of [-1, 1]) {
+            for (const y of [-1, 1]) {
+                for (const z of [0, farDepth]) {
+                    corners.push(new Vector3(x, y, z)
+                        .transformMatrix4Other(inverse)
+                        .transformMatrix4Other(lightView)
+                    );
+                }
+            }
+        }
+
+        const viewBounds = BoundingBox.fromPoints(corners);
+        const min = viewBounds.getMin();
+        const max = viewBounds.getMax();
+
+        // The light looks along the negative z-axis, casters between the
+        // light and the view must not be clipped
+        let near = -max.z;
+        const far = -min.z;
+
+        for (const bounds of casterBounds) {
+            near = Math.min(near, -bounds.transformOther(lightView).getMax().z);
+        }
+
+        const lightProjection = Matrix4.createOrthographicProjection(
+            min.x, max.x, max.y, min.y, near, far
+        );
+
+        return [Matrix4.multiply(lightView, lightProjection), far - near];
+    }
+
+    // Some fake constants containing the shadow map texture format.
+
+    static get DEPTH_FORMAT() {
+        return 'depth32float';
+    }
+}
+
+export {
+    ShadowMap
+};
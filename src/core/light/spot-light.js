@@ -0,0 +1,134 @@
+
+import { Angle } from '../math/angle.js';
+import { Color } from '../color.js';
+import { PointLight } from './point-light.js';
+import { Vector3 } from '../math/vector3.js';
+
+/**
+ * Represents a spot light, which is a point light that only shines into a
+ * cone around its direction. The light has full strength inside the inner
+ * cone angle and fades out towards the outer cone angle. Both angles are
+ * measured from the direction to the edge of the cone.
+ */
+class SpotLight extends PointLight
+{
+    #direction = null;
+    #innerAngle = null;
+    #outerAngle = null;
+
+    constructor(
+        position,
+        direction,
+        color = Color.WHITE,
+        intensity = 0.1,
+        innerAngle = Angle.fromDegrees(20),
+        outerAngle = Angle.fromDegrees(30),
+        range = 10,
+        attenuation = 1
+    ) {
+        super(position, color, intensity, range, attenuation);
+
+        this.direction = direction;
+        this.innerAngle = innerAngle;
+        this.outerAngle = outerAngle;
+    }
+
+    /**
+     * Returns the direction the light is pointing to.
+     */
+    get direction() {
+        return this.#direction;
+    }
+
+    /**
+     * Sets the direction the light is pointing to.
+     */
+    set direction(direction)
+    {
+        Vector3.validateInstance(direction);
+
+        this.#direction = direction;
+    }
+
+    /**
+     * Returns the angle of the cone with full light strength.
+     */
+    get innerAngle() {
+        return this.#innerAngle;
+    }
+
+    /**
+     * Sets the angle of the cone with full light strength.
+     */
+    set innerAngle(angle)
+    {
+        SpotLight.#validateConeAngle(angle);
+
+        this.#innerAngle = angle;
+    }
+
+    /**
+     * Returns the angle at which the light reaches zero.
+     */
+    get outerAngle() {
+        return this.#outerAngle;
+    }
+
+    /**
+     * Sets the angle at which the light reaches zero.
+     */
+    set outerAngle(angle)
+    {
+        SpotLight.#validateConeAngle(angle);
+
+        this.#outerAngle = angle;
+    }
+
+    /**
+     * Returns the cosines of the inner and outer cone angles, as they are
+     * compared in the shader. An inner angle larger than the outer angle is
+     * treated like the outer angle.
+     */
+    getConeCosines()
+    {
+        const outer = this.#outerAngle.radians;
+        const inner = Math.min(this.#innerAngle.radians, outer);
+
+        return [Math.cos(inner), Math.cos(outer)];
+    }
+
+    /**
+     * Validates that a cone angle is an Angle between 0 and 90 degrees.
+     */
+    static #validateConeAngle(angle)
+    {
+        Angle.validateInstance(angle);
+
+        if (angle.degrees < 0 || angle.degrees > 90) {
+            throw new RangeError(
+                'Invalid value for cone angle: must be between 0 and 90 degrees'
+            );
+        }
+    }
+
+    /**
+     * Returns the storage layout of a spot light.
+     */
+    static get LAYOUT()
+    {
+        return {
+            position: 'vec3<f32>',
+            direction: 'vec3<f32>',
+            color: 'vec3<f32>',
+            intensity: 'f32',
+            range: 'f32',
+            attenuation: 'f32',
+            inner_cone: 'f32',
+            outer_cone: 'f32'
+        }
+    }
+}
+
+export {
+    SpotLight
+};
@@ -9,6 +9,8 @@ import { Material } from './material.js';
  */
 class BasicMaterial extends Material
 {
+    #colorMode = Material.UNIFORM_COLOR;
+
     constructor(settings = {})
     {
         if (settings.name) {
@@ -18,25 +20,65 @@ class BasicMaterial extends Material
         }
 
         const mode = settings.colorMode ?? Material.UNIFORM_COLOR;
+        BasicMaterial.validateColorMode(mode);
+        this.#colorMode = mode;
 
         if (mode === Material.VERTEX_COLOR ||
-            mode === Material.COLOR_BLEND
+            mode === Material.COLOR_BLEND ||
+            mode === Material.TEXTURE_VERTEX
         ) {
             this.setUseVertexColor(true);
         }
 
-        const shader = BasicShader.createShader(settings.colorMode);
-        this.setShader(shader);
+        const instanced = settings.instanced ?? false;
+        this.setUseInstancing(instanced);
+
+        const textures = settings.textures ?? {};
 
-        if (mode === Material.COLOR_BLEND) {
+        for (const slot of Object.keys(textures)) {
+            this.setTextureSlot(slot, textures[slot]);
+        }
+
+        if (settings.emissiveMap) {
+            this.setEmissiveMap(settings.emissiveMap);
+        }
+
+        this.setShader(this._createShader());
+
+        if (mode === Material.COLOR_BLEND ||
+            mode === Material.TEXTURE_BLEND
+        ) {
             this.setColorBlend(settings.colorBlend ?? 0.5);
         }
 
         if (mode === Material.COLOR_BLEND ||
-            mode === Material.UNIFORM_COLOR
+            mode === Material.UNIFORM_COLOR ||
+            mode === Material.TEXTURE_TINT ||
+            mode === Material.TEXTURE_BLEND
         ) {
             this.setColor(settings.color ?? Color.GREY);
         }
+
+        this._applyEmissiveSettings(settings);
+
+        this.setTransparent(settings.transparent ?? false);
+        this.setWireframe(settings.wireframe ?? false);
+        this.setWireframeOverlay(settings.wireframeOverlay ?? false);
+
+        if (settings.wireframeColor) {
+            this.setWireframeColor(settings.wireframeColor);
+        }
+    }
+
+    /**
+     * Builds the basic shader for the color mode and the filled texture
+     * slots.
+     */
+    _createShader()
+    {
+        return BasicShader.createShader(
+            this.#colorMode, this.getUseInstancing(), this.getTextureSlots()
+        );
     }
 
     /**
@@ -48,7 +90,10 @@ class BasicMaterial extends Material
             Material.VERTEX_COLOR,
             Material.UNIFORM_COLOR,
             Material.COLOR_BLEND,
-            Material.TEXTURE_RAW
+            Material.TEXTURE_RAW,
+            Material.TEXTURE_TINT,
+            Material.TEXTURE_BLEND,
+            Material.TEXTURE_VERTEX
         ];
 
         if (!validModes.includes(mode)) {
@@ -9,6 +9,8 @@ import { Material } from './material.js';
  */
 class LambertMaterial extends Material
 {
+    #colorMode = Material.UNIFORM_COLOR;
+
     constructor(settings = {})
     {
         if (settings.name) {
@@ -18,25 +20,76 @@ class LambertMaterial extends Material
         }
 
         const mode = settings.colorMode ?? Material.UNIFORM_COLOR;
+        LambertMaterial.validateColorMode(mode);
+        this.#colorMode = mode;
 
         if (mode === Material.VERTEX_COLOR ||
-            mode === Material.COLOR_BLEND
+            mode === Material.COLOR_BLEND ||
+            mode === Material.TEXTURE_VERTEX
         ) {
             this.setUseVertexColor(true);
         }
 
-        const shader = LambertShader.createShader(settings.colorMode);
-        this.setShader(shader);
+        const instanced = settings.instanced ?? false;
+        this.setUseInstancing(instanced);
+
+        const textures = settings.textures ?? {};
+
+        for (const slot of Object.keys(textures)) {
+            this.setTextureSlot(slot, textures[slot]);
+        }
+
+        if (settings.normalMap) {
+            this.setTextureSlot(Material.SLOT_NORMAL, settings.normalMap);
+        }
+
+        if (settings.emissiveMap) {
+            this.setEmissiveMap(settings.emissiveMap);
+        }
+
+        this.setShader(this._createShader());
 
-        if (mode === Material.COLOR_BLEND) {
+        if (mode === Material.COLOR_BLEND ||
+            mode === Material.TEXTURE_BLEND
+        ) {
             this.setColorBlend(settings.colorBlend ?? 0.5);
         }
 
         if (mode === Material.COLOR_BLEND ||
-            mode === Material.UNIFORM_COLOR
+            mode === Material.UNIFORM_COLOR ||
+            mode === Material.TEXTURE_TINT ||
+            mode === Material.TEXTURE_BLEND
         ) {
             this.setColor(settings.color ?? Color.GREY);
         }
+
+        this._applyEmissiveSettings(settings);
+
+        this.setTransparent(settings.transparent ?? false);
+        this.setWireframe(settings.wireframe ?? false);
+        this.setWireframeOverlay(settings.wireframeOverlay ?? false);
+
+        if (settings.wireframeColor) {
+            this.setWireframeColor(settings.wireframeColor);
+        }
+    }
+
+    /**
+     * Gets the tangent space normal map, or null if the material has none.
+     */
+    getNormalMap() {
+        return this.getTextureSlot(Material.SLOT_NORMAL);
+    }
+
+    /**
+     * Builds the lambert shader for the color mode and the filled texture
+     * slots.
+     */
+    _createShader()
+    {
+        return LambertShader.createShader(
+            this.#colorMode, this.getUseInstancing(), this.getTextureSlots()
+        );
     }
 
     /**
@@ -48,7 +101,10 @@ class LambertMaterial extends Material
             Material.VERTEX_COLOR,
             Material.UNIFORM_COLOR,
             Material.COLOR_BLEND,
-            Material.TEXTURE_RAW
+            Material.TEXTURE_RAW,
+            Material.TEXTURE_TINT,
+            Material.TEXTURE_BLEND,
+            Material.TEXTURE_VERTEX
         ];
 
         if (!validModes.includes(mode)) {
@@ -4,6 +4,7 @@ import { Engine } from '../../engine.js';
 import { Shader } from '../shader.js';
 import { TextureAttachment} from '../texture/texture-attachment.js';
 import { UniformBuffer } from '../buffer/uniform-buffer.js';
+import { WireframeShader } from './shaders/wireframe-shader.js';
 
 /**
  * Abstract base Material class for WebGPU.
@@ -12,18 +13,35 @@ class Material
 {
     #name = null;
     #id = null;
-    #textureAttachment = null;
+    #textureSlots = new Map();
     #shader = null;
     #color = null;
     #colorBlend = null;
+    #emissive = null;
+    #emissiveSet = false;
+    #emissiveIntensity = 1;
     #cullMode = 'none';
     #vertexColors = false;
     #texture = false;
+    #uv = false;
+    #tangents = false;
+    #instancing = false;
+    #transparent = false;
+    #wireframe = false;
+    #wireframeOverlay = false;
+    #wireframeColor = null;
 
     #uniformBuffer = null;
     #bindGroupLayout = null;
     #bindGroup = null;
     #compiled = false;
+    #needsUpdate = false;
+
+    #wireframeShader = null;
+    #wireframeUniformBuffer = null;
+    #wireframeBindGroupLayout = null;
+    #wireframeBindGroup = null;
+    #wireframeNeedsUpdate = false;
 
     constructor(name = 'material')
     {
@@ -37,6 +55,11 @@ class Material
 
         this.#uniformBuffer = new UniformBuffer();
         this.setColor(Color.WHITE.clone());
+        this.#applyEmissive(Color.BLACK);
+        this.setEmissiveIntensity(1);
+
+        this.#wireframeUniformBuffer = new UniformBuffer();
+        this.setWireframeColor(Color.WHITE.clone());
     }
 
     /**
@@ -80,9 +103,7 @@ class Material
         }
 
         this.#color = color.clone();
-        this.#uniformBuffer.setUniform(
-            'color', this.#color.toArray(), 'vec4<f32>'
-        );
+        this._setUniform('color', this.#color.toArray(), 'vec4<f32>');
     }
 
     /**
@@ -108,11 +129,77 @@ class Material
         }
 
         this.#colorBlend = blend;
-        this.#uniformBuffer.setUniform(
-            'colorBlend', this.#colorBlend, 'f32'
+        this._setUniform('colorBlend', this.#colorBlend, 'f32');
+    }
+
+    /**
+     * Gets the color the material emits without any light.
+     */
+    getEmissive() {
+        return this.#emissive.clone();
+    }
+
+    /**
+     * Sets the color the material emits without any light. It is added after
+     * lighting, so the material stays bright in the dark. Until it is set,
+     * the emissive color is white while the material has an emissive map and
+     * black otherwise.
+     */
+    setEmissive(color)
+    {
+        if (!(color instanceof Color)) {
+            throw new TypeError('Color must be an instance of Color class.');
+        }
+
+        this.#emissiveSet = true;
+        this.#applyEmissive(color);
+    }
+
+    /**
+     * Gets the factor the emissive color is multiplied with.
+     */
+    getEmissiveIntensity() {
+        return this.#emissiveIntensity;
+    }
+
+    /**
+     * Sets the factor the emissive color is multiplied with. Values above 1
+     * make the material glow brighter than its emissive color.
+     */
+    setEmissiveIntensity(intensity)
+    {
+        if (typeof intensity !== 'number' || !isFinite(intensity)) {
+            throw new TypeError(
+                'Invalid value for emissive intensity: expected a finite number'
+            );
+        }
+
+        if (intensity < 0) {
+            throw new RangeError('Emissive intensity must not be negative.');
+        }
+
+        this.#emissiveIntensity = intensity;
+        this._setUniform(
+            'emissiveIntensity', this.#emissiveIntensity, 'f32'
         );
     }
 
+    /**
+     * Gets the emissive map, or null if the material has none.
+     */
+    getEmissiveMap() {
+        return this.getTextureSlot(Material.SLOT_EMISSIVE);
+    }
+
+    /**
+     * Sets the emissive map, whose colors are multiplied with the emissive
+     * color and intensity. Null removes the map. Like every texture slot it
+     * cannot change once the material is compiled.
+     */
+    setEmissiveMap(textureAttachment) {
+        this.setTextureSlot(Material.SLOT_EMISSIVE, textureAttachment);
+    }
+
     /**
      * Configures the material to use vertex colors instead of uniform colors.
      */
@@ -152,6 +239,152 @@ class Material
         return this.#texture;
     }
 
+    /**
+     * Configures the material to read vertex tangents, for example to use a
+     * normal map.
+     */
+    setUseTangents(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Value must be of type boolean.');
+        }
+
+        this.#tangents = config;
+    }
+
+    /**
+     * Returns whether a material reads vertex tangents, which it always does
+     * with a normal map.
+     */
+    getUseTangents()
+    {
+        return this.#tangents
+            || this.#textureSlots.has(Material.SLOT_NORMAL);
+    }
+
+    /**
+     * Configures the material to read UV coordinates without a texture, for
+     * example in a custom shader.
+     */
+    setUseUv(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Value must be of type boolean.');
+        }
+
+        this.#uv = config;
+    }
+
+    /**
+     * Returns whether the material reads UV coordinates, either because it
+     * is configured to or for its texture or any other filled texture slot.
+     */
+    getUseUv() {
+        return this.#uv || this.#texture || this.#textureSlots.size > 0;
+    }
+
+    /**
+     * Configures the material to be used with instanced meshes.
+     */
+    setUseInstancing(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Value must be of type boolean.');
+        }
+
+        this.#instancing = config;
+    }
+
+    /**
+     * Returns whether a material is used with instanced meshes.
+     */
+    getUseInstancing() {
+        return this.#instancing;
+    }
+
+    /**
+     * Marks the material as transparent. Transparent materials are blended
+     * with what is behind them and do not write depth.
+     */
+    setTransparent(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Value must be of type boolean.');
+        }
+
+        this.#transparent = config;
+    }
+
+    /**
+     * Returns whether the material is transparent.
+     */
+    isTransparent() {
+        return this.#transparent;
+    }
+
+    /**
+     * Draws the edges of the mesh faces as lines instead of the shaded
+     * surface. Only used for meshes with triangle faces.
+     */
+    setWireframe(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Value must be of type boolean.');
+        }
+
+        this.#wireframe = config;
+    }
+
+    /**
+     * Returns whether the material draws a wireframe.
+     */
+    isWireframe() {
+        return this.#wireframe;
+    }
+
+    /**
+     * Configures the wireframe to be drawn on top of the shaded surface
+     * instead of replacing it.
+     */
+    setWireframeOverlay(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Value must be of type boolean.');
+        }
+
+        this.#wireframeOverlay = config;
+    }
+
+    /**
+     * Returns whether the wireframe is drawn on top of the shaded surface.
+     */
+    isWireframeOverlay() {
+        return this.#wireframeOverlay;
+    }
+
+    /**
+     * Gets the color of the wireframe lines.
+     */
+    getWireframeColor() {
+        return this.#wireframeColor.clone();
+    }
+
+    /**
+     * Sets the color of the wireframe lines.
+     */
+    setWireframeColor(color)
+    {
+        if (!(color instanceof Color)) {
+            throw new TypeError('Color must be an instance of Color class.');
+        }
+
+        this.#wireframeColor = color.clone();
+        this.#wireframeUniformBuffer.setUniform(
+            'color', this.#wireframeColor.toArray(), 'vec4<f32>'
+        );
+        this.#wireframeNeedsUpdate = true;
+    }
+
     /**
      * Gets the cull mode of this material. Either front, back or none.
      */
@@ -169,14 +402,16 @@ class Material
     }
 
     /**
-     * Gets the texture attachment associated with this material.
+     * Gets the texture attachment associated with this material, which is
+     * the one in the diffuse slot.
      */
     getTextureAttachment() {
-        return this.#textureAttachment;
+        return this.getTextureSlot(Material.SLOT_DIFFUSE);
     }
 
     /**
-     * Sets the texture attachment for this material.
+     * Sets the texture attachment for this material, which is the one in
+     * the diffuse slot.
      */
     setTextureAttachment(textureAttachment)
     {
@@ -186,7 +421,72 @@ class Material
             );
         }
 
-        this.#textureAttachment = textureAttachment;
+        this.setTextureSlot(Material.SLOT_DIFFUSE, textureAttachment);
+    }
+
+    /**
+     * Gets the texture attachment in a texture slot, or null if the slot is
+     * empty.
+     */
+    getTextureSlot(slot)
+    {
+        Material.validateTextureSlot(slot);
+
+        return this.#textureSlots.get(slot) ?? null;
+    }
+
+    /**
+     * Puts a texture attachment with its own sampler into a texture slot.
+     * Null empties the slot. The shader is rebuilt to read the filled slots,
+     * so slots cannot change once the material is compiled.
+     */
+    setTextureSlot(slot, textureAttachment)
+    {
+        Material.validateTextureSlot(slot);
+
+        if (textureAttachment !== null
+            && !(textureAttachment instanceof TextureAttachment)
+        ) {
+            throw new TypeError(
+                'Texture attachment must be a valid TextureAttachment instance.'
+            );
+        }
+
+        if (this.#compiled) {
+            throw new Error(
+                'Texture slots cannot be changed after compilation.'
+            );
+        }
+
+        if (textureAttachment === null) {
+            this.#textureSlots.delete(slot);
+        } else {
+            this.#textureSlots.set(slot, textureAttachment);
+        }
+
+        // Without an emissive color the emissive map shows as it is
+        if (slot === Material.SLOT_EMISSIVE && !this.#emissiveSet) {
+            this.#applyEmissive(
+                textureAttachment === null ? Color.BLACK : Color.WHITE
+            );
+        }
+
+        const shader = this._createShader();
+
+        if (shader !== null) {
+            this.setShader(shader);
+        }
+    }
+
+    /**
+     * Gets the names of the filled texture slots in the order they are
+     * bound.
+     */
+    getTextureSlots()
+    {
+        return Material.TEXTURE_SLOTS.filter(
+            slot => this.#textureSlots.has(slot)
+        );
     }
 
     /**
@@ -252,8 +552,9 @@ class Material
 
     /**
      * Compiles the material by creating the WebGPU shader and buffers.
+     * Throws a ShaderCompilationError if the shader does not compile.
      */
-    compile(device)
+    async compile(device)
     {
         if (this.#compiled) {
             return;
@@ -265,23 +566,176 @@ class Material
 
         Engine.validateDevice(device);
 
-        // Only compile texture when texture use is required
-        if (this.#texture) {
-            if (!this.#textureAttachment) {
-                throw new Error(
-                    'Need to set a texture attachment before '
-                    + 'compilation!'
-                );
-            }
+        // Texture modes read the diffuse slot
+        if (this.#texture && !this.#textureSlots.has(Material.SLOT_DIFFUSE)) {
+            throw new Error(
+                'Need to set a texture attachment before '
+                + 'compilation!'
+            );
+        }
 
-            this.#textureAttachment.getTexture().compile(device);
-            this.#textureAttachment.getSampler().compile(device);
+        for (const attachment of this.#textureSlots.values()) {
+            attachment.getTexture().compile(device);
+            attachment.getSampler().compile(device);
         }
-        
+
+        // Report broken WGSL before it surfaces as a pipeline error
         this.#shader.compile(device);
+        await this.#shader.validate();
+
         this.#uniformBuffer.compile(device);
         this.#createBindGroup(device);
         this.#compiled = true;
+        this.#needsUpdate = false;
+    }
+
+    /**
+     * Returns whether uniforms changed since the material was compiled or
+     * last updated.
+     */
+    needsUpdate() {
+        return this.#needsUpdate;
+    }
+
+    /**
+     * Writes the uniforms to the uniform buffer. A grown uniform buffer is
+     * bound with a new bind group.
+     */
+    update(device)
+    {
+        if (!this.#compiled) {
+            throw new Error('Material must be compiled before updating.');
+        }
+
+        const buffer = this.#uniformBuffer.getUniformBuffer();
+        this.#uniformBuffer.updateUniformBuffer(device);
+
+        if (this.#uniformBuffer.getUniformBuffer() !== buffer) {
+            this.#createBindGroup(device);
+        }
+
+        this.#needsUpdate = false;
+    }
+
+    /**
+     * Gets the shader used to draw the wireframe.
+     */
+    getWireframeShader()
+    {
+        if (!this.isWireframeCompiled()) {
+            throw new Error(
+                'Wireframe must be compiled before accessing its shader.'
+            );
+        }
+
+        return this.#wireframeShader;
+    }
+
+    /**
+     * Gets the bind group layout used to draw the wireframe.
+     */
+    getWireframeBindGroupLayout()
+    {
+        if (!this.isWireframeCompiled()) {
+            throw new Error(
+                'Wireframe must be compiled before accessing bind group layout.'
+            );
+        }
+
+        return this.#wireframeBindGroupLayout;
+    }
+
+    /**
+     * Gets the bind group used to draw the wireframe.
+     */
+    getWireframeBindGroup()
+    {
+        if (!this.isWireframeCompiled()) {
+            throw new Error(
+                'Wireframe must be compiled before accessing bind group.'
+            );
+        }
+
+        return this.#wireframeBindGroup;
+    }
+
+    /**
+     * Compiles the shader and buffers needed to draw the wireframe. This is
+     * separate from compile, because most materials never need them.
+     */
+    async compileWireframe(device)
+    {
+        if (this.isWireframeCompiled()) {
+            return;
+        }
+
+        Engine.validateDevice(device);
+
+        this.#wireframeShader = WireframeShader.createShader(
+            this.#instancing
+        );
+        this.#wireframeShader.compile(device);
+        await this.#wireframeShader.validate();
+
+        this.#wireframeUniformBuffer.compile(device);
+
+        this.#wireframeBindGroupLayout = device.createBindGroupLayout({
+            entries: [{
+                binding: 0,
+                visibility: GPUShaderStage.FRAGMENT,
+                buffer: {}
+            }]
+        });
+
+        this.#wireframeBindGroup = device.createBindGroup({
+            label: this.#name + '-wireframe',
+            layout: this.#wireframeBindGroupLayout,
+            entries: [{
+                binding: 0,
+                resource: {
+                    buffer: this.#wireframeUniformBuffer.getUniformBuffer()
+                }
+            }]
+        });
+
+        this.#wireframeNeedsUpdate = false;
+    }
+
+    /**
+     * Returns if the wireframe resources are compiled.
+     */
+    isWireframeCompiled() {
+        return this.#wireframeBindGroup !== null;
+    }
+
+    /**
+     * Returns whether the wireframe color changed since it was compiled or
+     * last updated.
+     */
+    wireframeNeedsUpdate() {
+        return this.#wireframeNeedsUpdate;
+    }
+
+    /**
+     * Writes the wireframe color to its uniform buffer.
+     */
+    updateWireframe(device)
+    {
+        if (!this.isWireframeCompiled()) {
+            throw new Error('Wireframe must be compiled before updating.');
+        }
+
+        this.#wireframeUniformBuffer.updateUniformBuffer(device);
+        this.#wireframeNeedsUpdate = false;
+    }
+
+    /**
+     * Returns whether the material draws an outline after its surface.
+     * Materials with an outline pass override this and provide its shader
+     * and bind group.
+     */
+    hasOutline() {
+        return false;
     }
 
     /**
@@ -307,9 +761,74 @@ class Material
             this.#shader.destroy();
         }
 
+        if (this.#wireframeUniformBuffer.isCompiled()) {
+            this.#wireframeUniformBuffer.destroy();
+        }
+
+        this.#wireframeShader = null;
+        this.#wireframeBindGroupLayout = null;
+        this.#wireframeBindGroup = null;
+
         this.#compiled = false;
     }
     
+    /**
+     * Forgets all GPU resources including the texture attachments, so the
+     * material can be compiled again on a new device.
+     */
+    reset()
+    {
+        this.destroy();
+
+        for (const attachment of this.#textureSlots.values()) {
+            attachment.getTexture().destroy();
+            attachment.getSampler().destroy();
+        }
+    }
+
+    /**
+     * Sets a uniform in the material buffer. Uniforms are laid out in the
+     * order they are first set, so subclasses set theirs in the order of
+     * their WGSL struct. They follow the color, the emissive color and
+     * intensity and the blend factor.
+     */
+    _setUniform(name, value, type)
+    {
+        this.#uniformBuffer.setUniform(name, value, type);
+        this.#needsUpdate = true;
+    }
+
+    /**
+     * Applies the emissive and emissiveIntensity settings of a subclass
+     * constructor. The emissive map is a texture slot and set with the
+     * other textures.
+     */
+    _applyEmissiveSettings(settings)
+    {
+        if (settings.emissive) {
+            this.setEmissive(settings.emissive);
+        }
+
+        this.setEmissiveIntensity(settings.emissiveIntensity ?? 1);
+    }
+
+    /**
+     * Builds the shader for the current texture slots. Subclasses with
+     * generated shaders override this, others keep the shader they set.
+     */
+    _createShader() {
+        return null;
+    }
+
+    /**
+     * Stores the emissive color and writes it to the uniform buffer.
+     */
+    #applyEmissive(color)
+    {
+        this.#emissive = color.clone();
+        this._setUniform('emissive', this.#emissive.toArray(), 'vec4<f32>');
+    }
+
     /**
      * Creates the bind group layout.
      */
@@ -318,21 +837,25 @@ class Material
         // Bind group layout
         let bindGroupLayoutEntries = [{
             binding: 0,
-            visibility: GPUShaderStage.FRAGMENT,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
             buffer: {},
         }];
 
-        if (this.#texture) {
+        // A sampler and a texture for every filled slot
+        const attachments = this.getTextureSlots()
+            .map(slot => this.#textureSlots.get(slot));
+
+        attachments.forEach((attachment, index) => {
             bindGroupLayoutEntries.push({
-                binding: 1,
+                binding: 1 + index * 2,
                 visibility: GPUShaderStage.FRAGMENT,
                 sampler: {},
             }, {
-                binding: 2,
+                binding: 2 + index * 2,
                 visibility: GPUShaderStage.FRAGMENT,
                 texture: {},
             });
-        }
+        });
 
         this.#bindGroupLayout = device.createBindGroupLayout({
             entries: bindGroupLayoutEntries
@@ -346,15 +869,15 @@ class Material
             }
         }];
 
-        if (this.#texture) {
+        attachments.forEach((attachment, index) => {
             bindGroupEntries.push({
-                binding: 1,
-                resource: this.#textureAttachment.getSampler().getGpuSampler()
+                binding: 1 + index * 2,
+                resource: attachment.getSampler().getGpuSampler()
             }, {
-                binding: 2,
-                resource: this.#textureAttachment.getTexture().getGpuTextureView()
+                binding: 2 + index * 2,
+                resource: attachment.getTexture().getGpuTextureView()
             });
-        }
+        });
 
         this.#bindGroup = device.createBindGroup({
             label: this.#name + '-material',
@@ -373,6 +896,16 @@ class Material
         }
     }
 
+    /**
+     * Ensures that the slot is one of the texture slots.
+     */
+    static validateTextureSlot(slot)
+    {
+        if (!Material.TEXTURE_SLOTS.includes(slot)) {
+            throw new Error(`Invalid texture slot: ${slot}.`);
+        }
+    }
+
     /**
      * Validates a cull mode.
      */
@@ -436,6 +969,62 @@ class Material
     static get TEXTURE_BLEND() {
         return 'texture_blend';
     }
+
+    // A list of texture slots. The diffuse slot holds the texture of the
+    // texture modes.
+
+    static get SLOT_DIFFUSE() {
+        return 'diffuse';
+    }
+
+    static get SLOT_EMISSIVE() {
+        return 'emissive';
+    }
+
+    static get SLOT_SPECULAR() {
+        return 'specular';
+    }
+
+    static get SLOT_ALPHA_MASK() {
+        return 'alphaMask';
+    }
+
+    static get SLOT_LIGHTMAP() {
+        return 'lightmap';
+    }
+
+    static get SLOT_NORMAL() {
+        return 'normal';
+    }
+
+    static get SLOT_METALLIC_ROUGHNESS() {
+        return 'metallicRoughness';
+    }
+
+    static get SLOT_OCCLUSION() {
+        return 'occlusion';
+    }
+
+    static get SLOT_RAMP() {
+        return 'ramp';
+    }
+
+    // All texture slots in the order they are bound
+
+    static get TEXTURE_SLOTS()
+    {
+        return [
+            Material.SLOT_DIFFUSE,
+            Material.SLOT_EMISSIVE,
+            Material.SLOT_SPECULAR,
+            Material.SLOT_ALPHA_MASK,
+            Material.SLOT_LIGHTMAP,
+            Material.SLOT_NORMAL,
+            Material.SLOT_METALLIC_ROUGHNESS,
+            Material.SLOT_OCCLUSION,
+            Material.SLOT_RAMP
+        ];
+    }
 }
 
 export {
@@ -0,0 +1,173 @@
+
+import { PhongShader } from './shaders/phong-shader.js';
+import { Color } from '../color.js';
+import { Material } from './material.js';
+
+/**
+ * Phong material implementation with vertex and uniform color support.
+ * Diffuse lighting with Blinn-Phong specular highlights.
+ */
+class PhongMaterial extends Material
+{
+    #specularColor = null;
+    #shininess = 32;
+    #colorMode = Material.UNIFORM_COLOR;
+
+    constructor(settings = {})
+    {
+        if (settings.name) {
+            super(settings.name);
+        } else {
+            super('PhongMaterial');
+        }
+
+        const mode = settings.colorMode ?? Material.UNIFORM_COLOR;
+        PhongMaterial.validateColorMode(mode);
+        this.#colorMode = mode;
+
+        if (mode === Material.VERTEX_COLOR ||
+            mode === Material.COLOR_BLEND ||
+            mode === Material.TEXTURE_VERTEX
+        ) {
+            this.setUseVertexColor(true);
+        }
+
+        const instanced = settings.instanced ?? false;
+        this.setUseInstancing(instanced);
+
+        const textures = settings.textures ?? {};
+
+        for (const slot of Object.keys(textures)) {
+            this.setTextureSlot(slot, textures[slot]);
+        }
+
+        if (settings.specularMap) {
+            this.setTextureSlot(Material.SLOT_SPECULAR, settings.specularMap);
+        }
+
+        if (settings.emissiveMap) {
+            this.setEmissiveMap(settings.emissiveMap);
+        }
+
+        this.setShader(this._createShader());
+
+        if (mode === Material.COLOR_BLEND ||
+            mode === Material.TEXTURE_BLEND
+        ) {
+            this.setColorBlend(settings.colorBlend ?? 0.5);
+        }
+
+        if (mode === Material.COLOR_BLEND ||
+            mode === Material.UNIFORM_COLOR ||
+            mode === Material.TEXTURE_TINT ||
+            mode === Material.TEXTURE_BLEND
+        ) {
+            this.setColor(settings.color ?? Color.GREY);
+        }
+
+        this._applyEmissiveSettings(settings);
+
+        this.setSpecularColor(settings.specularColor ?? Color.WHITE);
+        this.setShininess(settings.shininess ?? 32);
+
+        this.setTransparent(settings.transparent ?? false);
+        this.setWireframe(settings.wireframe ?? false);
+        this.setWireframeOverlay(settings.wireframeOverlay ?? false);
+
+        if (settings.wireframeColor) {
+            this.setWireframeColor(settings.wireframeColor);
+        }
+    }
+
+    /**
+     * Gets the color of the specular highlights.
+     */
+    getSpecularColor() {
+        return this.#specularColor.clone();
+    }
+
+    /**
+     * Sets the color of the specular highlights. Black disables them.
+     */
+    setSpecularColor(color)
+    {
+        if (!(color instanceof Color)) {
+            throw new TypeError('Color must be an instance of Color class.');
+        }
+
+        this.#specularColor = color.clone();
+        this._setUniform(
+            'specularColor', this.#specularColor.toArray(), 'vec4<f32>'
+        );
+    }
+
+    /**
+     * Gets the shininess exponent of the specular highlights.
+     */
+    getShininess() {
+        return this.#shininess;
+    }
+
+    /**
+     * Sets the shininess exponent. Higher values give smaller and sharper
+     * highlights.
+     */
+    setShininess(shininess)
+    {
+        if (typeof shininess !== 'number' || !isFinite(shininess)) {
+            throw new TypeError(
+                'Invalid value for shininess: expected a finite number'
+            );
+        }
+
+        if (shininess <= 0) {
+            throw new RangeError('Shininess must be greater than 0.');
+        }
+
+        this.#shininess = shininess;
+        this._setUniform('shininess', this.#shininess, 'f32');
+    }
+
+    /**
+     * Gets the texture attachment masking the specular highlights, or null
+     * if the material has none.
+     */
+    getSpecularMap() {
+        return this.getTextureSlot(Material.SLOT_SPECULAR);
+    }
+
+    /**
+     * Builds the phong shader for the color mode and the filled texture
+     * slots.
+     */
+    _createShader()
+    {
+        return PhongShader.createShader(
+            this.#colorMode, this.getUseInstancing(), this.getTextureSlots()
+        );
+    }
+
+    /**
+     * Ensure that the color mode is a valid option.
+     */
+    static validateColorMode(mode)
+    {
+        const validModes = [
+            Material.VERTEX_COLOR,
+            Material.UNIFORM_COLOR,
+            Material.COLOR_BLEND,
+            Material.TEXTURE_RAW,
+            Material.TEXTURE_TINT,
+            Material.TEXTURE_BLEND,
+            Material.TEXTURE_VERTEX
+        ];
+
+        if (!validModes.includes(mode)) {
+            throw new Error(`Invalid color mode: ${mode}.`);
+        }
+    }
+}
+
+export {
+    PhongMaterial
+};
@@ -0,0 +1,203 @@
+
+import { CustomShader } from './shaders/custom-shader.js';
+import { Color } from '../color.js';
+import { Material } from './material.js';
+import { UniformBuffer } from '../buffer/uniform-buffer.js';
+import { getUniformWgslType } from './shaders/parts/common.js';
+
+// Uniforms of every material, named as in the buffer and in WGSL
+
+const BUILT_IN_UNIFORMS = [
+    'color', 'emissive', 'emissiveIntensity', 'emissive_intensity'
+];
+
+/**
+ * Material running custom WGSL code. The vertex code defines vertex_main and
+ * the fragment code fragment_main, the camera, scene, light, model and
+ * material bindings are declared in front of them. Vertex attributes are
+ * the position at location 0 and the normal at location 1, followed by the
+ * uv, color and tangent attributes in this order if the material uses them.
+ * Both stages are separate shader modules, so the fragment code declares
+ * the struct it receives from the vertex stage again.
+ *
+ * The declared uniforms are members of the material uniform behind its
+ * color, emissive and emissive_intensity and can be changed at any time, for
+ * example every frame.
+ */
+class ShaderMaterial extends Material
+{
+    #vertexCode = null;
+    #fragmentCode = null;
+    #uniforms = new Map();
+
+    constructor(settings = {})
+    {
+        if (settings.name) {
+            super(settings.name);
+        } else {
+            super('ShaderMaterial');
+        }
+
+        if (typeof settings.vertexCode !== 'string' ||
+            typeof settings.fragmentCode !== 'string'
+        ) {
+            throw new TypeError(
+                'Shader material requires vertex and fragment code strings.'
+            );
+        }
+
+        this.#vertexCode = settings.vertexCode;
+        this.#fragmentCode = settings.fragmentCode;
+
+        this.setUseInstancing(settings.instanced ?? false);
+        this.setUseUv(settings.useUv ?? false);
+        this.setUseVertexColor(settings.useVertexColor ?? false);
+        this.setUseTangents(settings.useTangents ?? false);
+
+        this.setColor(settings.color ?? Color.WHITE);
+
+        this._applyEmissiveSettings(settings);
+
+        for (const uniform of settings.uniforms ?? []) {
+            this.#declareUniform(uniform);
+        }
+
+        const textures = settings.textures ?? {};
+
+        for (const slot of Object.keys(textures)) {
+            this.setTextureSlot(slot, textures[slot]);
+        }
+
+        this.setShader(this._createShader());
+
+        this.setTransparent(settings.transparent ?? false);
+        this.setWireframe(settings.wireframe ?? false);
+        this.setWireframeOverlay(settings.wireframeOverlay ?? false);
+
+        if (settings.wireframeColor) {
+            this.setWireframeColor(settings.wireframeColor);
+        }
+    }
+
+    /**
+     * Gets the vertex shader code without the generated bindings.
+     */
+    getVertexCode() {
+        return this.#vertexCode;
+    }
+
+    /**
+     * Gets the fragment shader code without the generated bindings.
+     */
+    getFragmentCode() {
+        return this.#fragmentCode;
+    }
+
+    /**
+     * Gets the names of the declared uniforms in buffer order.
+     */
+    getUniformNames() {
+        return Array.from(this.#uniforms.keys());
+    }
+
+    /**
+     * Gets the WGSL type of a declared uniform.
+     */
+    getUniformType(name)
+    {
+        this.#validateDeclared(name);
+
+        return this.#uniforms.get(name).type;
+    }
+
+    /**
+     * Gets the value of a declared uniform.
+     */
+    getUniform(name)
+    {
+        this.#validateDeclared(name);
+
+        return this.#uniforms.get(name).value;
+    }
+
+    /**
+     * Sets the value of a declared uniform. The new value is uploaded
+     * before the material is drawn next.
+     */
+    setUniform(name, value)
+    {
+        this.#validateDeclared(name);
+
+        const uniform = this.#uniforms.get(name);
+        UniformBuffer.validateBufferValueSize(value, uniform.type);
+
+        this._setUniform(name, value, uniform.type);
+        uniform.value = value;
+    }
+
+    /**
+     * Builds the shader from the custom code, the declared uniforms and
+     * the filled texture slots.
+     */
+    _createShader()
+    {
+        const uniforms = Array.from(
+            this.#uniforms,
+            ([name, uniform]) => [name, uniform.type]
+        );
+
+        return CustomShader.createShader(
+            this.#vertexCode,
+            this.#fragmentCode,
+            uniforms,
+            this.getUseInstancing(),
+            this.getTextureSlots()
+        );
+    }
+
+    /**
+     * Adds a uniform of the form { name, type, value } to the material.
+     */
+    #declareUniform(uniform)
+    {
+        if (typeof uniform !== 'object' || uniform === null) {
+            throw new TypeError(
+                'Uniform must be an object with name, type and value.'
+            );
+        }
+
+        const { name, type, value } = uniform;
+
+        if (typeof name !== 'string' || !/^[a-zA-Z]\w*$/.test(name)) {
+            throw new TypeError(`Invalid uniform name: ${name}.`);
+        }
+
+        if (BUILT_IN_UNIFORMS.includes(name)
+            || this.#uniforms.has(name)
+        ) {
+            throw new Error(`Uniform ${name} is already declared.`);
+        }
+
+        const wgslType = getUniformWgslType(type);
+        UniformBuffer.validateBufferValueType(wgslType);
+        UniformBuffer.validateBufferValueSize(value, wgslType);
+
+        this._setUniform(name, value, wgslType);
+        this.#uniforms.set(name, { type: wgslType, value });
+    }
+
+    /**
+     * Ensures that a uniform was declared with the material.
+     */
+    #validateDeclared(name)
+    {
+        if (!this.#uniforms.has(name)) {
+            throw new Error(`Uniform ${name} is not declared.`);
+        }
+    }
+
+}
+
+export {
+    ShaderMaterial
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+
+import { Background } from '../../background.js';
+import { ShaderRenderer } from './shader-renderer.js';
+
+// Background uniforms and bindings
+
+const BACKGROUND_UNIFORM = /*wgsl*/ `
+struct BackgroundUniforms {
+    top_color: vec4<f32>,
+    bottom_color: vec4<f32>
+}
+
+@group(2) @binding(0) var<uniform> background: BackgroundUniforms;`;
+
+const SKYBOX_BINDING = /*wgsl*/ `
+@group(2) @binding(1) var skybox_sampler: sampler;
+@group(2) @binding(2) var skybox_texture: texture_cube<f32>;`;
+
+// Gradient, one triangle covering the screen without a vertex buffer. The
+// height runs from 0 at the bottom to 1 at the top of the screen.
+
+const GRADIENT_OUTPUT = /*wgsl*/ `
+struct GradientOut {
+    @builtin(position) position: vec4<f32>,
+    @location(0) height: f32
+}`;
+
+const GRADIENT_VERTEX_SHADER = /*wgsl*/ `
+${GRADIENT_OUTPUT}
+
+@vertex
+fn vertex_main(@builtin(vertex_index) index: u32) -> GradientOut {
+    let corner = vec2<f32>(
+        f32((index << 1u) & 2u) * 2.0 - 1.0,
+        f32(index & 2u) * 2.0 - 1.0
+    );
+
+    var output: GradientOut;
+    output.position = vec4<f32>(corner, 0.0, 1.0);
+    output.height = corner.y * 0.5 + 0.5;
+
+    return output;
+}`;
+
+const GRADIENT_FRAGMENT_SHADER = /*wgsl*/ `
+${GRADIENT_OUTPUT}
+${BACKGROUND_UNIFORM}
+
+@fragment
+fn fragment_main(data: GradientOut) -> @location(0) vec4<f32> {
+    return mix(
+        background.bottom_color,
+        background.top_color,
+        clamp(data.height, 0.0, 1.0)
+    );
+}`;
+
+// Skybox, a cube around the camera without a vertex buffer. Only the
+// rotation of the view is applied, so the camera never moves closer to the
+// sky, and the cube is pushed onto the far plane.
+
+const SKYBOX_OUTPUT = /*wgsl*/ `
+struct SkyboxOut {
+    @builtin(position) position: vec4<f32>,
+    @location(0) direction: vec3<f32>
+}`;
+
+const SKYBOX_VERTEX_SHADER = /*wgsl*/ `
+#include <camera_uniform>
+#include <camera_uniform_bind>
+${SKYBOX_OUTPUT}
+
+@vertex
+fn vertex_main(@builtin(vertex_index) index: u32) -> SkyboxOut {
+    var corners = array<vec3<f32>, 8>(
+        vec3<f32>(-1.0, -1.0, -1.0), vec3<f32>(1.0, -1.0, -1.0),
+        vec3<f32>(-1.0, 1.0, -1.0), vec3<f32>(1.0, 1.0, -1.0),
+        vec3<f32>(-1.0, -1.0, 1.0), vec3<f32>(1.0, -1.0, 1.0),
+        vec3<f32>(-1.0, 1.0, 1.0), vec3<f32>(1.0, 1.0, 1.0)
+    );
+
+    var faces = array<u32, 36>(
+        0u, 1u, 2u, 2u, 1u, 3u,
+        4u, 6u, 5u, 5u, 6u, 7u,
+        0u, 2u, 4u, 4u, 2u, 6u,
+        1u, 5u, 3u, 3u, 5u, 7u,
+        0u, 4u, 1u, 1u, 4u, 5u,
+        2u, 3u, 6u, 6u, 3u, 7u
+    );
+
+    let corner = corners[faces[index]];
+    let rotation = mat3x3<f32>(
+        camera.view[0].xyz,
+        camera.view[1].xyz,
+        camera.view[2].xyz
+    );
+    let position = camera.projection * vec4<f32>(rotation * corner, 1.0);
+
+    var output: SkyboxOut;
+    output.position = position.xyww;
+    output.direction = corner;
+
+    return output;
+}`;
+
+// Cube textures are sampled in a left-handed space, flipping the z-axis
+// shows the +Z face in front of a camera looking along the negative z-axis
+
+const SKYBOX_FRAGMENT_SHADER = /*wgsl*/ `
+${SKYBOX_OUTPUT}
+${SKYBOX_BINDING}
+
+@fragment
+fn fragment_main(data: SkyboxOut) -> @location(0) vec4<f32> {
+    let direction = data.direction;
+
+    return textureSample(
+        skybox_texture,
+        skybox_sampler,
+        vec3<f32>(direction.x, direction.y, -direction.z)
+    );
+}`;
+
+/**
+ * This class creates a vertex and fragment shader that draws a gradient or
+ * skybox background behind a scene.
+ */
+class BackgroundShader extends ShaderRenderer
+{
+    #mode;
+
+    constructor(mode = Background.GRADIENT)
+    {
+        super();
+
+        if (mode !== Background.GRADIENT && mode !== Background.SKYBOX) {
+            throw new Error(`Background mode ${mode} is not drawn.`);
+        }
+
+        this.#mode = mode;
+    }
+
+    /**
+     * Renders the background vertex shader WGSL code.
+     */
+    renderVertexCode()
+    {
+        const source = this.#mode === Background.SKYBOX
+            ? SKYBOX_VERTEX_SHADER
+            : GRADIENT_VERTEX_SHADER;
+
+        return ShaderRenderer.preprocess(source);
+    }
+
+    /**
+     * Renders the background fragment shader WGSL code.
+     */
+    renderFragmentCode()
+    {
+        const source = this.#mode === Background.SKYBOX
+            ? SKYBOX_FRAGMENT_SHADER
+            : GRADIENT_FRAGMENT_SHADER;
+
+        return ShaderRenderer.preprocess(source);
+    }
+
+    /**
+     * Builds the shader of a gradient or skybox background.
+     */
+    static createShader(mode)
+    {
+        const shaderRenderer = new BackgroundShader(mode);
+        return shaderRenderer.getShader();
+    }
+
+    /**
+     * Gets the number of vertices drawn for a background mode, one triangle
+     * for gradients and the twelve triangles of a cube for skyboxes.
+     */
+    static getVertexCount(mode) {
+        return mode === Background.SKYBOX ? 36 : 3;
+    }
+}
+
+export {
+    BackgroundShader
+}
\ No newline at end of file
@@ -2,55 +2,54 @@
 import { BasicMaterial } from '../basic-material.js';
 import { Material } from '../material.js';
 import { ShaderRenderer } from './shader-renderer.js';
+import { createTextureBindings } from './parts/materials.js';
 
-import {
-    VERTEX_FUNCTION_COLOR,
-    VERTEX_FUNCTION_UV,
-    VERTEX_FUNCTION_NONE,
-    VERTEX_OUTPUT_COLOR,
-    VERTEX_OUTPUT_UV,
-    VERTEX_OUTPUT_NONE,
-    CAMERA_UNIFORM,
-    MODEL_UNIFORM,
-    CAMERA_UNIFORM_BIND,
-    MODEL_UNIFORM_BIND
-} from './parts/common.js';
-
-import {
-    MATERIAL_UNIFORM_COLOR,
-    MATERIAL_UNIFORM_BLEND,
-    MATERIAL_UNIFORM_BINDING,
-    TEXTURE_BIND
-} from './parts/materials.js';
-
-// Fragment stage functions
-
-const FRAGMENT_FUNCTION_COLOR = /*wgsl*/ `
-@fragment
-fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
-    return data.vertex_color;
-}`;
+// Texture slots the basic shader reads
 
-const FRAGMENT_FUNCTION_UNIFORM = /*wgsl*/ `
-@fragment
-fn fragment_main() -> @location(0) vec4<f32> {
-    return material.color;
-}`;
+const TEXTURE_SLOTS = [
+    Material.SLOT_DIFFUSE,
+    Material.SLOT_EMISSIVE,
+    Material.SLOT_ALPHA_MASK,
+    Material.SLOT_LIGHTMAP
+];
 
-const FRAGMENT_FUNCTION_BLEND = /*wgsl*/ `
-@fragment
-fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
-    return mix(
-        material.color,
-        data.vertex_color,
-        material.blend
-    );
-}`;
+// Vertex stage
+
+const VERTEX_SHADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <model_uniform>
+#ifdef INSTANCED
+#include <instance_storage>
+#endif
+
+#include <camera_uniform_bind>
+#include <model_uniform_bind>
+#ifdef INSTANCED
+#include <instance_storage_bind>
+#endif
+
+#include <vertex_main>`;
 
-const FRAGMENT_FUNCTION_TEXTURE = /*wgsl*/ `
-@fragment
-fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
-    return textureSample(mat_texture, mat_sampler, data.vertex_uv);
+// Fragment stage, the texture bindings follow the header
+
+const FRAGMENT_SHADER_HEADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <scene_uniform>
+#include <material_uniform>
+
+#include <camera_uniform_bind>
+#include <scene_uniform_bind>
+#include <material_uniform_binding>`;
+
+const FRAGMENT_SHADER_BODY = /*wgsl*/ `
+#include <fog_function>
+
+#include <fragment_function_start>
+    let final_color = vec4<f32> (end_color.rgb + emissive_color, end_color.a);
+
+    return apply_fog(final_color, data.vertex_position);
 }`;
 
 /**
@@ -60,59 +59,31 @@ fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
 class BasicShader extends ShaderRenderer
 {
     #mode;
+    #instanced;
+    #slots;
 
-    constructor(mode = Material.UNIFORM_COLOR)
+    constructor(mode = Material.UNIFORM_COLOR, instanced = false, slots = [])
     {
         super();
         
         BasicMaterial.validateColorMode(mode);
         this.#mode = mode;
-    }
 
-    /**
-     * Renders a basic vertex shader WGSL code.
-     */
-    renderVertexCode()
-    {
-        let vertexColorLine = '';
-        let vertexUvLine = '';
-        
-        if (this.#mode === Material.VERTEX_COLOR
-            || this.#mode === Material.COLOR_BLEND
-        ) {
-            vertexColorLine = 'output.vertex_color = color;';
+        if (typeof instanced !== 'boolean') {
+            throw new TypeError('Instanced setting must be of type boolean.');
         }
 
-        if (this.#mode === Material.TEXTURE_RAW) {
-            vertexUvLine = 'output.vertex_uv = uv;';
-        }
+        this.#instanced = instanced;
 
-        const vertexOutput = this.getVertexOutputStruct();
-        const vertexFunction = this.getVertexFunction();
-        
-        return /*wgsl*/ `
-        ${vertexOutput}
-        
-        ${CAMERA_UNIFORM}
-        ${MODEL_UNIFORM}
+        BasicShader.#validateSlots(slots);
+        this.#slots = Array.from(slots);
+    }
 
-        ${CAMERA_UNIFORM_BIND}
-        ${MODEL_UNIFORM_BIND}
-        
-        ${vertexFunction}
-            var output : VertexOut;
-            
-            var position4 = vec4<f32> (position, 1);
-            var view_position = model.model_view_matrix * position4;
-            
-            output.position = camera.projection * view_position;
-            output.vertex_position = (model.model_matrix * position4).xyz;
-            output.vertex_normal = model.normal_matrix * normal;
-            ${vertexColorLine}
-            ${vertexUvLine}
-        
-            return output;
-        }`;
+    /**
+     * Renders a basic vertex shader WGSL code.
+     */
+    renderVertexCode() {
+        return ShaderRenderer.preprocess(VERTEX_SHADER, this.getDefines());
     }
 
     /**
@@ -120,95 +91,83 @@ class BasicShader extends ShaderRenderer
      */
     renderFragmentCode()
     {
-        let vertexOutput = '';
-        let materialUniform = '';
-        let materialUniformBinding = '';
-        let textureBinding = '';
-        let fragmentFunction = '';
-
-        if (this.#mode === Material.UNIFORM_COLOR) {
-            vertexOutput = VERTEX_OUTPUT_NONE;
-            materialUniform = MATERIAL_UNIFORM_COLOR;
-            materialUniformBinding = MATERIAL_UNIFORM_BINDING;
-            fragmentFunction = FRAGMENT_FUNCTION_UNIFORM;
-        }
+        const source = FRAGMENT_SHADER_HEADER
+            + createTextureBindings(this.#slots)
+            + FRAGMENT_SHADER_BODY;
 
-        if (this.#mode === Material.COLOR_BLEND) {
-            vertexOutput = VERTEX_OUTPUT_COLOR;
-            materialUniform = MATERIAL_UNIFORM_BLEND;
-            materialUniformBinding = MATERIAL_UNIFORM_BINDING;
-            fragmentFunction = FRAGMENT_FUNCTION_BLEND;
-        }
-
-        if (this.#mode === Material.VERTEX_COLOR) {
-            vertexOutput = VERTEX_OUTPUT_COLOR;
-            fragmentFunction = FRAGMENT_FUNCTION_COLOR;
-        }
-
-        if (this.#mode === Material.TEXTURE_RAW) {
-            vertexOutput = VERTEX_OUTPUT_UV;
-            materialUniform = MATERIAL_UNIFORM_COLOR;
-            materialUniformBinding = MATERIAL_UNIFORM_BINDING;
-            textureBinding = TEXTURE_BIND;
-            fragmentFunction = FRAGMENT_FUNCTION_TEXTURE;
-        }
+        return ShaderRenderer.preprocess(source, this.getDefines());
+    }
 
-        return /*wgsl*/ `
-        ${vertexOutput}
-        ${materialUniform}
-        
-        ${materialUniformBinding}
-        ${textureBinding}
-        ${fragmentFunction}
-        `;
+    /**
+     * Gets the preprocessor defines selecting the shader variant for the
+     * color mode, instancing and the filled texture slots.
+     */
+    getDefines()
+    {
+        const mode = this.#mode;
+
+        return {
+            [`COLOR_MODE_${mode.toUpperCase()}`]: true,
+            INSTANCED: this.#instanced,
+            USE_VERTEX_COLOR: this.#useVertexColor(),
+            USE_UV: this.#useUv(),
+            USE_COLOR_BLEND: mode === Material.COLOR_BLEND
+                || mode === Material.TEXTURE_BLEND,
+            USE_LIGHTMAP: this.#slots.includes(Material.SLOT_LIGHTMAP),
+            USE_ALPHA_MASK: this.#slots.includes(Material.SLOT_ALPHA_MASK),
+            USE_EMISSIVE_MAP: this.#slots.includes(Material.SLOT_EMISSIVE)
+        };
     }
 
     /**
-     * Finds the right vertex output struct to use in the vertex shader.
+     * Returns whether the color mode reads vertex colors.
      */
-    getVertexOutputStruct()
+    #useVertexColor()
     {
-        let vertexOutput = '';
-
-        switch (this.#mode) {
-            case Material.VERTEX_COLOR: vertexOutput = VERTEX_OUTPUT_COLOR;
-                break;
-            case Material.COLOR_BLEND: vertexOutput = VERTEX_OUTPUT_COLOR;
-                break;
-            case Material.TEXTURE_RAW: vertexOutput = VERTEX_OUTPUT_UV;
-                break;
-            default: vertexOutput = VERTEX_OUTPUT_NONE;
-        }
+        return this.#mode === Material.VERTEX_COLOR
+            || this.#mode === Material.COLOR_BLEND
+            || this.#mode === Material.TEXTURE_VERTEX;
+    }
 
-        return vertexOutput;
+    /**
+     * Returns whether the texture or any other texture slot reads UV
+     * coordinates.
+     */
+    #useUv()
+    {
+        return this.#mode === Material.TEXTURE_RAW
+            || this.#mode === Material.TEXTURE_TINT
+            || this.#mode === Material.TEXTURE_BLEND
+            || this.#mode === Material.TEXTURE_VERTEX
+            || this.#slots.length > 0;
     }
 
     /**
-     * Finds the right vertex function signature to use in the vertex shader.
+     * Ensures the slots are a list of texture slots the shader can read.
      */
-    getVertexFunction()
+    static #validateSlots(slots)
     {
-        let vertexFunction = '';
-
-        switch (this.#mode) {
-            case Material.VERTEX_COLOR: vertexFunction = VERTEX_FUNCTION_COLOR;
-                break;
-            case Material.COLOR_BLEND: vertexFunction = VERTEX_FUNCTION_COLOR;
-                break;
-            case Material.TEXTURE_RAW: vertexFunction = VERTEX_FUNCTION_UV;
-                break;
-            default: vertexFunction = VERTEX_FUNCTION_NONE;
+        if (!Array.isArray(slots)) {
+            throw new TypeError('Slots must be an array of texture slots.');
         }
 
-        return vertexFunction;
+        for (const slot of slots) {
+            if (!TEXTURE_SLOTS.includes(slot)) {
+                throw new Error(
+                    `Texture slot ${slot} is not supported by this shader.`
+                );
+            }
+        }
     }
 
     /**
-     * Builds a shader with the provided color mode.
+     * Builds a shader with the provided color mode. Instanced shaders read
+     * per instance transformations and colors from a storage buffer. Every
+     * filled texture slot is bound in the given order.
      */
-    static createShader(mode)
+    static createShader(mode, instanced = false, slots = [])
     {
-        const shaderRenderer = new BasicShader(mode);
+        const shaderRenderer = new BasicShader(mode, instanced, slots);
         return shaderRenderer.getShader();
     }
 }
@@ -0,0 +1,166 @@
+
+import { ShaderRenderer } from './shader-renderer.js';
+
+import {
+    CAMERA_UNIFORM,
+    MODEL_UNIFORM,
+    SCENE_UNIFORM,
+    INSTANCE_STORAGE,
+    CAMERA_UNIFORM_BIND,
+    SCENE_UNIFORM_BIND,
+    MODEL_UNIFORM_BIND,
+    INSTANCE_STORAGE_BIND,
+    createUniformStruct
+} from './parts/common.js';
+
+import { FOG_FUNCTION } from './parts/fog.js';
+
+import {
+    DIRECTIONAL_LIGHT,
+    POINT_LIGHT,
+    SPOT_LIGHT,
+    DIRECTIONAL_STORAGE_BIND,
+    POINT_STORAGE_BIND,
+    SPOT_STORAGE_BIND
+} from './parts/lights.js';
+
+import {
+    MATERIAL_UNIFORM_BINDING,
+    createTextureBindings
+} from './parts/materials.js';
+
+/**
+ * This class completes the WGSL code of a shader material. The camera,
+ * model, scene, light and material bindings are declared in front of the
+ * given vertex and fragment code, so it only holds the entry points
+ * vertex_main and fragment_main.
+ */
+class CustomShader extends ShaderRenderer
+{
+    #vertexCode;
+    #fragmentCode;
+    #uniforms;
+    #instanced;
+    #slots;
+
+    constructor(
+        vertexCode, fragmentCode, uniforms = [], instanced = false, slots = []
+    ) {
+        super();
+
+        if (typeof vertexCode !== 'string' ||
+            typeof fragmentCode !== 'string'
+        ) {
+            throw new TypeError('Shader code must be of type string.');
+        }
+
+        this.#vertexCode = vertexCode;
+        this.#fragmentCode = fragmentCode;
+
+        if (!Array.isArray(uniforms)) {
+            throw new TypeError('Uniforms must be an array of name and type.');
+        }
+
+        this.#uniforms = Array.from(uniforms);
+
+        if (typeof instanced !== 'boolean') {
+            throw new TypeError('Instanced setting must be of type boolean.');
+        }
+
+        this.#instanced = instanced;
+
+        if (!Array.isArray(slots)) {
+            throw new TypeError('Slots must be an array of texture slots.');
+        }
+
+        this.#slots = Array.from(slots);
+    }
+
+    /**
+     * Renders the vertex shader WGSL code behind the vertex bindings.
+     */
+    renderVertexCode()
+    {
+        let instanceStorage = '';
+        let instanceStorageBinding = '';
+
+        if (this.#instanced) {
+            instanceStorage = INSTANCE_STORAGE;
+            instanceStorageBinding = INSTANCE_STORAGE_BIND;
+        }
+
+        return /*wgsl*/ `
+        ${CAMERA_UNIFORM}
+        ${MODEL_UNIFORM}
+        ${instanceStorage}
+        ${this.#renderMaterialUniform()}
+
+        ${CAMERA_UNIFORM_BIND}
+        ${MODEL_UNIFORM_BIND}
+        ${instanceStorageBinding}
+        ${MATERIAL_UNIFORM_BINDING}
+
+        ${this.#vertexCode}`;
+    }
+
+    /**
+     * Renders the fragment shader WGSL code behind the fragment bindings.
+     * The fog function is available to apply the scene fog.
+     */
+    renderFragmentCode()
+    {
+        return /*wgsl*/ `
+        ${CAMERA_UNIFORM}
+        ${SCENE_UNIFORM}
+        ${DIRECTIONAL_LIGHT}
+        ${POINT_LIGHT}
+        ${SPOT_LIGHT}
+        ${MODEL_UNIFORM}
+        ${this.#renderMaterialUniform()}
+
+        ${CAMERA_UNIFORM_BIND}
+        ${SCENE_UNIFORM_BIND}
+        ${DIRECTIONAL_STORAGE_BIND}
+        ${POINT_STORAGE_BIND}
+        ${SPOT_STORAGE_BIND}
+        ${MODEL_UNIFORM_BIND}
+        ${MATERIAL_UNIFORM_BINDING}
+        ${createTextureBindings(this.#slots)}
+
+        ${FOG_FUNCTION}
+
+        ${this.#fragmentCode}`;
+    }
+
+    /**
+     * Renders the material uniform struct. The material color and emissive
+     * uniforms come first, followed by the declared uniforms.
+     */
+    #renderMaterialUniform()
+    {
+        return createUniformStruct('MaterialUniforms', [
+            ['color', 'vec4<f32>'],
+            ['emissive', 'vec4<f32>'],
+            ['emissive_intensity', 'f32'],
+            ...this.#uniforms
+        ]);
+    }
+
+    /**
+     * Builds a shader from the given code. The uniforms are a list of name
+     * and WGSL type pairs in buffer order.
+     */
+    static createShader(
+        vertexCode, fragmentCode, uniforms = [], instanced = false, slots = []
+    ) {
+        const shaderRenderer = new CustomShader(
+            vertexCode, fragmentCode, uniforms, instanced, slots
+        );
+
+        return shaderRenderer.getShader();
+    }
+}
+
+export {
+    CustomShader
+};
\ No newline at end of file
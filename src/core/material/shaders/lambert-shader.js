@@ -2,83 +2,109 @@
 import { LambertMaterial } from '../lambert-material.js';
 import { Material } from '../material.js';
 import { ShaderRenderer } from './shader-renderer.js';
+import { createTextureBindings } from './parts/materials.js';
 
-import {
-    VERTEX_FUNCTION_COLOR,
-    VERTEX_FUNCTION_UV,
-    VERTEX_FUNCTION_NONE,
-    VERTEX_OUTPUT_COLOR,
-    VERTEX_OUTPUT_UV,
-    VERTEX_OUTPUT_NONE,
-    CAMERA_UNIFORM,
-    MODEL_UNIFORM,
-    CAMERA_UNIFORM_BIND,
-    MODEL_UNIFORM_BIND
-} from './parts/common.js';
-
-import {
-    AMBIENT_LIGHT,
-    DIRECTIONAL_LIGHT,
-    AMBIENT_STORAGE_BIND,
-    DIRECTIONAL_STORAGE_BIND
-} from './parts/lights.js';
-
-import {
-    MATERIAL_UNIFORM_COLOR,
-    MATERIAL_UNIFORM_BLEND,
-    MATERIAL_UNIFORM_BINDING,
-    TEXTURE_BIND
-} from './parts/materials.js';
+// Texture slots the lambert shader reads
 
-// Fragment stage functions
+const TEXTURE_SLOTS = [
+    Material.SLOT_DIFFUSE,
+    Material.SLOT_EMISSIVE,
+    Material.SLOT_ALPHA_MASK,
+    Material.SLOT_LIGHTMAP,
+    Material.SLOT_NORMAL
+];
+
+// Vertex stage
+
+const VERTEX_SHADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <model_uniform>
+#ifdef INSTANCED
+#include <instance_storage>
+#endif
+
+#include <camera_uniform_bind>
+#include <model_uniform_bind>
+#ifdef INSTANCED
+#include <instance_storage_bind>
+#endif
 
-const FRAGMENT_FUNCTION_START_COLOR = /*wgsl*/ `
-@fragment
-fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
-    var end_color = data.vertex_color;`;
-
-const FRAGMENT_FUNCTION_START_UNIFORM = /*wgsl*/ `
-@fragment
-fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
-    var end_color = material.color;`;
-
-const FRAGMENT_FUNCTION_START_BLEND = /*wgsl*/ `
-@fragment
-fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
-    var end_color = mix(
-        material.color,
-        data.vertex_color,
-        material.blend
-    );`;
-
-const FRAGMENT_FUNCTION_START_TEXTURE = /*wgsl*/ `
-@fragment
-fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
-    var end_color = textureSample(mat_texture, mat_sampler, data.vertex_uv);`;
+#include <vertex_main>`;
+
+// Diffuse light of a single light, tinted by the surface color
+
+const SURFACE_LIGHT_FUNCTION = /*wgsl*/ `
+struct LightSurface {
+    albedo: vec3<f32>
+}
+
+fn get_surface_light(
+    surface: LightSurface,
+    normal: vec3<f32>,
+    light_direction: vec3<f32>,
+    view_direction: vec3<f32>,
+    light_color: vec3<f32>,
+    attenuation: f32
+) -> vec3<f32> {
+    let diffuse = max(0.0, dot(normal, light_direction));
+
+    return surface.albedo * light_color * diffuse * attenuation;
+}`;
+
+// Fragment stage functions
 
 const FRAGMENT_FUNCTION_END = /*wgsl*/ `
-    var light_result = vec3<f32>(0.0, 0.0, 0.0);
+    let surface = LightSurface(end_color.rgb);
 
     // Ambient light
-    let ambient = ambient_light.color * ambient_light.intensity;
-    light_result += ambient;
+    var light_result = scene.ambient_color * scene.ambient_intensity
+        * surface.albedo;
 
-    // Directional lights
-    let lightCount: u32 = arrayLength(&directional_lights);
-    let vertexNormal = normalize(data.vertex_normal);
+#include <light_loops>
 
-    for (var i: u32 = 0; i < lightCount; i++) {
-        let light_direction = normalize(directional_lights[i].direction);
-        let light_color = directional_lights[i].color;
-        let light_intensity = directional_lights[i].intensity;
+    // Emissive light is added after lighting, so it stays bright in the dark
+    let final_color = vec4<f32> (light_result + emissive_color, end_color.a);
 
-        let diffuse = max(0.0, dot(vertexNormal, light_direction));
-        light_result += light_color * light_intensity * diffuse;
-    }
-    
-    return vec4<f32> (end_color.rgb * light_result, end_color.a);
+    return apply_fog(final_color, data.vertex_position);
 }`;
 
+// Fragment stage, the texture bindings follow the header
+
+const FRAGMENT_SHADER_HEADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <material_uniform>
+#include <model_uniform>
+#include <scene_uniform>
+#include <directional_light>
+#include <point_light>
+#include <spot_light>
+#include <shadow_uniform>
+
+#include <camera_uniform_bind>
+#include <material_uniform_binding>`;
+
+const FRAGMENT_SHADER_BODY = /*wgsl*/ `
+#include <scene_uniform_bind>
+#include <directional_storage_bind>
+#include <point_storage_bind>
+#include <spot_storage_bind>
+#include <shadow_map_bind>
+#include <model_uniform_bind>
+
+#include <light_functions>
+#include <shadow_function>
+#include <fog_function>
+${SURFACE_LIGHT_FUNCTION}
+
+#include <fragment_function_start>
+#include <fragment_normal>
+#ifdef USE_NORMAL_MAP
+#include <fragment_normal_map>
+#endif
+${FRAGMENT_FUNCTION_END}`;
+
 /**
  * This class creates a vertex and fragment shader for the lambert material.
  * It can use uniform colors, vertex colors or a blend between both.
@@ -86,161 +112,128 @@ const FRAGMENT_FUNCTION_END = /*wgsl*/ `
 class LambertShader extends ShaderRenderer
 {
     #mode;
-
-    constructor(mode = Material.UNIFORM_COLOR)
-    {
+    #instanced;
+    #slots;
+
+    constructor(
+        mode = Material.UNIFORM_COLOR,
+        instanced = false,
+        slots = []
+    ) {
         super();
         
         LambertMaterial.validateColorMode(mode);
         this.#mode = mode;
-    }
 
-    /**
-     * Renders a basic vertex shader WGSL code.
-     */
-    renderVertexCode()
-    {
-        let vertexColorLine = '';
-        let vertexUvLine = '';
-        
-        if (this.#mode === Material.VERTEX_COLOR
-            || this.#mode === Material.COLOR_BLEND
-        ) {
-            vertexColorLine = 'output.vertex_color = color;';
+        if (typeof instanced !== 'boolean') {
+            throw new TypeError('Instanced setting must be of type boolean.');
         }
 
-        if (this.#mode === Material.TEXTURE_RAW) {
-            vertexUvLine = 'output.vertex_uv = uv;';
-        }
+        this.#instanced = instanced;
 
-        const vertexOutput = this.getVertexOutputStruct();
-        const vertexFunction = this.getVertexFunction();
-        
-        return /*wgsl*/ `
-        ${vertexOutput}
-        
-        ${CAMERA_UNIFORM}
-        ${MODEL_UNIFORM}
+        LambertShader.#validateSlots(slots);
+        this.#slots = Array.from(slots);
+    }
 
-        ${CAMERA_UNIFORM_BIND}
-        ${MODEL_UNIFORM_BIND}
-        
-        ${vertexFunction}
-            var output : VertexOut;
-            
-            var position4 = vec4<f32> (position, 1);
-            var view_position = model.model_view_matrix * position4;
-            
-            output.position = camera.projection * view_position;
-            output.vertex_position = (model.model_matrix * position4).xyz;
-            output.vertex_normal = model.normal_matrix * normal;
-            ${vertexColorLine}
-            ${vertexUvLine}
-        
-            return output;
-        }`;
+    /**
+     * Renders a lambert vertex shader WGSL code.
+     */
+    renderVertexCode() {
+        return ShaderRenderer.preprocess(VERTEX_SHADER, this.getDefines());
     }
 
     /**
-     * Renders a basic fragment shader WGSL code.
+     * Renders a lambert fragment shader WGSL code.
      */
     renderFragmentCode()
     {
-        let vertexOutput = '';
-        let materialUniform = '';
-        let materialUniformBinding = '';
-        let textureBinding = '';
-        let fragmentFunction = '';
-
-        if (this.#mode === Material.UNIFORM_COLOR) {
-            vertexOutput = VERTEX_OUTPUT_NONE;
-            materialUniform = MATERIAL_UNIFORM_COLOR;
-            materialUniformBinding = MATERIAL_UNIFORM_BINDING;
-            fragmentFunction = FRAGMENT_FUNCTION_START_UNIFORM;
-        }
-
-        if (this.#mode === Material.COLOR_BLEND) {
-            vertexOutput = VERTEX_OUTPUT_COLOR;
-            materialUniform = MATERIAL_UNIFORM_BLEND;
-            materialUniformBinding = MATERIAL_UNIFORM_BINDING;
-            fragmentFunction = FRAGMENT_FUNCTION_START_BLEND;
-        }
+        const source = FRAGMENT_SHADER_HEADER
+            + createTextureBindings(this.#slots)
+            + FRAGMENT_SHADER_BODY;
 
-        if (this.#mode === Material.VERTEX_COLOR) {
-            vertexOutput = VERTEX_OUTPUT_COLOR;
-            fragmentFunction = FRAGMENT_FUNCTION_START_COLOR;
-        }
-
-        if (this.#mode === Material.TEXTURE_RAW) {
-            vertexOutput = VERTEX_OUTPUT_UV;
-            materialUniform = MATERIAL_UNIFORM_COLOR;
-            materialUniformBinding = MATERIAL_UNIFORM_BINDING;
-            textureBinding = TEXTURE_BIND;
-            fragmentFunction = FRAGMENT_FUNCTION_START_TEXTURE;
-        }
+        return ShaderRenderer.preprocess(source, this.getDefines());
+    }
 
-        return /*wgsl*/ `
-        ${vertexOutput}
-    
-        ${materialUniform}
-        ${AMBIENT_LIGHT}
-        ${DIRECTIONAL_LIGHT}
-        
-        ${materialUniformBinding}
-        ${textureBinding}
-        ${AMBIENT_STORAGE_BIND}
-        ${DIRECTIONAL_STORAGE_BIND}
+    /**
+     * Gets the preprocessor defines selecting the shader variant for the
+     * color mode, instancing and the filled texture slots.
+     */
+    getDefines()
+    {
+        const mode = this.#mode;
+
+        return {
+            [`COLOR_MODE_${mode.toUpperCase()}`]: true,
+            INSTANCED: this.#instanced,
+            USE_VERTEX_COLOR: this.#useVertexColor(),
+            USE_UV: this.#useUv(),
+            USE_TANGENTS: this.#useTangents(),
+            USE_COLOR_BLEND: mode === Material.COLOR_BLEND
+                || mode === Material.TEXTURE_BLEND,
+            USE_NORMAL_MAP: this.#slots.includes(Material.SLOT_NORMAL),
+            USE_LIGHTMAP: this.#slots.includes(Material.SLOT_LIGHTMAP),
+            USE_ALPHA_MASK: this.#slots.includes(Material.SLOT_ALPHA_MASK),
+            USE_EMISSIVE_MAP: this.#slots.includes(Material.SLOT_EMISSIVE)
+        };
+    }
 
-        ${fragmentFunction}
-        ${FRAGMENT_FUNCTION_END}`;
+    /**
+     * Returns whether the color mode reads vertex colors.
+     */
+    #useVertexColor()
+    {
+        return this.#mode === Material.VERTEX_COLOR
+            || this.#mode === Material.COLOR_BLEND
+            || this.#mode === Material.TEXTURE_VERTEX;
     }
 
     /**
-     * Finds the right vertex output struct to use in the vertex shader.
+     * Returns whether the texture or any other texture slot reads UV
+     * coordinates.
      */
-    getVertexOutputStruct()
+    #useUv()
     {
-        let vertexOutput = '';
-
-        switch (this.#mode) {
-            case Material.VERTEX_COLOR: vertexOutput = VERTEX_OUTPUT_COLOR;
-                break;
-            case Material.COLOR_BLEND: vertexOutput = VERTEX_OUTPUT_COLOR;
-                break;
-            case Material.TEXTURE_RAW: vertexOutput = VERTEX_OUTPUT_UV;
-                break;
-            default: vertexOutput = VERTEX_OUTPUT_NONE;
-        }
+        return this.#mode === Material.TEXTURE_RAW
+            || this.#mode === Material.TEXTURE_TINT
+            || this.#mode === Material.TEXTURE_BLEND
+            || this.#mode === Material.TEXTURE_VERTEX
+            || this.#slots.length > 0;
+    }
 
-        return vertexOutput;
+    /**
+     * Returns whether a normal map needs vertex tangents.
+     */
+    #useTangents() {
+        return this.#slots.includes(Material.SLOT_NORMAL);
     }
 
     /**
-     * Finds the right vertex function signature to use in the vertex shader.
+     * Ensures the slots are a list of texture slots the shader can read.
      */
-    getVertexFunction()
+    static #validateSlots(slots)
     {
-        let vertexFunction = '';
-
-        switch (this.#mode) {
-            case Material.VERTEX_COLOR: vertexFunction = VERTEX_FUNCTION_COLOR;
-                break;
-            case Material.COLOR_BLEND: vertexFunction = VERTEX_FUNCTION_COLOR;
-                break;
-            case Material.TEXTURE_RAW: vertexFunction = VERTEX_FUNCTION_UV;
-                break;
-            default: vertexFunction = VERTEX_FUNCTION_NONE;
+        if (!Array.isArray(slots)) {
+            throw new TypeError('Slots must be an array of texture slots.');
         }
 
-        return vertexFunction;
+        for (const slot of slots) {
+            if (!TEXTURE_SLOTS.includes(slot)) {
+                throw new Error(
+                    `Texture slot ${slot} is not supported by this shader.`
+                );
+            }
+        }
     }
 
     /**
-     * Builds a shader with the provided color mode.
+     * Builds a shader with the provided color mode. Instanced shaders read
+     * per instance transformations and colors from a storage buffer. Every
+     * filled texture slot is bound in the given order, with a normal map the
+     * shader also reads tangents.
      */
-    static createShader(mode)
+    static createShader(mode, instanced = false, slots = [])
     {
-        const shaderRenderer = new LambertShader(mode);
+        const shaderRenderer = new LambertShader(mode, instanced, slots);
         return shaderRenderer.getShader();
     }
 }
@@ -0,0 +1,121 @@
+
+import { ShaderRenderer } from './shader-renderer.js';
+
+// Outline uniforms and bindings
+
+const OUTLINE_UNIFORM = /*wgsl*/ `
+struct OutlineUniforms {
+    color: vec4<f32>,
+    thickness: f32
+}`;
+
+const OUTLINE_UNIFORM_BINDING = /*wgsl*/ `
+@group(2) @binding(0) var<uniform> outline: OutlineUniforms;`;
+
+// Vertex stage, pushing the surface outwards along its world space normal.
+// Drawing only its back faces leaves a hull around the silhouette.
+
+const VERTEX_SHADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <model_uniform>
+#ifdef INSTANCED
+#include <instance_storage>
+#endif
+${OUTLINE_UNIFORM}
+
+#include <camera_uniform_bind>
+#include <model_uniform_bind>
+#ifdef INSTANCED
+#include <instance_storage_bind>
+#endif
+${OUTLINE_UNIFORM_BINDING}
+
+#include <vertex_function>
+    var output : VertexOut;
+#ifdef INSTANCED
+#include <vertex_transform_instanced>
+#else
+#include <vertex_transform>
+#endif
+
+    let hull_position = output.vertex_position
+        + normalize(output.vertex_normal) * outline.thickness;
+
+    output.position = camera.projection * camera.view
+        * vec4<f32> (hull_position, 1);
+    output.vertex_position = hull_position;
+
+    return output;
+}`;
+
+const FRAGMENT_SHADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <scene_uniform>
+${OUTLINE_UNIFORM}
+
+#include <camera_uniform_bind>
+#include <scene_uniform_bind>
+${OUTLINE_UNIFORM_BINDING}
+
+#include <fog_function>
+
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    return apply_fog(outline.color, data.vertex_position);
+}`;
+
+/**
+ * This class creates a vertex and fragment shader that draws an inverted
+ * hull outline in a single color.
+ */
+class OutlineShader extends ShaderRenderer
+{
+    #instanced;
+
+    constructor(instanced = false)
+    {
+        super();
+
+        if (typeof instanced !== 'boolean') {
+            throw new TypeError('Instanced setting must be of type boolean.');
+        }
+
+        this.#instanced = instanced;
+    }
+
+    /**
+     * Renders the outline vertex shader WGSL code.
+     */
+    renderVertexCode()
+    {
+        return ShaderRenderer.preprocess(VERTEX_SHADER, {
+            INSTANCED: this.#instanced
+        });
+    }
+
+    /**
+     * Renders the outline fragment shader WGSL code.
+     */
+    renderFragmentCode()
+    {
+        return ShaderRenderer.preprocess(FRAGMENT_SHADER, {
+            INSTANCED: this.#instanced
+        });
+    }
+
+    /**
+     * Builds an outline shader. Instanced shaders read per instance
+     * transformations from a storage buffer.
+     */
+    static createShader(instanced = false)
+    {
+        const shaderRenderer = new OutlineShader(instanced);
+        return shaderRenderer.getShader();
+    }
+}
+
+export {
+    OutlineShader
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+
+import * as common from './common.js';
+import * as fog from './fog.js';
+import * as lights from './lights.js';
+import * as materials from './materials.js';
+import * as shadows from './shadows.js';
+
+// Creates the built-in chunks for #include directives from every part. A
+// chunk is named after its constant in lower case, VERTEX_OUTPUT becomes
+// vertex_output. The shader renderer registers them on first use.
+
+function createBuiltInChunks()
+{
+    const chunks = new Map();
+
+    for (const parts of [common, fog, lights, materials, shadows]) {
+        for (const [name, code] of Object.entries(parts)) {
+            if (typeof code === 'string') {
+                chunks.set(name.toLowerCase(), code);
+            }
+        }
+    }
+
+    return chunks;
+}
+
+export {
+    createBuiltInChunks
+}
\ No newline at end of file
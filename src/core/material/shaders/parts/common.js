@@ -1,38 +1,24 @@
 
-// Vertex output structs
+// Vertex output struct. Every output keeps its location, so both stages
+// agree in every variant.
 
-const VERTEX_OUTPUT_COLOR = /*wgsl*/ `
-struct VertexOut {
-    @builtin(position) position: vec4<f32>,
-    @location(0) vertex_position: vec3<f32>,
-    @location(1) vertex_normal: vec3<f32>,
-    @location(2) vertex_color: vec4<f32>
-}`;
-
-const VERTEX_OUTPUT_UV = /*wgsl*/ `
-struct VertexOut {
-    @builtin(position) position: vec4<f32>,
-    @location(0) vertex_position: vec3<f32>,
-    @location(1) vertex_normal: vec3<f32>,
-    @location(2) vertex_uv: vec2<f32>
-}
-`;
-
-const VERTEX_OUTPUT_UV_COLOR = /*wgsl*/ `
+const VERTEX_OUTPUT = /*wgsl*/ `
 struct VertexOut {
     @builtin(position) position: vec4<f32>,
     @location(0) vertex_position: vec3<f32>,
     @location(1) vertex_normal: vec3<f32>,
+#ifdef USE_UV
     @location(2) vertex_uv: vec2<f32>,
-    @location(3) vertex_color: vec4<f32>
-}
-`;
-
-const VERTEX_OUTPUT_NONE = /*wgsl*/ `
-struct VertexOut {
-    @builtin(position) position: vec4<f32>,
-    @location(0) vertex_position: vec3<f32>,
-    @location(1) vertex_normal: vec3<f32>
+#endif
+#ifdef USE_VERTEX_COLOR
+    @location(3) vertex_color: vec4<f32>,
+#endif
+#ifdef INSTANCED
+    @location(4) instance_color: vec4<f32>,
+#endif
+#ifdef USE_TANGENTS
+    @location(5) vertex_tangent: vec4<f32>,
+#endif
 }`;
 
 // Position and normal calculation uniforms
@@ -40,67 +26,219 @@ struct VertexOut {
 const CAMERA_UNIFORM = /*wgsl*/ `
 struct CameraUniforms {
     projection: mat4x4<f32>,
-    view: mat4x4<f32>
+    view: mat4x4<f32>,
+    position: vec3<f32>
 }`;
 
 const MODEL_UNIFORM = /*wgsl*/ `
 struct ModelUniforms {
     model_matrix: mat4x4<f32>,
-    model_view_matrix: mat4x4<f32>,
-    normal_matrix: mat3x3<f32>
+    normal_matrix: mat3x3<f32>,
+    receive_shadow: f32
+}`;
+
+// The scene uniform holds the accumulated ambient light and the fog. Fog
+// mode 0 means no fog, the others are the fog modes in order.
+
+const SCENE_UNIFORM = /*wgsl*/ `
+struct SceneUniforms {
+    ambient_color: vec3<f32>,
+    _padding: f32,
+    ambient_intensity: f32,
+    fog_color: vec3<f32>,
+    _fog_padding: f32,
+    fog_mode: u32,
+    fog_start: f32,
+    fog_end: f32,
+    fog_density: f32
+}`;
+
+const INSTANCE_STORAGE = /*wgsl*/ `
+struct Instance {
+    model_matrix: mat4x4<f32>,
+    normal_matrix: mat4x4<f32>,
+    color: vec4<f32>
 }`;
 
 const CAMERA_UNIFORM_BIND = /*wgsl*/ `
 @group(0) @binding(0) var<uniform> camera: CameraUniforms;`;
 
+const SCENE_UNIFORM_BIND = /*wgsl*/ `
+@group(1) @binding(0) var<uniform> scene: SceneUniforms;`;
+
 const MODEL_UNIFORM_BIND = /*wgsl*/ `
 @group(3) @binding(0) var<uniform> model: ModelUniforms;`;
 
-// Vertex stage function signatures
+const INSTANCE_STORAGE_BIND = /*wgsl*/ `
+@group(3) @binding(1) var<storage, read> instances: array<Instance>;`;
 
-const VERTEX_FUNCTION_COLOR = /*wgsl*/ `
-@vertex
-fn vertex_main(
-    @location(0) position: vec3<f32>,
-    @location(1) normal: vec3<f32>,
-    @location(2) color: vec4<f32>
-) -> VertexOut {`;
+// Uniform struct from name and WGSL type pairs in buffer order. A vec3 takes
+// 16 bytes in a uniform buffer, so a padding field follows each of them.
 
-const VERTEX_FUNCTION_UV = /*wgsl*/ `
-@vertex
-fn vertex_main(
-    @location(0) position: vec3<f32>,
-    @location(1) normal: vec3<f32>,
-    @location(2) uv: vec2<f32>
-) -> VertexOut {`;
+function createUniformStruct(structName, fields)
+{
+    const lines = [];
+
+    for (const [name, type] of fields) {
+        lines.push(`    ${name}: ${type}`);
+
+        if (type.startsWith('vec3')) {
+            lines.push(`    _${name}_padding: f32`);
+        }
+    }
+
+    return /*wgsl*/ `
+struct ${structName} {
+${lines.join(',\n')}
+}`;
+}
+
+// WGSL types of the shorthand aliases accepted by uniform buffers
+
+const UNIFORM_TYPE_ALIASES = {
+    'float': 'f32',
+    'int': 'i32',
+    'uint': 'u32',
+    'vec2': 'vec2<f32>',
+    'vec3': 'vec3<f32>',
+    'vec4': 'vec4<f32>',
+    'mat2': 'mat2x2<f32>',
+    'mat3': 'mat3x3<f32>',
+    'mat4': 'mat4x4<f32>',
+    'mat2x2': 'mat2x2<f32>',
+    'mat3x3': 'mat3x3<f32>',
+    'mat4x4': 'mat4x4<f32>'
+};
+
+// Resolves a uniform buffer type alias to the type used in a WGSL struct.
+// Booleans cannot be part of a uniform buffer in WGSL.
+
+function getUniformWgslType(type)
+{
+    const wgslType = UNIFORM_TYPE_ALIASES[type] ?? type;
+
+    if (typeof wgslType === 'string' && wgslType.includes('bool')) {
+        throw new TypeError(
+            'Boolean uniforms are not supported, use u32 instead.'
+        );
+    }
+
+    return wgslType;
+}
+
+// Vertex stage function signature. The vertex attributes follow each
+// other, tangents always come with UV coordinates.
 
-const VERTEX_FUNCTION_UV_COLOR = /*wgsl*/ `
+const VERTEX_FUNCTION = /*wgsl*/ `
 @vertex
 fn vertex_main(
+#ifdef INSTANCED
+    @builtin(instance_index) instance_index: u32,
+#endif
     @location(0) position: vec3<f32>,
     @location(1) normal: vec3<f32>,
+#ifdef USE_UV
     @location(2) uv: vec2<f32>,
-    @location(3) color: vec4<f32>
+#endif
+#if defined(USE_VERTEX_COLOR) && defined(USE_UV)
+    @location(3) color: vec4<f32>,
+#elif defined(USE_VERTEX_COLOR)
+    @location(2) color: vec4<f32>,
+#endif
+#if defined(USE_TANGENTS) && defined(USE_VERTEX_COLOR)
+    @location(4) tangent: vec4<f32>,
+#elif defined(USE_TANGENTS)
+    @location(3) tangent: vec4<f32>,
+#endif
 ) -> VertexOut {`;
 
-const VERTEX_FUNCTION_NONE =  /*wgsl*/ `
-@vertex
-fn vertex_main(
-    @location(0) position: vec3<f32>,
-    @location(1) normal: vec3<f32>
-) -> VertexOut {`;
+// Vertex stage position and normal transformations
+
+const VERTEX_TRANSFORM = /*wgsl*/ `
+    var position4 = vec4<f32> (position, 1);
+    var view_position = camera.view * model.model_matrix * position4;
+
+    output.position = camera.projection * view_position;
+    output.vertex_position = (model.model_matrix * position4).xyz;
+    output.vertex_normal = model.normal_matrix * normal;`;
+
+const VERTEX_TRANSFORM_INSTANCED = /*wgsl*/ `
+    let instance_data = instances[instance_index];
+    let instance_normal_matrix = mat3x3<f32>(
+        instance_data.normal_matrix[0].xyz,
+        instance_data.normal_matrix[1].xyz,
+        instance_data.normal_matrix[2].xyz
+    );
+
+    var position4 = instance_data.model_matrix * vec4<f32> (position, 1);
+    var view_position = camera.view * model.model_matrix * position4;
+
+    output.position = camera.projection * view_position;
+    output.vertex_position = (model.model_matrix * position4).xyz;
+    output.vertex_normal = model.normal_matrix
+        * instance_normal_matrix * normal;
+    output.instance_color = instance_data.color;`;
+
+// Vertex stage tangent transformations, tangents follow the surface like
+// positions do. The handedness is passed on unchanged.
+
+const VERTEX_TANGENT = /*wgsl*/ `
+    let world_tangent = model.model_matrix * vec4<f32> (tangent.xyz, 0);
+    output.vertex_tangent = vec4<f32> (world_tangent.xyz, tangent.w);`;
+
+const VERTEX_TANGENT_INSTANCED = /*wgsl*/ `
+    let world_tangent = model.model_matrix * instance_data.model_matrix
+        * vec4<f32> (tangent.xyz, 0);
+    output.vertex_tangent = vec4<f32> (world_tangent.xyz, tangent.w);`;
+
+// Vertex stage function for the preprocessor, passing on every output the
+// defines ask for
+
+const VERTEX_MAIN = /*wgsl*/ `
+#include <vertex_function>
+    var output : VertexOut;
+#ifdef INSTANCED
+#include <vertex_transform_instanced>
+#else
+#include <vertex_transform>
+#endif
+#ifdef USE_VERTEX_COLOR
+    output.vertex_color = color;
+#endif
+#ifdef USE_UV
+    output.vertex_uv = uv;
+#endif
+#if defined(USE_TANGENTS) && defined(INSTANCED)
+#include <vertex_tangent_instanced>
+#elif defined(USE_TANGENTS)
+#include <vertex_tangent>
+#endif
+
+    return output;
+}`;
+
+// Fragment stage color adjustments
+
+const FRAGMENT_INSTANCE_COLOR = /*wgsl*/ `
+    end_color = end_color * data.instance_color;`;
 
 export {
-    VERTEX_OUTPUT_COLOR,
-    VERTEX_OUTPUT_UV,
-    VERTEX_OUTPUT_UV_COLOR,
-    VERTEX_OUTPUT_NONE,
-    VERTEX_FUNCTION_COLOR,
-    VERTEX_FUNCTION_UV,
-    VERTEX_FUNCTION_UV_COLOR,
-    VERTEX_FUNCTION_NONE,
+    VERTEX_OUTPUT,
+    VERTEX_FUNCTION,
+    VERTEX_MAIN,
+    VERTEX_TRANSFORM,
+    VERTEX_TRANSFORM_INSTANCED,
+    VERTEX_TANGENT,
+    VERTEX_TANGENT_INSTANCED,
+    FRAGMENT_INSTANCE_COLOR,
     CAMERA_UNIFORM,
     MODEL_UNIFORM,
+    SCENE_UNIFORM,
+    INSTANCE_STORAGE,
     CAMERA_UNIFORM_BIND,
-    MODEL_UNIFORM_BIND
+    SCENE_UNIFORM_BIND,
+    MODEL_UNIFORM_BIND,
+    INSTANCE_STORAGE_BIND,
+    createUniformStruct,
+    getUniformWgslType
 };
\ No newline at end of file
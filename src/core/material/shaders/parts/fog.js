@@ -0,0 +1,32 @@
+
+// Fades a color into the fog color with the distance of a world position
+// from the camera. Needs the camera and the scene uniform.
+
+const FOG_FUNCTION = /*wgsl*/ `
+fn apply_fog(color: vec4<f32>, world_position: vec3<f32>) -> vec4<f32> {
+    if (scene.fog_mode == 0u) {
+        return color;
+    }
+
+    let fog_distance = distance(camera.position, world_position);
+    var visibility = 1.0;
+
+    if (scene.fog_mode == 1u) {
+        visibility = (scene.fog_end - fog_distance)
+            / max(scene.fog_end - scene.fog_start, 0.0001);
+    } else if (scene.fog_mode == 2u) {
+        visibility = exp(-scene.fog_density * fog_distance);
+    } else {
+        let fog_amount = scene.fog_density * fog_distance;
+        visibility = exp(-fog_amount * fog_amount);
+    }
+
+    return vec4<f32> (
+        mix(scene.fog_color, color.rgb, clamp(visibility, 0.0, 1.0)),
+        color.a
+    );
+}`;
+
+export {
+    FOG_FUNCTION
+};
\ No newline at end of file
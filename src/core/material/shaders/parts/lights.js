@@ -1,13 +1,6 @@
 
 // Light type structs
 
-const AMBIENT_LIGHT = /*wgsl*/ `
-struct AmbientLight {
-    color: vec3<f32>,
-    _padding: f32,
-    intensity: f32
-}`;
-
 const DIRECTIONAL_LIGHT = /*wgsl*/ `
 struct DirectionalLight {
     direction: vec3<f32>,
@@ -17,15 +10,154 @@ struct DirectionalLight {
     intensity: f32
 }`;
 
-const AMBIENT_STORAGE_BIND = /*wgsl*/ `
-@group(1) @binding(0) var<uniform> ambient_light: AmbientLight;`;
+const POINT_LIGHT = /*wgsl*/ `
+struct PointLight {
+    position: vec3<f32>,
+    _padding: f32,
+    color: vec3<f32>,
+    _padding2: f32,
+    intensity: f32,
+    range: f32,
+    attenuation: f32
+}`;
+
+const SPOT_LIGHT = /*wgsl*/ `
+struct SpotLight {
+    position: vec3<f32>,
+    _padding: f32,
+    direction: vec3<f32>,
+    _padding2: f32,
+    color: vec3<f32>,
+    _padding3: f32,
+    intensity: f32,
+    range: f32,
+    attenuation: f32,
+    inner_cone: f32,
+    outer_cone: f32
+}`;
 
 const DIRECTIONAL_STORAGE_BIND = /*wgsl*/ `
 @group(1) @binding(1) var<storage, read> directional_lights: array<DirectionalLight>;`;
 
+const POINT_STORAGE_BIND = /*wgsl*/ `
+@group(1) @binding(2) var<storage, read> point_lights: array<PointLight>;`;
+
+const SPOT_STORAGE_BIND = /*wgsl*/ `
+@group(1) @binding(3) var<storage, read> spot_lights: array<SpotLight>;`;
+
+// Light falloff helpers shared by the lit materials
+
+const LIGHT_FUNCTIONS = /*wgsl*/ `
+fn get_distance_falloff(
+    light_distance: f32,
+    range: f32,
+    attenuation: f32
+) -> f32 {
+    if (light_distance >= range) {
+        return 0.0;
+    }
+
+    return pow(1.0 - light_distance / range, attenuation);
+}
+
+fn get_spot_cone(light_direction: vec3<f32>, light: SpotLight) -> f32 {
+    let spot_cosine = dot(-light_direction, normalize(light.direction));
+    let cone = clamp(
+        (spot_cosine - light.outer_cone)
+            / max(light.inner_cone - light.outer_cone, 0.0001),
+        0.0,
+        1.0
+    );
+
+    return cone * cone;
+}`;
+
+// Fragment stage light loops shared by the lit materials. They add the light
+// of every directional, point and spot light to light_result. The material
+// declares a LightSurface struct filled as surface before the loops and a
+// get_surface_light function, which turns the color of one light, its
+// direction and its attenuation by shadow, range and cone into the light
+// the surface reflects.
+
+const LIGHT_LOOPS = /*wgsl*/ `
+    // Shadow of the shadow casting directional light
+    var shadow_visibility = 1.0;
+
+    if (shadow.enabled == 1u && model.receive_shadow > 0.0) {
+        shadow_visibility = get_shadow_visibility(data.vertex_position);
+    }
+
+    let view_direction = normalize(camera.position - data.vertex_position);
+
+    // Directional lights
+    let lightCount: u32 = arrayLength(&directional_lights);
+
+    for (var i: u32 = 0; i < lightCount; i++) {
+        let light = directional_lights[i];
+        var attenuation = 1.0;
+
+        if (shadow.enabled == 1u && i == shadow.light_index) {
+            attenuation = shadow_visibility;
+        }
+
+        light_result += get_surface_light(
+            surface, vertexNormal, normalize(light.direction), view_direction,
+            light.color * light.intensity, attenuation
+        );
+    }
+
+    // Point lights, fading out towards their range
+    let pointLightCount: u32 = arrayLength(&point_lights);
+
+    for (var i: u32 = 0; i < pointLightCount; i++) {
+        let light = point_lights[i];
+        let to_light = light.position - data.vertex_position;
+        let light_distance = length(to_light);
+        let falloff = get_distance_falloff(
+            light_distance, light.range, light.attenuation
+        );
+
+        if (light.intensity <= 0.0 || falloff <= 0.0) {
+            continue;
+        }
+
+        light_result += get_surface_light(
+            surface, vertexNormal, to_light / light_distance, view_direction,
+            light.color * light.intensity, falloff
+        );
+    }
+
+    // Spot lights, additionally fading out between the inner and outer cone
+    let spotLightCount: u32 = arrayLength(&spot_lights);
+
+    for (var i: u32 = 0; i < spotLightCount; i++) {
+        let light = spot_lights[i];
+        let to_light = light.position - data.vertex_position;
+        let light_distance = length(to_light);
+        let falloff = get_distance_falloff(
+            light_distance, light.range, light.attenuation
+        );
+
+        if (light.intensity <= 0.0 || falloff <= 0.0) {
+            continue;
+        }
+
+        let light_direction = to_light / light_distance;
+        let cone = get_spot_cone(light_direction, light);
+
+        light_result += get_surface_light(
+            surface, vertexNormal, light_direction, view_direction,
+            light.color * light.intensity, falloff * cone
+        );
+    }`;
+
 export {
-    AMBIENT_LIGHT,
     DIRECTIONAL_LIGHT,
-    AMBIENT_STORAGE_BIND,
-    DIRECTIONAL_STORAGE_BIND
+    POINT_LIGHT,
+    SPOT_LIGHT,
+    DIRECTIONAL_STORAGE_BIND,
+    POINT_STORAGE_BIND,
+    SPOT_STORAGE_BIND,
+    LIGHT_FUNCTIONS,
+    LIGHT_LOOPS
 };
\ No newline at end of file
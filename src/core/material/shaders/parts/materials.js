@@ -1,29 +1,238 @@
 
-// Material uniforms
+// Material uniforms, every material starts with its color and the emissive
+// color and intensity
 
 const MATERIAL_UNIFORM_COLOR = /*wgsl*/ `
 struct MaterialUniforms {
-    color: vec4<f32>
+    color: vec4<f32>,
+    emissive: vec4<f32>,
+    emissive_intensity: f32
+}`;
+
+const MATERIAL_UNIFORM = /*wgsl*/ `
+struct MaterialUniforms {
+    color: vec4<f32>,
+    emissive: vec4<f32>,
+    emissive_intensity: f32,
+#ifdef USE_COLOR_BLEND
+    blend: f32
+#endif
 }`;
 
 const MATERIAL_UNIFORM_BLEND = /*wgsl*/ `
 struct MaterialUniforms {
     color: vec4<f32>,
+    emissive: vec4<f32>,
+    emissive_intensity: f32,
     blend: f32
 }`;
 
+const MATERIAL_UNIFORM_PHONG = /*wgsl*/ `
+struct MaterialUniforms {
+    color: vec4<f32>,
+    emissive: vec4<f32>,
+    emissive_intensity: f32,
+    specular_color: vec4<f32>,
+    shininess: f32
+}`;
+
+const MATERIAL_UNIFORM_PHONG_BLEND = /*wgsl*/ `
+struct MaterialUniforms {
+    color: vec4<f32>,
+    emissive: vec4<f32>,
+    emissive_intensity: f32,
+    blend: f32,
+    specular_color: vec4<f32>,
+    shininess: f32
+}`;
+
+const MATERIAL_UNIFORM_STANDARD = /*wgsl*/ `
+struct MaterialUniforms {
+    color: vec4<f32>,
+    emissive: vec4<f32>,
+    emissive_intensity: f32,
+    metallic: f32,
+    roughness: f32
+}`;
+
 const MATERIAL_UNIFORM_BINDING = /*wgsl*/ `
 @group(2) @binding(0) var<uniform> material: MaterialUniforms;`;
 
-// Texture bindings
+// Texture bindings, a sampler and a texture for every filled texture slot.
+// They follow the material uniform in the order the slots are given.
+
+function createTextureBindings(slots)
+{
+    return slots.map((slot, index) => {
+        const prefix = getTextureSlotPrefix(slot);
+        const binding = 1 + index * 2;
+
+        return /*wgsl*/ `
+@group(2) @binding(${binding}) var ${prefix}_sampler: sampler;
+@group(2) @binding(${binding + 1}) var ${prefix}_texture: texture_2d<f32>;`;
+    }).join('');
+}
+
+// WGSL variable prefix of a texture slot, alphaMask becomes alpha_mask
+
+function getTextureSlotPrefix(slot) {
+    return slot.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase());
+}
+
+// Interpolated normal of the fragment for the lit shaders
+
+const FRAGMENT_NORMAL = /*wgsl*/ `
+    var vertexNormal = normalize(data.vertex_normal);`;
+
+// Tilts the interpolated normal by a tangent space normal map
+
+const FRAGMENT_NORMAL_MAP = /*wgsl*/ `
+    let surface_tangent = normalize(
+        data.vertex_tangent.xyz
+            - vertexNormal * dot(vertexNormal, data.vertex_tangent.xyz)
+    );
+    let surface_bitangent = cross(vertexNormal, surface_tangent)
+        * data.vertex_tangent.w;
+    let map_normal = textureSample(
+        normal_texture, normal_sampler, data.vertex_uv
+    ).rgb * 2.0 - 1.0;
+
+    vertexNormal = normalize(
+        mat3x3<f32>(surface_tangent, surface_bitangent, vertexNormal)
+            * map_normal
+    );`;
+
+// Fragment stage function starts for every color mode
+
+const FRAGMENT_FUNCTION_START_COLOR = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    var end_color = data.vertex_color;`;
+
+const FRAGMENT_FUNCTION_START_UNIFORM = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    var end_color = material.color;`;
+
+const FRAGMENT_FUNCTION_START_BLEND = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    var end_color = mix(
+        material.color,
+        data.vertex_color,
+        material.blend
+    );`;
+
+const FRAGMENT_FUNCTION_START_TEXTURE = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    var end_color = textureSample(
+        diffuse_texture, diffuse_sampler, data.vertex_uv
+    );`;
+
+const FRAGMENT_FUNCTION_START_TEXTURE_TINT = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    var end_color = textureSample(
+        diffuse_texture, diffuse_sampler, data.vertex_uv
+    ) * material.color;`;
+
+const FRAGMENT_FUNCTION_START_TEXTURE_BLEND = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    var end_color = mix(
+        textureSample(diffuse_texture, diffuse_sampler, data.vertex_uv),
+        material.color,
+        material.blend
+    );`;
+
+const FRAGMENT_FUNCTION_START_TEXTURE_VERTEX = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    var end_color = textureSample(
+        diffuse_texture, diffuse_sampler, data.vertex_uv
+    ) * data.vertex_color;`;
+
+// Fragment stage function start for the preprocessor. The color mode is
+// chosen by its define, the texture slots read in every color mode follow.
+
+const FRAGMENT_FUNCTION_START = /*wgsl*/ `
+#if defined(COLOR_MODE_VERTEX_COLOR)
+#include <fragment_function_start_color>
+#elif defined(COLOR_MODE_UNIFORM_COLOR)
+#include <fragment_function_start_uniform>
+#elif defined(COLOR_MODE_COLOR_BLEND)
+#include <fragment_function_start_blend>
+#elif defined(COLOR_MODE_TEXTURE_RAW)
+#include <fragment_function_start_texture>
+#elif defined(COLOR_MODE_TEXTURE_TINT)
+#include <fragment_function_start_texture_tint>
+#elif defined(COLOR_MODE_TEXTURE_BLEND)
+#include <fragment_function_start_texture_blend>
+#elif defined(COLOR_MODE_TEXTURE_VERTEX)
+#include <fragment_function_start_texture_vertex>
+#endif
+#ifdef INSTANCED
+#include <fragment_instance_color>
+#endif
+#ifdef USE_LIGHTMAP
+#include <fragment_lightmap>
+#endif
+#ifdef USE_ALPHA_MASK
+#include <fragment_alpha_mask>
+#endif
+#include <fragment_emissive>
+#ifdef USE_EMISSIVE_MAP
+#include <fragment_emissive_map>
+#endif`;
+
+// Texture slots read in every color mode. The lightmap darkens the color
+// by baked lighting and the alpha mask multiplies the alpha by its red
+// channel. The emissive color is scaled by its intensity and the emissive
+// map, it is added after lighting.
+
+const FRAGMENT_LIGHTMAP = /*wgsl*/ `
+    end_color = vec4<f32> (
+        end_color.rgb * textureSample(
+            lightmap_texture, lightmap_sampler, data.vertex_uv
+        ).rgb,
+        end_color.a
+    );`;
+
+const FRAGMENT_ALPHA_MASK = /*wgsl*/ `
+    end_color.a *= textureSample(
+        alpha_mask_texture, alpha_mask_sampler, data.vertex_uv
+    ).r;`;
+
+const FRAGMENT_EMISSIVE = /*wgsl*/ `
+    var emissive_color = material.emissive.rgb * material.emissive_intensity;`;
 
-const TEXTURE_BIND = /*wgsl*/ `
-@group(2) @binding(1) var mat_sampler: sampler;
-@group(2) @binding(2) var mat_texture: texture_2d<f32>;`;
+const FRAGMENT_EMISSIVE_MAP = /*wgsl*/ `
+    emissive_color *= textureSample(
+        emissive_texture, emissive_sampler, data.vertex_uv
+    ).rgb;`;
 
 export {
+    MATERIAL_UNIFORM,
     MATERIAL_UNIFORM_COLOR,
     MATERIAL_UNIFORM_BLEND,
+    MATERIAL_UNIFORM_PHONG,
+    MATERIAL_UNIFORM_PHONG_BLEND,
+    MATERIAL_UNIFORM_STANDARD,
     MATERIAL_UNIFORM_BINDING,
-    TEXTURE_BIND
+    createTextureBindings,
+    FRAGMENT_NORMAL,
+    FRAGMENT_NORMAL_MAP,
+    FRAGMENT_FUNCTION_START,
+    FRAGMENT_FUNCTION_START_COLOR,
+    FRAGMENT_FUNCTION_START_UNIFORM,
+    FRAGMENT_FUNCTION_START_BLEND,
+    FRAGMENT_FUNCTION_START_TEXTURE,
+    FRAGMENT_FUNCTION_START_TEXTURE_TINT,
+    FRAGMENT_FUNCTION_START_TEXTURE_BLEND,
+    FRAGMENT_FUNCTION_START_TEXTURE_VERTEX,
+    FRAGMENT_LIGHTMAP,
+    FRAGMENT_ALPHA_MASK,
+    FRAGMENT_EMISSIVE,
+    FRAGMENT_EMISSIVE_MAP
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+
+// Shadow map uniforms
+
+const SHADOW_UNIFORM = /*wgsl*/ `
+struct ShadowUniforms {
+    light_matrix: mat4x4<f32>,
+    bias: f32,
+    texel_size: f32,
+    light_index: u32,
+    enabled: u32
+}`;
+
+const SHADOW_MAP_BIND = /*wgsl*/ `
+@group(1) @binding(4) var<uniform> shadow: ShadowUniforms;
+@group(1) @binding(5) var shadow_map: texture_depth_2d;
+@group(1) @binding(6) var shadow_sampler: sampler_comparison;`;
+
+// Returns how much of a world position is lit by the shadow casting light,
+// averaged over 3x3 shadow map texels for soft edges
+
+const SHADOW_FUNCTION = /*wgsl*/ `
+fn get_shadow_visibility(world_position: vec3<f32>) -> f32 {
+    let light_position = shadow.light_matrix * vec4<f32>(world_position, 1.0);
+    let uv = vec2<f32>(
+        light_position.x * 0.5 + 0.5,
+        0.5 - light_position.y * 0.5
+    );
+    let depth = light_position.z - shadow.bias;
+
+    // Everything outside of the shadow map is lit
+    let outside_uv = any(uv < vec2<f32>(0.0)) || any(uv > vec2<f32>(1.0));
+
+    if (outside_uv || depth > 1.0) {
+        return 1.0;
+    }
+
+    var visibility = 0.0;
+
+    for (var x: i32 = -1; x <= 1; x++) {
+        for (var y: i32 = -1; y <= 1; y++) {
+            let offset = vec2<f32>(f32(x), f32(y)) * shadow.texel_size;
+
+            visibility += textureSampleCompareLevel(
+                shadow_map, shadow_sampler, uv + offset, depth
+            );
+        }
+    }
+
+    return visibility / 9.0;
+}`;
+
+// Shadow map depth pass, which only needs the world position of the vertices
+
+const SHADOW_PASS_BIND = /*wgsl*/ `
+@group(0) @binding(0) var<uniform> shadow: ShadowUniforms;
+@group(1) @binding(0) var<uniform> model: ModelUniforms;`;
+
+const SHADOW_PASS_INSTANCE_BIND = /*wgsl*/ `
+@group(1) @binding(1) var<storage, read> instances: array<Instance>;`;
+
+const SHADOW_PASS_VERTEX_FUNCTION = /*wgsl*/ `
+@vertex
+fn vertex_main(
+    @location(0) position: vec3<f32>
+) -> @builtin(position) vec4<f32> {
+    let world_position = model.model_matrix * vec4<f32>(position, 1.0);
+
+    return shadow.light_matrix * world_position;
+}`;
+
+const SHADOW_PASS_VERTEX_FUNCTION_INSTANCED = /*wgsl*/ `
+@vertex
+fn vertex_main(
+    @builtin(instance_index) instance_index: u32,
+    @location(0) position: vec3<f32>
+) -> @builtin(position) vec4<f32> {
+    let instance_position = instances[instance_index].model_matrix
+        * vec4<f32>(position, 1.0);
+    let world_position = model.model_matrix * instance_position;
+
+    return shadow.light_matrix * world_position;
+}`;
+
+// The depth pass has no color output
+
+const SHADOW_PASS_FRAGMENT_FUNCTION = /*wgsl*/ `
+@fragment
+fn fragment_main() {
+}`;
+
+export {
+    SHADOW_UNIFORM,
+    SHADOW_MAP_BIND,
+    SHADOW_FUNCTION,
+    SHADOW_PASS_BIND,
+    SHADOW_PASS_INSTANCE_BIND,
+    SHADOW_PASS_VERTEX_FUNCTION,
+    SHADOW_PASS_VERTEX_FUNCTION_INSTANCED,
+    SHADOW_PASS_FRAGMENT_FUNCTION
+};
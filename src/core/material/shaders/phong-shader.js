@@ -0,0 +1,286 @@
+
+import { Material } from '../material.js';
+import { PhongMaterial } from '../phong-material.js';
+import { ShaderRenderer } from './shader-renderer.js';
+import { createTextureBindings } from './parts/materials.js';
+
+// Texture slots the phong shader reads
+
+const TEXTURE_SLOTS = [
+    Material.SLOT_DIFFUSE,
+    Material.SLOT_EMISSIVE,
+    Material.SLOT_SPECULAR,
+    Material.SLOT_ALPHA_MASK,
+    Material.SLOT_LIGHTMAP,
+    Material.SLOT_NORMAL
+];
+
+// Blinn-Phong specular term, using the half vector between the light and
+// the view direction. Surfaces facing away from the light get no highlight.
+
+const SPECULAR_FUNCTION = /*wgsl*/ `
+fn get_specular(
+    normal: vec3<f32>,
+    light_direction: vec3<f32>,
+    view_direction: vec3<f32>
+) -> f32 {
+    if (dot(normal, light_direction) <= 0.0) {
+        return 0.0;
+    }
+
+    let half_vector = normalize(light_direction + view_direction);
+
+    return pow(max(0.0, dot(normal, half_vector)), material.shininess);
+}`;
+
+// Diffuse light and highlight of a single light
+
+const SURFACE_LIGHT_FUNCTION = /*wgsl*/ `
+struct LightSurface {
+    albedo: vec3<f32>,
+    specular_color: vec3<f32>
+}
+
+fn get_surface_light(
+    surface: LightSurface,
+    normal: vec3<f32>,
+    light_direction: vec3<f32>,
+    view_direction: vec3<f32>,
+    light_color: vec3<f32>,
+    attenuation: f32
+) -> vec3<f32> {
+    let diffuse = max(0.0, dot(normal, light_direction));
+    let specular = get_specular(normal, light_direction, view_direction);
+
+    return light_color * attenuation
+        * (surface.albedo * diffuse + surface.specular_color * specular);
+}`;
+
+// Vertex stage
+
+const VERTEX_SHADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <model_uniform>
+#ifdef INSTANCED
+#include <instance_storage>
+#endif
+
+#include <camera_uniform_bind>
+#include <model_uniform_bind>
+#ifdef INSTANCED
+#include <instance_storage_bind>
+#endif
+
+#include <vertex_main>`;
+
+// Fragment stage functions
+
+const FRAGMENT_SPECULAR_COLOR = /*wgsl*/ `
+    var specular_color = material.specular_color.rgb;`;
+
+const FRAGMENT_SPECULAR_MAP = /*wgsl*/ `
+    specular_color *= textureSample(
+        specular_texture,
+        specular_sampler,
+        data.vertex_uv
+    ).rgb;`;
+
+const FRAGMENT_FUNCTION_END = /*wgsl*/ `
+    let surface = LightSurface(end_color.rgb, specular_color);
+
+    // Ambient light, which has no highlights
+    var light_result = scene.ambient_color * scene.ambient_intensity
+        * surface.albedo;
+
+#include <light_loops>
+
+    let final_color = vec4<f32> (light_result + emissive_color, end_color.a);
+
+    return apply_fog(final_color, data.vertex_position);
+}`;
+
+// Fragment stage, the texture bindings follow the header. The specular
+// color and shininess are needed in every color mode.
+
+const FRAGMENT_SHADER_HEADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#ifdef USE_COLOR_BLEND
+#include <material_uniform_phong_blend>
+#else
+#include <material_uniform_phong>
+#endif
+#include <model_uniform>
+#include <scene_uniform>
+#include <directional_light>
+#include <point_light>
+#include <spot_light>
+#include <shadow_uniform>
+
+#include <camera_uniform_bind>
+#include <material_uniform_binding>`;
+
+const FRAGMENT_SHADER_BODY = /*wgsl*/ `
+#include <scene_uniform_bind>
+#include <directional_storage_bind>
+#include <point_storage_bind>
+#include <spot_storage_bind>
+#include <shadow_map_bind>
+#include <model_uniform_bind>
+
+#include <light_functions>
+#include <shadow_function>
+#include <fog_function>
+${SPECULAR_FUNCTION}
+${SURFACE_LIGHT_FUNCTION}
+
+#include <fragment_function_start>
+${FRAGMENT_SPECULAR_COLOR}
+#ifdef USE_SPECULAR_MAP
+${FRAGMENT_SPECULAR_MAP}
+#endif
+#include <fragment_normal>
+#ifdef USE_NORMAL_MAP
+#include <fragment_normal_map>
+#endif
+${FRAGMENT_FUNCTION_END}`;
+
+/**
+ * This class creates a vertex and fragment shader for the phong material.
+ * It adds Blinn-Phong highlights to the diffuse lighting of the lambert
+ * shader, optionally masked by a specular map.
+ */
+class PhongShader extends ShaderRenderer
+{
+    #mode;
+    #instanced;
+    #slots;
+
+    constructor(
+        mode = Material.UNIFORM_COLOR,
+        instanced = false,
+        slots = []
+    ) {
+        super();
+
+        PhongMaterial.validateColorMode(mode);
+        this.#mode = mode;
+
+        if (typeof instanced !== 'boolean') {
+            throw new TypeError('Instanced setting must be of type boolean.');
+        }
+
+        this.#instanced = instanced;
+
+        PhongShader.#validateSlots(slots);
+        this.#slots = Array.from(slots);
+    }
+
+    /**
+     * Renders the phong vertex shader WGSL code.
+     */
+    renderVertexCode() {
+        return ShaderRenderer.preprocess(VERTEX_SHADER, this.getDefines());
+    }
+
+    /**
+     * Renders the phong fragment shader WGSL code.
+     */
+    renderFragmentCode()
+    {
+        const source = FRAGMENT_SHADER_HEADER
+            + createTextureBindings(this.#slots)
+            + FRAGMENT_SHADER_BODY;
+
+        return ShaderRenderer.preprocess(source, this.getDefines());
+    }
+
+    /**
+     * Gets the preprocessor defines selecting the shader variant for the
+     * color mode, instancing and the filled texture slots.
+     */
+    getDefines()
+    {
+        const mode = this.#mode;
+
+        return {
+            [`COLOR_MODE_${mode.toUpperCase()}`]: true,
+            INSTANCED: this.#instanced,
+            USE_VERTEX_COLOR: this.#useVertexColor(),
+            USE_UV: this.#useUv(),
+            USE_TANGENTS: this.#useTangents(),
+            USE_COLOR_BLEND: mode === Material.COLOR_BLEND
+                || mode === Material.TEXTURE_BLEND,
+            USE_NORMAL_MAP: this.#slots.includes(Material.SLOT_NORMAL),
+            USE_LIGHTMAP: this.#slots.includes(Material.SLOT_LIGHTMAP),
+            USE_ALPHA_MASK: this.#slots.includes(Material.SLOT_ALPHA_MASK),
+            USE_EMISSIVE_MAP: this.#slots.includes(Material.SLOT_EMISSIVE),
+            USE_SPECULAR_MAP: this.#slots.includes(Material.SLOT_SPECULAR)
+        };
+    }
+
+    /**
+     * Returns whether the color mode reads vertex colors.
+     */
+    #useVertexColor()
+    {
+        return this.#mode === Material.VERTEX_COLOR
+            || this.#mode === Material.COLOR_BLEND
+            || this.#mode === Material.TEXTURE_VERTEX;
+    }
+
+    /**
+     * Returns whether the texture or any other texture slot reads UV
+     * coordinates.
+     */
+    #useUv()
+    {
+        return this.#mode === Material.TEXTURE_RAW
+            || this.#mode === Material.TEXTURE_TINT
+            || this.#mode === Material.TEXTURE_BLEND
+            || this.#mode === Material.TEXTURE_VERTEX
+            || this.#slots.length > 0;
+    }
+
+    /**
+     * Returns whether a normal map needs vertex tangents.
+     */
+    #useTangents() {
+        return this.#slots.includes(Material.SLOT_NORMAL);
+    }
+
+    /**
+     * Ensures the slots are a list of texture slots the shader can read.
+     */
+    static #validateSlots(slots)
+    {
+        if (!Array.isArray(slots)) {
+            throw new TypeError('Slots must be an array of texture slots.');
+        }
+
+        for (const slot of slots) {
+            if (!TEXTURE_SLOTS.includes(slot)) {
+                throw new Error(
+                    `Texture slot ${slot} is not supported by this shader.`
+                );
+            }
+        }
+    }
+
+    /**
+     * Builds a shader with the provided color mode. Instanced shaders read
+     * per instance transformations and colors from a storage buffer. Every
+     * filled texture slot is bound in the given order, with a normal map the
+     * shader also reads tangents.
+     */
+    static createShader(mode, instanced = false, slots = [])
+    {
+        const shaderRenderer = new PhongShader(mode, instanced, slots);
+        return shaderRenderer.getShader();
+    }
+}
+
+export {
+    PhongShader
+};
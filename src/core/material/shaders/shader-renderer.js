@@ -1,12 +1,32 @@
 
 import { Shader } from '../../shader.js';
+import { createBuiltInChunks } from './parts/chunks.js';
 
 /**
  * This is an abstract class that renders the vertex and fragment shader code
  * for a material and creates a Shader from it.
+ *
+ * WGSL code can be preprocessed before it is compiled. The preprocessor
+ * understands the following directives, each on its own line:
+ *
+ * - #include <name> inserts the registered chunk with that name
+ * - #define NAME [value] and #undef NAME set and remove defines, a define
+ *   with a value replaces the name in the following code
+ * - #ifdef NAME, #ifndef NAME, #if expression, #elif expression, #else and
+ *   #endif keep or drop the lines between them
+ *
+ * Expressions combine defined(NAME), names, numbers and parentheses with the
+ * operators !, &&, ||, ==, !=, <, <=, > and >=. Undefined names are 0.
+ *
+ * Shaders remember which chunk every line of their code came from, so
+ * compilation errors can name the chunk.
  */
 class ShaderRenderer
 {
+    static #chunks = null;
+    static #variants = new Map();
+    static #origins = new Map();
+
     constructor()
     {
         if (this.constructor === ShaderRenderer) {
@@ -34,10 +54,519 @@ class ShaderRenderer
      */
     getShader()
     {
-        return new Shader(
-            this.renderVertexCode(),
-            this.renderFragmentCode()
+        const vertexCode = this.renderVertexCode();
+        const fragmentCode = this.renderFragmentCode();
+
+        return new Shader(vertexCode, fragmentCode, {
+            vertex: ShaderRenderer.getChunkOrigins(vertexCode),
+            fragment: ShaderRenderer.getChunkOrigins(fragmentCode)
+        });
+    }
+
+    /**
+     * Registers a named chunk of WGSL code for #include directives. A chunk
+     * registered again replaces the previous one.
+     */
+    static registerChunk(name, code)
+    {
+        if (typeof name !== 'string' || !/^[a-zA-Z]\w*$/.test(name)) {
+            throw new TypeError(`Invalid shader chunk name: ${name}.`);
+        }
+
+        if (typeof code !== 'string') {
+            throw new TypeError('Shader chunk code must be of type string.');
+        }
+
+        ShaderRenderer.#getChunks().set(name, code);
+        ShaderRenderer.#variants.clear();
+        ShaderRenderer.#origins.clear();
+    }
+
+    /**
+     * Returns whether a chunk with the given name is registered.
+     */
+    static hasChunk(name) {
+        return ShaderRenderer.#getChunks().has(name);
+    }
+
+    /**
+     * Gets the code of a registered chunk, or null if there is none.
+     */
+    static getChunk(name) {
+        return ShaderRenderer.#getChunks().get(name) ?? null;
+    }
+
+    /**
+     * Gets the names of all registered chunks.
+     */
+    static getChunkNames() {
+        return Array.from(ShaderRenderer.#getChunks().keys());
+    }
+
+    /**
+     * Preprocesses WGSL code with a set of defines. Defines with the value
+     * false are ignored, true defines a name without a value. The output is
+     * cached for every source and define set.
+     */
+    static preprocess(source, defines = {})
+    {
+        if (typeof source !== 'string') {
+            throw new TypeError('Shader source must be of type string.');
+        }
+
+        const initialDefines = ShaderRenderer.#createDefines(defines);
+        const definesKey = JSON.stringify(Array.from(initialDefines));
+
+        let variants = ShaderRenderer.#variants.get(source);
+
+        if (!variants) {
+            variants = new Map();
+            ShaderRenderer.#variants.set(source, variants);
+        }
+
+        if (!variants.has(definesKey)) {
+            const lines = ShaderRenderer.#processSource(
+                source, null, initialDefines, []
+            );
+
+            const code = lines.map(line => line.text).join('\n');
+            const origins = lines.map(line => line.origin);
+
+            variants.set(definesKey, code);
+            ShaderRenderer.#origins.set(code, origins);
+        }
+
+        return variants.get(definesKey);
+    }
+
+    /**
+     * Gets the origin of every line of WGSL code as an object with the chunk
+     * name and the line in the chunk, or null for lines outside of chunks.
+     * Code that was not preprocessed is searched for registered chunks.
+     */
+    static getChunkOrigins(code)
+    {
+        if (ShaderRenderer.#origins.has(code)) {
+            return Array.from(ShaderRenderer.#origins.get(code));
+        }
+
+        const origins = new Array(code.split('\n').length).fill(null);
+
+        // Longer chunks first, so chunks contained in others do not win
+        const chunks = Array.from(ShaderRenderer.#getChunks())
+            .filter(([, chunk]) => chunk.trim().length > 0)
+            .sort(([, a], [, b]) => b.length - a.length);
+
+        for (const [name, chunk] of chunks) {
+            const chunkLines = chunk.split('\n').length;
+            let index = code.indexOf(chunk);
+
+            while (index !== -1) {
+                const firstLine = code.slice(0, index).split('\n').length - 1;
+                const range = origins.slice(firstLine, firstLine + chunkLines);
+
+                if (range.every(origin => origin === null)) {
+                    for (let line = 0; line < chunkLines; line++) {
+                        origins[firstLine + line] = {
+                            chunk: name,
+                            line: line + 1
+                        };
+                    }
+                }
+
+                index = code.indexOf(chunk, index + chunk.length);
+            }
+        }
+
+        return origins;
+    }
+
+    /**
+     * Gets the registered chunks. The built-in chunks are registered on
+     * first use, so chunks registered by applications replace them.
+     */
+    static #getChunks()
+    {
+        if (ShaderRenderer.#chunks === null) {
+            ShaderRenderer.#chunks = createBuiltInChunks();
+        }
+
+        return ShaderRenderer.#chunks;
+    }
+
+    /**
+     * Creates a sorted map of the given defines so equal define sets share
+     * the same cache key.
+     */
+    static #createDefines(defines)
+    {
+        if (typeof defines !== 'object' || defines === null) {
+            throw new TypeError('Shader defines must be an object.');
+        }
+
+        const result = new Map();
+
+        for (const name of Object.keys(defines).sort()) {
+            const value = defines[name];
+
+            if (!/^[a-zA-Z_]\w*$/.test(name)) {
+                throw new TypeError(`Invalid shader define name: ${name}.`);
+            }
+
+            if (typeof value !== 'boolean' &&
+                typeof value !== 'number' &&
+                typeof value !== 'string'
+            ) {
+                throw new TypeError(
+                    `Shader define ${name} must be a boolean, number or string.`
+                );
+            }
+
+            if (value !== false) {
+                result.set(name, value);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Processes the lines of a source or chunk into lines of code with their
+     * origin. Includes are processed with the same defines, the stack holds
+     * the chunks being included.
+     */
+    static #processSource(source, chunkName, defines, stack)
+    {
+        const output = [];
+
+        // Every open conditional block remembers whether its parent is
+        // active, whether it is active and whether a branch was taken
+        const blocks = [];
+        const isActive = () => blocks.length === 0
+            || blocks[blocks.length - 1].active;
+
+        const lines = source.split('\n');
+
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index];
+            const location = chunkName === null
+                ? `source line ${index + 1}`
+                : `chunk ${chunkName} line ${index + 1}`;
+            const directive = line.trim().match(/^#(\w+)\s*(.*)$/);
+
+            if (!directive) {
+                if (isActive()) {
+                    output.push({
+                        text: ShaderRenderer.#replaceDefines(line, defines),
+                        origin: chunkName === null
+                            ? null
+                            : { chunk: chunkName, line: index + 1 }
+                    });
+                }
+
+                continue;
+            }
+
+            const [, name, argument] = directive;
+
+            if (name === 'ifdef' || name === 'ifndef' || name === 'if') {
+                const parentActive = isActive();
+                let condition = false;
+
+                if (parentActive) {
+                    condition = ShaderRenderer.#evaluateCondition(
+                        name, argument, defines, location
+                    );
+                }
+
+                blocks.push({
+                    parentActive,
+                    active: parentActive && condition,
+                    taken: condition,
+                    hasElse: false,
+                    location
+                });
+
+                continue;
+            }
+
+            if (name === 'elif' || name === 'else' || name === 'endif') {
+                const block = blocks[blocks.length - 1];
+
+                if (!block) {
+                    throw new Error(`#${name} without #if in ${location}.`);
+                }
+
+                if (name === 'endif') {
+                    blocks.pop();
+                    continue;
+                }
+
+                if (block.hasElse) {
+                    throw new Error(`#${name} after #else in ${location}.`);
+                }
+
+                let condition = false;
+
+                if (block.parentActive && !block.taken) {
+                    condition = name === 'else' || ShaderRenderer.#evaluate(
+                        argument, defines, location
+                    );
+                }
+
+                block.active = condition;
+                block.taken = block.taken || condition;
+                block.hasElse = name === 'else';
+
+                continue;
+            }
+
+            if (!isActive()) {
+                continue;
+            }
+
+            if (name === 'include') {
+                const include = argument.match(/^<(\w+)>$/);
+
+                if (!include) {
+                    throw new Error(`Invalid #include in ${location}.`);
+                }
+
+                const includeName = include[1];
+
+                if (!ShaderRenderer.#getChunks().has(includeName)) {
+                    throw new Error(
+                        `Shader chunk ${includeName} is not registered, ` +
+                        `included in ${location}.`
+                    );
+                }
+
+                if (stack.includes(includeName)) {
+                    throw new Error(
+                        `Shader chunk ${includeName} includes itself.`
+                    );
+                }
+
+                output.push(...ShaderRenderer.#processSource(
+                    ShaderRenderer.#getChunks().get(includeName),
+                    includeName,
+                    defines,
+                    [...stack, includeName]
+                ));
+
+                continue;
+            }
+
+            if (name === 'define') {
+                const define = argument.match(/^([a-zA-Z_]\w*)(?:\s+(.*))?$/);
+
+                if (!define) {
+                    throw new Error(`Invalid #define in ${location}.`);
+                }
+
+                defines.set(define[1], define[2]?.trim() ?? true);
+                continue;
+            }
+
+            if (name === 'undef') {
+                defines.delete(argument.trim());
+                continue;
+            }
+
+            throw new Error(
+                `Unknown preprocessor directive #${name} in ${location}.`
+            );
+        }
+
+        if (blocks.length > 0) {
+            const block = blocks[blocks.length - 1];
+            throw new Error(`Missing #endif for the #if in ${block.location}.`);
+        }
+
+        return output;
+    }
+
+    /**
+     * Evaluates the condition of an #ifdef, #ifndef or #if directive.
+     */
+    static #evaluateCondition(directive, argument, defines, location)
+    {
+        if (directive === 'if') {
+            return ShaderRenderer.#evaluate(argument, defines, location);
+        }
+
+        const name = argument.trim();
+
+        if (!/^[a-zA-Z_]\w*$/.test(name)) {
+            throw new Error(`Invalid #${directive} in ${location}.`);
+        }
+
+        return directive === 'ifdef'
+            ? defines.has(name)
+            : !defines.has(name);
+    }
+
+    /**
+     * Evaluates an #if or #elif expression with a small recursive descent
+     * parser. Returns whether the expression is not 0.
+     */
+    static #evaluate(expression, defines, location)
+    {
+        const tokens = expression.match(
+            /\s*(\d+(?:\.\d+)?|[a-zA-Z_]\w*|&&|\|\||[=!<>]=|[!()<>])\s*/gy
         );
+
+        if (!tokens || tokens.join('').length !== expression.length) {
+            throw new Error(`Invalid #if expression in ${location}.`);
+        }
+
+        let position = 0;
+        const items = tokens.map(token => token.trim());
+        const peek = () => items[position];
+        const next = () => items[position++];
+
+        const fail = () => {
+            throw new Error(`Invalid #if expression in ${location}.`);
+        };
+
+        const valueOf = name => {
+            if (!defines.has(name)) {
+                return 0;
+            }
+
+            const value = defines.get(name);
+
+            if (value === true) {
+                return 1;
+            }
+
+            const number = Number(value);
+            return isNaN(number) ? 1 : number;
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+
+            if (token === undefined) {
+                fail();
+            }
+
+            if (token === '!') {
+                return parsePrimary() ? 0 : 1;
+            }
+
+            if (token === '(') {
+                const value = parseOr();
+
+                if (next() !== ')') {
+                    fail();
+                }
+
+                return value;
+            }
+
+            if (token === 'defined') {
+                const parenthesized = peek() === '(';
+
+                if (parenthesized) {
+                    next();
+                }
+
+                const name = next();
+
+                if (!/^[a-zA-Z_]\w*$/.test(name ?? '')) {
+                    fail();
+                }
+
+                if (parenthesized && next() !== ')') {
+                    fail();
+                }
+
+                return defines.has(name) ? 1 : 0;
+            }
+
+            if (/^\d/.test(token)) {
+                return Number(token);
+            }
+
+            if (/^[a-zA-Z_]/.test(token)) {
+                return valueOf(token);
+            }
+
+            return fail();
+        };
+
+        const parseComparison = () => {
+            let value = parsePrimary();
+
+            while (['==', '!=', '<', '<=', '>', '>='].includes(peek())) {
+                const operator = next();
+                const other = parsePrimary();
+
+                value = {
+                    '==': value === other,
+                    '!=': value !== other,
+                    '<': value < other,
+                    '<=': value <= other,
+                    '>': value > other,
+                    '>=': value >= other
+                }[operator] ? 1 : 0;
+            }
+
+            return value;
+        };
+
+        const parseAnd = () => {
+            let value = parseComparison();
+
+            while (peek() === '&&') {
+                next();
+                const other = parseComparison();
+                value = value && other ? 1 : 0;
+            }
+
+            return value;
+        };
+
+        const parseOr = () => {
+            let value = parseAnd();
+
+            while (peek() === '||') {
+                next();
+                const other = parseAnd();
+                value = value || other ? 1 : 0;
+            }
+
+            return value;
+        };
+
+        const result = parseOr();
+
+        if (position !== items.length) {
+            fail();
+        }
+
+        return result !== 0;
+    }
+
+    /**
+     * Replaces every define with a value in a line of code.
+     */
+    static #replaceDefines(line, defines)
+    {
+        let result = line;
+
+        for (const [name, value] of defines) {
+            if (value === true) {
+                continue;
+            }
+
+            result = result.replace(
+                new RegExp(`\\b${name}\\b`, 'g'), String(value)
+            );
+        }
+
+        return result;
     }
 }
 
@@ -0,0 +1,83 @@
+
+import { ShaderRenderer } from './shader-renderer.js';
+
+import {
+    MODEL_UNIFORM,
+    INSTANCE_STORAGE
+} from './parts/common.js';
+
+import {
+    SHADOW_UNIFORM,
+    SHADOW_PASS_BIND,
+    SHADOW_PASS_INSTANCE_BIND,
+    SHADOW_PASS_VERTEX_FUNCTION,
+    SHADOW_PASS_VERTEX_FUNCTION_INSTANCED,
+    SHADOW_PASS_FRAGMENT_FUNCTION
+} from './parts/shadows.js';
+
+/**
+ * This class creates the shader of the shadow map depth pass. It transforms
+ * the vertices of a mesh into the view of the shadow casting light.
+ */
+class ShadowShader extends ShaderRenderer
+{
+    #instanced;
+
+    constructor(instanced = false)
+    {
+        super();
+
+        if (typeof instanced !== 'boolean') {
+            throw new TypeError('Instanced setting must be of type boolean.');
+        }
+
+        this.#instanced = instanced;
+    }
+
+    /**
+     * Renders the depth pass vertex shader WGSL code.
+     */
+    renderVertexCode()
+    {
+        let instanceStorage = '';
+        let instanceStorageBinding = '';
+        let vertexFunction = SHADOW_PASS_VERTEX_FUNCTION;
+
+        if (this.#instanced) {
+            instanceStorage = INSTANCE_STORAGE;
+            instanceStorageBinding = SHADOW_PASS_INSTANCE_BIND;
+            vertexFunction = SHADOW_PASS_VERTEX_FUNCTION_INSTANCED;
+        }
+
+        return /*wgsl*/ `
+        ${SHADOW_UNIFORM}
+        ${MODEL_UNIFORM}
+        ${instanceStorage}
+
+        ${SHADOW_PASS_BIND}
+        ${instanceStorageBinding}
+
+        ${vertexFunction}`;
+    }
+
+    /**
+     * Renders the depth pass fragment shader WGSL code.
+     */
+    renderFragmentCode() {
+        return SHADOW_PASS_FRAGMENT_FUNCTION;
+    }
+
+    /**
+     * Builds a shadow depth pass shader. Instanced shaders read per instance
+     * transformations from a storage buffer.
+     */
+    static createShader(instanced = false)
+    {
+        const shaderRenderer = new ShadowShader(instanced);
+        return shaderRenderer.getShader();
+    }
+}
+
+export {
+    ShadowShader
+};
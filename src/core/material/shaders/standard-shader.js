@@ -0,0 +1,350 @@
+
+import { Material } from '../material.js';
+import { ShaderRenderer } from './shader-renderer.js';
+import { createTextureBindings } from './parts/materials.js';
+
+// Texture slots the standard shader reads
+
+const TEXTURE_SLOTS = [
+    Material.SLOT_DIFFUSE,
+    Material.SLOT_EMISSIVE,
+    Material.SLOT_ALPHA_MASK,
+    Material.SLOT_NORMAL,
+    Material.SLOT_METALLIC_ROUGHNESS,
+    Material.SLOT_OCCLUSION
+];
+
+// Vertex stage
+
+const VERTEX_SHADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <model_uniform>
+#ifdef INSTANCED
+#include <instance_storage>
+#endif
+
+#include <camera_uniform_bind>
+#include <model_uniform_bind>
+#ifdef INSTANCED
+#include <instance_storage_bind>
+#endif
+
+#include <vertex_main>`;
+
+// Cook-Torrance BRDF with a GGX distribution, the Smith geometry term and
+// the Schlick approximation of the fresnel term. The result is scaled by
+// PI, so the same lights are as bright as on lambert materials.
+
+const BRDF_FUNCTION = /*wgsl*/ `
+const PI: f32 = 3.14159265359;
+
+fn get_brdf(
+    normal: vec3<f32>,
+    light_direction: vec3<f32>,
+    view_direction: vec3<f32>,
+    albedo: vec3<f32>,
+    metallic: f32,
+    roughness: f32
+) -> vec3<f32> {
+    let n_dot_l = dot(normal, light_direction);
+
+    if (n_dot_l <= 0.0) {
+        return vec3<f32>(0.0);
+    }
+
+    let n_dot_v = max(dot(normal, view_direction), 0.0001);
+    let half_vector = normalize(light_direction + view_direction);
+    let n_dot_h = max(dot(normal, half_vector), 0.0);
+    let v_dot_h = max(dot(view_direction, half_vector), 0.0);
+
+    let alpha = roughness * roughness;
+    let alpha2 = alpha * alpha;
+    let d = n_dot_h * n_dot_h * (alpha2 - 1.0) + 1.0;
+    let distribution = alpha2 / (PI * d * d);
+
+    let k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+    let geometry = n_dot_v / (n_dot_v * (1.0 - k) + k)
+        * n_dot_l / (n_dot_l * (1.0 - k) + k);
+
+    let f0 = mix(vec3<f32>(0.04), albedo, metallic);
+    let fresnel = f0 + (vec3<f32>(1.0) - f0) * pow(1.0 - v_dot_h, 5.0);
+
+    let specular = distribution * geometry * fresnel
+        / (4.0 * n_dot_v * n_dot_l);
+    let diffuse = (vec3<f32>(1.0) - fresnel) * (1.0 - metallic) * albedo / PI;
+
+    return (diffuse + specular) * n_dot_l * PI;
+}`;
+
+// Reflected light of a single light
+
+const SURFACE_LIGHT_FUNCTION = /*wgsl*/ `
+struct LightSurface {
+    albedo: vec3<f32>,
+    metallic: f32,
+    roughness: f32
+}
+
+fn get_surface_light(
+    surface: LightSurface,
+    normal: vec3<f32>,
+    light_direction: vec3<f32>,
+    view_direction: vec3<f32>,
+    light_color: vec3<f32>,
+    attenuation: f32
+) -> vec3<f32> {
+    return light_color * attenuation * get_brdf(
+        normal, light_direction, view_direction,
+        surface.albedo, surface.metallic, surface.roughness
+    );
+}`;
+
+// Tilts the normal by a tangent space normal map. The tangent frame is
+// derived from the screen space derivatives of the position and the UVs,
+// so the geometry does not need tangents.
+
+const NORMAL_MAP_FUNCTION = /*wgsl*/ `
+fn get_mapped_normal(
+    normal: vec3<f32>,
+    position: vec3<f32>,
+    uv: vec2<f32>,
+    map_normal: vec3<f32>
+) -> vec3<f32> {
+    let dp1 = dpdx(position);
+    let dp2 = dpdy(position);
+    let duv1 = dpdx(uv);
+    let duv2 = dpdy(uv);
+
+    let dp2_perpendicular = cross(dp2, normal);
+    let dp1_perpendicular = cross(normal, dp1);
+    let tangent = dp2_perpendicular * duv1.x + dp1_perpendicular * duv2.x;
+    let bitangent = dp2_perpendicular * duv1.y + dp1_perpendicular * duv2.y;
+
+    let scale = inverseSqrt(
+        max(max(dot(tangent, tangent), dot(bitangent, bitangent)), 1e-12)
+    );
+    let frame = mat3x3<f32>(tangent * scale, bitangent * scale, normal);
+
+    return normalize(frame * map_normal);
+}`;
+
+// Fragment stage functions
+
+const FRAGMENT_FUNCTION_START = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    var end_color = material.color;
+    var metallic = material.metallic;
+    var roughness = material.roughness;
+    var vertexNormal = normalize(data.vertex_normal);
+    var occlusion = 1.0;
+    var emissive = material.emissive.rgb * material.emissive_intensity;`;
+
+const FRAGMENT_BASE_COLOR_MAP = /*wgsl*/ `
+    end_color *= textureSample(
+        diffuse_texture, diffuse_sampler, data.vertex_uv
+    );`;
+
+// Roughness is read from the green and metallic from the blue channel
+
+const FRAGMENT_METALLIC_ROUGHNESS_MAP = /*wgsl*/ `
+    let metallic_roughness = textureSample(
+        metallic_roughness_texture, metallic_roughness_sampler, data.vertex_uv
+    );
+    roughness *= metallic_roughness.g;
+    metallic *= metallic_roughness.b;`;
+
+const FRAGMENT_NORMAL_MAP = /*wgsl*/ `
+    let map_normal = textureSample(
+        normal_texture, normal_sampler, data.vertex_uv
+    ).rgb * 2.0 - 1.0;
+    vertexNormal = get_mapped_normal(
+        vertexNormal, data.vertex_position, data.vertex_uv, map_normal
+    );`;
+
+const FRAGMENT_OCCLUSION_MAP = /*wgsl*/ `
+    occlusion = textureSample(
+        occlusion_texture, occlusion_sampler, data.vertex_uv
+    ).r;`;
+
+const FRAGMENT_EMISSIVE_MAP = /*wgsl*/ `
+    emissive *= textureSample(
+        emissive_texture, emissive_sampler, data.vertex_uv
+    ).rgb;`;
+
+const FRAGMENT_FUNCTION_END = /*wgsl*/ `
+    let surface = LightSurface(
+        end_color.rgb,
+        clamp(metallic, 0.0, 1.0),
+        clamp(roughness, 0.04, 1.0)
+    );
+
+    // Ambient light, darkened by the occlusion
+    var light_result = scene.ambient_color * scene.ambient_intensity
+        * surface.albedo * occlusion;
+
+#include <light_loops>
+
+    let final_color = vec4<f32> (light_result + emissive, end_color.a);
+
+    return apply_fog(final_color, data.vertex_position);
+}`;
+
+// Fragment stage, the texture bindings follow the header. The texture
+// slots are read before the instance color tints the base color.
+
+const FRAGMENT_SHADER_HEADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <material_uniform_standard>
+#include <model_uniform>
+#include <scene_uniform>
+#include <directional_light>
+#include <point_light>
+#include <spot_light>
+#include <shadow_uniform>
+
+#include <camera_uniform_bind>
+#include <material_uniform_binding>`;
+
+const FRAGMENT_SHADER_BODY = /*wgsl*/ `
+#include <scene_uniform_bind>
+#include <directional_storage_bind>
+#include <point_storage_bind>
+#include <spot_storage_bind>
+#include <shadow_map_bind>
+#include <model_uniform_bind>
+
+#include <light_functions>
+#include <shadow_function>
+#include <fog_function>
+${BRDF_FUNCTION}
+${SURFACE_LIGHT_FUNCTION}
+#ifdef USE_NORMAL_MAP
+${NORMAL_MAP_FUNCTION}
+#endif
+
+${FRAGMENT_FUNCTION_START}
+#ifdef USE_BASE_COLOR_MAP
+${FRAGMENT_BASE_COLOR_MAP}
+#endif
+#ifdef USE_ALPHA_MASK
+#include <fragment_alpha_mask>
+#endif
+#ifdef USE_METALLIC_ROUGHNESS_MAP
+${FRAGMENT_METALLIC_ROUGHNESS_MAP}
+#endif
+#ifdef USE_NORMAL_MAP
+${FRAGMENT_NORMAL_MAP}
+#endif
+#ifdef USE_OCCLUSION_MAP
+${FRAGMENT_OCCLUSION_MAP}
+#endif
+#ifdef USE_EMISSIVE_MAP
+${FRAGMENT_EMISSIVE_MAP}
+#endif
+#ifdef INSTANCED
+#include <fragment_instance_color>
+#endif
+${FRAGMENT_FUNCTION_END}`;
+
+/**
+ * This class creates a vertex and fragment shader for the standard
+ * material. It shades with a metallic-roughness Cook-Torrance BRDF and
+ * binds one texture and sampler for every filled texture slot.
+ */
+class StandardShader extends ShaderRenderer
+{
+    #instanced;
+    #slots;
+
+    constructor(instanced = false, slots = [])
+    {
+        super();
+
+        if (typeof instanced !== 'boolean') {
+            throw new TypeError('Instanced setting must be of type boolean.');
+        }
+
+        this.#instanced = instanced;
+
+        StandardShader.#validateSlots(slots);
+        this.#slots = Array.from(slots);
+    }
+
+    /**
+     * Renders the standard vertex shader WGSL code.
+     */
+    renderVertexCode() {
+        return ShaderRenderer.preprocess(VERTEX_SHADER, this.getDefines());
+    }
+
+    /**
+     * Renders the standard fragment shader WGSL code.
+     */
+    renderFragmentCode()
+    {
+        const source = FRAGMENT_SHADER_HEADER
+            + createTextureBindings(this.#slots)
+            + FRAGMENT_SHADER_BODY;
+
+        return ShaderRenderer.preprocess(source, this.getDefines());
+    }
+
+    /**
+     * Gets the preprocessor defines selecting the shader variant for
+     * instancing and the filled texture slots. Normal maps derive their
+     * tangent frame in the fragment stage, so no tangents are read.
+     */
+    getDefines()
+    {
+        const slots = this.#slots;
+
+        return {
+            INSTANCED: this.#instanced,
+            USE_UV: slots.length > 0,
+            USE_BASE_COLOR_MAP: slots.includes(Material.SLOT_DIFFUSE),
+            USE_ALPHA_MASK: slots.includes(Material.SLOT_ALPHA_MASK),
+            USE_METALLIC_ROUGHNESS_MAP: slots.includes(
+                Material.SLOT_METALLIC_ROUGHNESS
+            ),
+            USE_NORMAL_MAP: slots.includes(Material.SLOT_NORMAL),
+            USE_OCCLUSION_MAP: slots.includes(Material.SLOT_OCCLUSION),
+            USE_EMISSIVE_MAP: slots.includes(Material.SLOT_EMISSIVE)
+        };
+    }
+
+    /**
+     * Ensures the slots are a list of texture slots the shader can read.
+     */
+    static #validateSlots(slots)
+    {
+        if (!Array.isArray(slots)) {
+            throw new TypeError('Slots must be an array of texture slots.');
+        }
+
+        for (const slot of slots) {
+            if (!TEXTURE_SLOTS.includes(slot)) {
+                throw new Error(
+                    `Texture slot ${slot} is not supported by this shader.`
+                );
+            }
+        }
+    }
+
+    /**
+     * Builds a standard shader reading the given texture slots. Instanced
+     * shaders read per instance transformations and colors from a storage
+     * buffer.
+     */
+    static createShader(instanced = false, slots = [])
+    {
+        const shaderRenderer = new StandardShader(instanced, slots);
+        return shaderRenderer.getShader();
+    }
+}
+
+export {
+    StandardShader
+};
@@ -0,0 +1,123 @@
+
+import { ShaderRenderer } from './shader-renderer.js';
+
+// Wireframe uniforms and bindings
+
+const WIREFRAME_UNIFORM = /*wgsl*/ `
+struct WireframeUniforms {
+    color: vec4<f32>
+}`;
+
+const WIREFRAME_UNIFORM_BINDING = /*wgsl*/ `
+@group(2) @binding(0) var<uniform> wireframe: WireframeUniforms;`;
+
+// Moves lines slightly towards the camera, so they are not hidden by the
+// surface they are drawn on
+
+const VERTEX_DEPTH_OFFSET = /*wgsl*/ `
+    output.position.z = output.position.z - 0.0001 * output.position.w;`;
+
+const FRAGMENT_FUNCTION = /*wgsl*/ `
+@fragment
+fn fragment_main(data: VertexOut) -> @location(0) vec4<f32> {
+    return apply_fog(wireframe.color, data.vertex_position);
+}`;
+
+// Vertex stage, the lines are drawn without UV coordinates or colors
+
+const VERTEX_SHADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <model_uniform>
+#ifdef INSTANCED
+#include <instance_storage>
+#endif
+
+#include <camera_uniform_bind>
+#include <model_uniform_bind>
+#ifdef INSTANCED
+#include <instance_storage_bind>
+#endif
+
+#include <vertex_function>
+    var output : VertexOut;
+#ifdef INSTANCED
+#include <vertex_transform_instanced>
+#else
+#include <vertex_transform>
+#endif
+${VERTEX_DEPTH_OFFSET}
+
+    return output;
+}`;
+
+// Fragment stage
+
+const FRAGMENT_SHADER = /*wgsl*/ `
+#include <vertex_output>
+#include <camera_uniform>
+#include <scene_uniform>
+${WIREFRAME_UNIFORM}
+
+#include <camera_uniform_bind>
+#include <scene_uniform_bind>
+${WIREFRAME_UNIFORM_BINDING}
+
+#include <fog_function>
+${FRAGMENT_FUNCTION}`;
+
+/**
+ * This class creates a vertex and fragment shader that draws the edges of a
+ * mesh in a single wireframe color.
+ */
+class WireframeShader extends ShaderRenderer
+{
+    #instanced;
+
+    constructor(instanced = false)
+    {
+        super();
+
+        if (typeof instanced !== 'boolean') {
+            throw new TypeError('Instanced setting must be of type boolean.');
+        }
+
+        this.#instanced = instanced;
+    }
+
+    /**
+     * Renders the wireframe vertex shader WGSL code.
+     */
+    renderVertexCode() {
+        return ShaderRenderer.preprocess(VERTEX_SHADER, this.getDefines());
+    }
+
+    /**
+     * Renders the wireframe fragment shader WGSL code.
+     */
+    renderFragmentCode() {
+        return ShaderRenderer.preprocess(FRAGMENT_SHADER, this.getDefines());
+    }
+
+    /**
+     * Gets the preprocessor defines selecting the shader variant for
+     * instancing.
+     */
+    getDefines() {
+        return { INSTANCED: this.#instanced };
+    }
+
+    /**
+     * Builds a wireframe shader. Instanced shaders read per instance
+     * transformations from a storage buffer.
+     */
+    static createShader(instanced = false)
+    {
+        const shaderRenderer = new WireframeShader(instanced);
+        return shaderRenderer.getShader();
+    }
+}
+
+export {
+    WireframeShader
+};
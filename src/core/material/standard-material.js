@@ -0,0 +1,161 @@
+
+import { StandardShader } from './shaders/standard-shader.js';
+import { Color } from '../color.js';
+import { Material } from './material.js';
+
+/**
+ * Physically based material using the metallic-roughness workflow of glTF.
+ * Every texture map is optional and fills a texture slot with its own
+ * sampler.
+ */
+class StandardMaterial extends Material
+{
+    #metallic = 0;
+    #roughness = 1;
+
+    constructor(settings = {})
+    {
+        if (settings.name) {
+            super(settings.name);
+        } else {
+            super('StandardMaterial');
+        }
+
+        const instanced = settings.instanced ?? false;
+        this.setUseInstancing(instanced);
+
+        const textures = settings.textures ?? {};
+
+        for (const slot of Object.keys(textures)) {
+            this.setTextureSlot(slot, textures[slot]);
+        }
+
+        const maps = StandardMaterial.MAPS;
+
+        for (const map of Object.keys(maps)) {
+            if (settings[map]) {
+                this.setTextureSlot(maps[map], settings[map]);
+            }
+        }
+
+        this.setShader(this._createShader());
+
+        this.setColor(settings.color ?? Color.WHITE);
+
+        this._applyEmissiveSettings(settings);
+
+        this.setMetallic(settings.metallic ?? 0);
+        this.setRoughness(settings.roughness ?? 1);
+
+        this.setTransparent(settings.transparent ?? false);
+        this.setWireframe(settings.wireframe ?? false);
+        this.setWireframeOverlay(settings.wireframeOverlay ?? false);
+
+        if (settings.wireframeColor) {
+            this.setWireframeColor(settings.wireframeColor);
+        }
+    }
+
+    /**
+     * Gets how metallic the material is, from 0 to 1.
+     */
+    getMetallic() {
+        return this.#metallic;
+    }
+
+    /**
+     * Sets how metallic the material is, from 0 for dielectrics to 1 for
+     * metals.
+     */
+    setMetallic(metallic)
+    {
+        StandardMaterial.#validateFactor(metallic, 'Metallic');
+
+        this.#metallic = metallic;
+        this._setUniform('metallic', this.#metallic, 'f32');
+    }
+
+    /**
+     * Gets the roughness of the material, from 0 to 1.
+     */
+    getRoughness() {
+        return this.#roughness;
+    }
+
+    /**
+     * Sets the roughness of the material, from 0 for a mirror to 1 for a
+     * fully diffuse surface.
+     */
+    setRoughness(roughness)
+    {
+        StandardMaterial.#validateFactor(roughness, 'Roughness');
+
+        this.#roughness = roughness;
+        this._setUniform('roughness', this.#roughness, 'f32');
+    }
+
+    /**
+     * Gets the texture attachment of a map, or null if the material does
+     * not use the map.
+     */
+    getMap(map)
+    {
+        if (!Object.hasOwn(StandardMaterial.MAPS, map)) {
+            throw new Error(`Invalid texture map: ${map}.`);
+        }
+
+        return this.getTextureSlot(StandardMaterial.MAPS[map]);
+    }
+
+    /**
+     * The normal map derives its tangent frame in the fragment shader, so
+     * the material never reads vertex tangents.
+     */
+    getUseTangents() {
+        return false;
+    }
+
+    /**
+     * Builds the standard shader for the filled texture slots.
+     */
+    _createShader()
+    {
+        return StandardShader.createShader(
+            this.getUseInstancing(), this.getTextureSlots()
+        );
+    }
+
+    /**
+     * Validates a metallic or roughness factor.
+     */
+    static #validateFactor(value, name)
+    {
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw new TypeError(
+                `${name} must be a finite number between 0 and 1.`
+            );
+        }
+
+        if (value < 0 || value > 1) {
+            throw new RangeError(`${name} must be a number between 0 and 1.`);
+        }
+    }
+
+    // The texture maps, which are also the settings keys, and the texture
+    // slots they fill.
+
+    static get MAPS()
+    {
+        return {
+            baseColorMap: Material.SLOT_DIFFUSE,
+            metallicRoughnessMap: Material.SLOT_METALLIC_ROUGHNESS,
+            normalMap: Material.SLOT_NORMAL,
+            occlusionMap: Material.SLOT_OCCLUSION,
+            emissiveMap: Material.SLOT_EMISSIVE
+        };
+    }
+}
+
+export {
+    StandardMaterial
+};
@@ -0,0 +1,384 @@
+
+import { ToonShader } from './shaders/toon-shader.js';
+import { OutlineShader } from './shaders/outline-shader.js';
+import { Color } from '../color.js';
+import { Engine } from '../../engine.js';
+import { Material } from './material.js';
+import { UniformBuffer } from '../buffer/uniform-buffer.js';
+
+/**
+ * Toon material with cel shaded lighting. The diffuse light of every scene
+ * light is quantized into a number of bands, or looked up in a ramp texture
+ * from dark on the left to lit on the right.
+ *
+ * An optional outline is drawn as an inverted hull: the mesh is pushed
+ * outwards along its normals and drawn again with front face culling.
+ * Meshes with split normals, like boxes, show gaps at their hard edges.
+ */
+class ToonMaterial extends Material
+{
+    #colorMode = Material.UNIFORM_COLOR;
+    #bands = 3;
+    #outline = false;
+    #outlineColor = null;
+    #outlineThickness = 0.02;
+
+    #outlineShader = null;
+    #outlineUniformBuffer = new UniformBuffer();
+    #outlineBindGroupLayout = null;
+    #outlineBindGroup = null;
+    #outlineNeedsUpdate = false;
+
+    constructor(settings = {})
+    {
+        if (settings.name) {
+            super(settings.name);
+        } else {
+            super('ToonMaterial');
+        }
+
+        const mode = settings.colorMode ?? Material.UNIFORM_COLOR;
+        ToonMaterial.validateColorMode(mode);
+        this.#colorMode = mode;
+
+        if (mode === Material.VERTEX_COLOR ||
+            mode === Material.COLOR_BLEND ||
+            mode === Material.TEXTURE_VERTEX
+        ) {
+            this.setUseVertexColor(true);
+        }
+
+        const instanced = settings.instanced ?? false;
+        this.setUseInstancing(instanced);
+
+        const textures = settings.textures ?? {};
+
+        for (const slot of Object.keys(textures)) {
+            this.setTextureSlot(slot, textures[slot]);
+        }
+
+        if (settings.normalMap) {
+            this.setTextureSlot(Material.SLOT_NORMAL, settings.normalMap);
+        }
+
+        if (settings.rampMap) {
+            this.setTextureSlot(Material.SLOT_RAMP, settings.rampMap);
+        }
+
+        if (settings.emissiveMap) {
+            this.setEmissiveMap(settings.emissiveMap);
+        }
+
+        this.setShader(this._createShader());
+
+        if (mode === Material.COLOR_BLEND ||
+            mode === Material.TEXTURE_BLEND
+        ) {
+            this.setColorBlend(settings.colorBlend ?? 0.5);
+        }
+
+        if (mode === Material.COLOR_BLEND ||
+            mode === Material.UNIFORM_COLOR ||
+            mode === Material.TEXTURE_TINT ||
+            mode === Material.TEXTURE_BLEND
+        ) {
+            this.setColor(settings.color ?? Color.GREY);
+        }
+
+        this._applyEmissiveSettings(settings);
+
+        this.setBands(settings.bands ?? 3);
+
+        this.setOutlineColor(settings.outlineColor ?? Color.BLACK);
+        this.setOutlineThickness(settings.outlineThickness ?? 0.02);
+        this.setOutline(settings.outline ?? false);
+
+        this.setTransparent(settings.transparent ?? false);
+        this.setWireframe(settings.wireframe ?? false);
+        this.setWireframeOverlay(settings.wireframeOverlay ?? false);
+
+        if (settings.wireframeColor) {
+            this.setWireframeColor(settings.wireframeColor);
+        }
+    }
+
+    /**
+     * Gets the number of bands the diffuse light is quantized into.
+     */
+    getBands() {
+        return this.#bands;
+    }
+
+    /**
+     * Sets the number of bands the diffuse light is quantized into. One band
+     * only separates lit from unlit surfaces. A ramp texture replaces the
+     * bands.
+     */
+    setBands(bands)
+    {
+        if (!Number.isInteger(bands)) {
+            throw new TypeError('Bands must be an integer.');
+        }
+
+        if (bands < 1) {
+            throw new RangeError('Bands must be at least 1.');
+        }
+
+        this.#bands = bands;
+        this._setUniform('bands', this.#bands, 'f32');
+    }
+
+    /**
+     * Gets the ramp texture attachment, or null if the material has none.
+     */
+    getRampMap() {
+        return this.getTextureSlot(Material.SLOT_RAMP);
+    }
+
+    /**
+     * Gets the tangent space normal map, or null if the material has none.
+     */
+    getNormalMap() {
+        return this.getTextureSlot(Material.SLOT_NORMAL);
+    }
+
+    /**
+     * Configures whether the outline is drawn.
+     */
+    setOutline(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Value must be of type boolean.');
+        }
+
+        this.#outline = config;
+    }
+
+    /**
+     * Returns whether the outline is drawn.
+     */
+    hasOutline() {
+        return this.#outline;
+    }
+
+    /**
+     * Gets the color of the outline.
+     */
+    getOutlineColor() {
+        return this.#outlineColor.clone();
+    }
+
+    /**
+     * Sets the color of the outline.
+     */
+    setOutlineColor(color)
+    {
+        if (!(color instanceof Color)) {
+            throw new TypeError('Color must be an instance of Color class.');
+        }
+
+        this.#outlineColor = color.clone();
+        this.#outlineUniformBuffer.setUniform(
+            'color', this.#outlineColor.toArray(), 'vec4<f32>'
+        );
+        this.#outlineNeedsUpdate = true;
+    }
+
+    /**
+     * Gets the thickness of the outline in world units.
+     */
+    getOutlineThickness() {
+        return this.#outlineThickness;
+    }
+
+    /**
+     * Sets the thickness of the outline in world units.
+     */
+    setOutlineThickness(thickness)
+    {
+        if (typeof thickness !== 'number' || !isFinite(thickness)) {
+            throw new TypeError(
+                'Invalid value for thickness: expected a finite number'
+            );
+        }
+
+        if (thickness < 0) {
+            throw new RangeError('Outline thickness must not be negative.');
+        }
+
+        this.#outlineThickness = thickness;
+        this.#outlineUniformBuffer.setUniform(
+            'thickness', this.#outlineThickness, 'f32'
+        );
+        this.#outlineNeedsUpdate = true;
+    }
+
+    /**
+     * Gets the shader used to draw the outline.
+     */
+    getOutlineShader()
+    {
+        if (!this.isOutlineCompiled()) {
+            throw new Error(
+                'Outline must be compiled before accessing its shader.'
+            );
+        }
+
+        return this.#outlineShader;
+    }
+
+    /**
+     * Gets the bind group layout used to draw the outline.
+     */
+    getOutlineBindGroupLayout()
+    {
+        if (!this.isOutlineCompiled()) {
+            throw new Error(
+                'Outline must be compiled before accessing bind group layout.'
+            );
+        }
+
+        return this.#outlineBindGroupLayout;
+    }
+
+    /**
+     * Gets the bind group used to draw the outline.
+     */
+    getOutlineBindGroup()
+    {
+        if (!this.isOutlineCompiled()) {
+            throw new Error(
+                'Outline must be compiled before accessing bind group.'
+            );
+        }
+
+        return this.#outlineBindGroup;
+    }
+
+    /**
+     * Compiles the shader and buffers needed to draw the outline. This is
+     * separate from compile, so materials without an outline never need
+     * them.
+     */
+    async compileOutline(device)
+    {
+        if (this.isOutlineCompiled()) {
+            return;
+        }
+
+        Engine.validateDevice(device);
+
+        this.#outlineShader = OutlineShader.createShader(
+            this.getUseInstancing()
+        );
+        this.#outlineShader.compile(device);
+        await this.#outlineShader.validate();
+
+        this.#outlineUniformBuffer.compile(device);
+
+        this.#outlineBindGroupLayout = device.createBindGroupLayout({
+            entries: [{
+                binding: 0,
+                visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+                buffer: {}
+            }]
+        });
+
+        this.#outlineBindGroup = device.createBindGroup({
+            label: this.getName() + '-outline',
+            layout: this.#outlineBindGroupLayout,
+            entries: [{
+                binding: 0,
+                resource: {
+                    buffer: this.#outlineUniformBuffer.getUniformBuffer()
+                }
+            }]
+        });
+
+        this.#outlineNeedsUpdate = false;
+    }
+
+    /**
+     * Returns if the outline resources are compiled.
+     */
+    isOutlineCompiled() {
+        return this.#outlineBindGroup !== null;
+    }
+
+    /**
+     * Returns whether the outline color or thickness changed since it was
+     * compiled or last updated.
+     */
+    outlineNeedsUpdate() {
+        return this.#outlineNeedsUpdate;
+    }
+
+    /**
+     * Writes the outline color and thickness to their uniform buffer.
+     */
+    updateOutline(device)
+    {
+        if (!this.isOutlineCompiled()) {
+            throw new Error('Outline must be compiled before updating.');
+        }
+
+        this.#outlineUniformBuffer.updateUniformBuffer(device);
+        this.#outlineNeedsUpdate = false;
+    }
+
+    /**
+     * Destroys WebGPU shaders and buffers associated with this material,
+     * including the outline.
+     */
+    destroy()
+    {
+        super.destroy();
+
+        if (this.#outlineUniformBuffer.isCompiled()) {
+            this.#outlineUniformBuffer.destroy();
+        }
+
+        if (this.#outlineShader) {
+            this.#outlineShader.destroy();
+        }
+
+        this.#outlineShader = null;
+        this.#outlineBindGroupLayout = null;
+        this.#outlineBindGroup = null;
+    }
+
+    /**
+     * Builds the toon shader for the color mode and the filled texture
+     * slots.
+     */
+    _createShader()
+    {
+        return ToonShader.createShader(
+            this.#colorMode, this.getUseInstancing(), this.getTextureSlots()
+        );
+    }
+
+    /**
+     * Ensure that the color mode is a valid option.
+     */
+    static validateColorMode(mode)
+    {
+        const validModes = [
+            Material.VERTEX_COLOR,
+            Material.UNIFORM_COLOR,
+            Material.COLOR_BLEND,
+            Material.TEXTURE_RAW,
+            Material.TEXTURE_TINT,
+            Material.TEXTURE_BLEND,
+            Material.TEXTURE_VERTEX
+        ];
+
+        if (!validModes.includes(mode)) {
+            throw new Error(`Invalid color mode: ${mode}.`);
+        }
+    }
+}
+
+export {
+    ToonMaterial
+};
\ No newline at end of file
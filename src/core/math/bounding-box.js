@@ -0,0 +1,140 @@
+
+import { Matrix4 } from './matrix4.js';
+import { Vector3 } from './vector3.js';
+
+/**
+ * An axis aligned bounding box described by a minimum and a maximum corner.
+ */
+class BoundingBox
+{
+    #min = null;
+    #max = null;
+
+    constructor(min = new Vector3(), max = new Vector3())
+    {
+        Vector3.validateInstance(min);
+        Vector3.validateInstance(max);
+
+        this.#min = min.clone();
+        this.#max = max.clone();
+    }
+
+    /**
+     * Gets a copy of the minimum corner.
+     */
+    getMin() {
+        return this.#min.clone();
+    }
+
+    /**
+     * Gets a copy of the maximum corner.
+     */
+    getMax() {
+        return this.#max.clone();
+    }
+
+    /**
+     * Gets the center of the box.
+     */
+    getCenter()
+    {
+        return new Vector3(
+            (this.#min.x + this.#max.x) / 2,
+            (this.#min.y + this.#max.y) / 2,
+            (this.#min.z + this.#max.z) / 2
+        );
+    }
+
+    /**
+     * Gets the size of the box along each axis.
+     */
+    getSize() {
+        return this.#max.subtractOther(this.#min);
+    }
+
+    /**
+     * Gets all eight corners of the box.
+     */
+    getCorners()
+    {
+        const min = this.#min;
+        const max = this.#max;
+
+        return [
+            new Vector3(min.x, min.y, min.z),
+            new Vector3(max.x, min.y, min.z),
+            new Vector3(min.x, max.y, min.z),
+            new Vector3(max.x, max.y, min.z),
+            new Vector3(min.x, min.y, max.z),
+            new Vector3(max.x, min.y, max.z),
+            new Vector3(min.x, max.y, max.z),
+            new Vector3(max.x, max.y, max.z)
+        ];
+    }
+
+    /**
+     * Transforms the corners of this box with a 4x4 matrix and returns the
+     * box enclosing them as a new bounding box.
+     */
+    transformOther(matrix)
+    {
+        Matrix4.validateInstance(matrix);
+
+        const corners = this.getCorners().map(
+            corner => corner.transformMatrix4Other(matrix)
+        );
+
+        return BoundingBox.fromPoints(corners);
+    }
+
+    /**
+     * Creates a copy of this bounding box.
+     */
+    clone() {
+        return new BoundingBox(this.#min, this.#max);
+    }
+
+    /**
+     * Creates the smallest bounding box enclosing all given points.
+     */
+    static fromPoints(points)
+    {
+        if (!Array.isArray(points) || points.length === 0) {
+            throw new TypeError('Points must be a non-empty array.');
+        }
+
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+        for (const point of points) {
+            Vector3.validateInstance(point);
+
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            minZ = Math.min(minZ, point.z);
+
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+            maxZ = Math.max(maxZ, point.z);
+        }
+
+        const min = new Vector3(minX, minY, minZ);
+        const max = new Vector3(maxX, maxY, maxZ);
+
+        return new BoundingBox(min, max);
+    }
+
+    /**
+     * Validates that an object is a BoundingBox instance.
+     */
+    static validateInstance(value)
+    {
+        if (!(value instanceof BoundingBox)) {
+            throw new TypeError('Expected an instance of BoundingBox.');
+        }
+    }
+}
+
+export {
+    BoundingBox
+};
@@ -0,0 +1,107 @@
+
+import { BoundingBox } from './bounding-box.js';
+import { Matrix4 } from './matrix4.js';
+import { Vector3 } from './vector3.js';
+
+/**
+ * A bounding sphere described by a center point and a radius.
+ */
+class BoundingSphere
+{
+    #center = null;
+    #radius = 0;
+
+    constructor(center = new Vector3(), radius = 0)
+    {
+        Vector3.validateInstance(center);
+        BoundingSphere.#validateRadius(radius);
+
+        this.#center = center.clone();
+        this.#radius = radius;
+    }
+
+    /**
+     * Gets a copy of the center point.
+     */
+    getCenter() {
+        return this.#center.clone();
+    }
+
+    /**
+     * Gets the radius.
+     */
+    getRadius() {
+        return this.#radius;
+    }
+
+    /**
+     * Transforms this sphere with a 4x4 matrix and returns the result as a
+     * new bounding sphere. The radius is scaled by the largest axis scale,
+     * so the result still encloses non-uniformly scaled geometry.
+     */
+    transformOther(matrix)
+    {
+        Matrix4.validateInstance(matrix);
+
+        const m = matrix.toArray();
+        const center = this.#center.transformMatrix4Other(matrix);
+
+        const scaleX = Math.hypot(m[0], m[1], m[2]);
+        const scaleY = Math.hypot(m[4], m[5], m[6]);
+        const scaleZ = Math.hypot(m[8], m[9], m[10]);
+        const maxScale = Math.max(scaleX, scaleY, scaleZ);
+
+        return new BoundingSphere(center, this.#radius * maxScale);
+    }
+
+    /**
+     * Creates a copy of this bounding sphere.
+     */
+    clone() {
+        return new BoundingSphere(this.#center, this.#radius);
+    }
+
+    /**
+     * Creates a bounding sphere enclosing all given points. The center is
+     * placed in the middle of the points bounding box.
+     */
+    static fromPoints(points)
+    {
+        const center = BoundingBox.fromPoints(points).getCenter();
+        let radius = 0;
+
+        for (const point of points) {
+            radius = Math.max(radius, center.distanceTo(point));
+        }
+
+        return new BoundingSphere(center, radius);
+    }
+
+    /**
+     * Validates that the radius is a non-negative number.
+     */
+    static #validateRadius(radius)
+    {
+        if (typeof radius !== 'number' || !isFinite(radius)) {
+            throw new TypeError('Radius must be a finite number.');
+        }
+
+        if (radius < 0) {
+            throw new RangeError('Radius must not be negative.');
+        }
+    }
+
+    /**
+     * Validates that an object is a BoundingSphere instance.
+     */
+    static validateInstance(value)
+    {
+        if (!(value instanceof BoundingSphere)) {
+            throw new TypeError('Expected an instance of BoundingSphere.');
+        }
+    }
+}
+
+export {
+    BoundingSphere
+};
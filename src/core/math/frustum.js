@@ -0,0 +1,150 @@
+
+import { BoundingBox } from './bounding-box.js';
+import { BoundingSphere } from './bounding-sphere.js';
+import { Matrix4 } from './matrix4.js';
+
+/**
+ * A view frustum described by six planes pointing inwards. Each plane is
+ * stored as [a, b, c, d] where a point p lies inside if a*x + b*y + c*z + d
+ * is greater or equal to zero.
+ */
+class Frustum
+{
+    #planes = [];
+
+    constructor(planes)
+    {
+        Frustum.#validatePlanes(planes);
+
+        this.#planes = planes.map(plane => Frustum.#normalizePlane(plane));
+    }
+
+    /**
+     * Gets a copy of the planes in the order left, right, bottom, top, near
+     * and far.
+     */
+    getPlanes() {
+        return this.#planes.map(plane => Array.from(plane));
+    }
+
+    /**
+     * Returns whether a bounding sphere is at least partially inside.
+     */
+    intersectsSphere(sphere)
+    {
+        BoundingSphere.validateInstance(sphere);
+
+        const center = sphere.getCenter();
+        const radius = sphere.getRadius();
+
+        for (const [a, b, c, d] of this.#planes) {
+            const distance = a * center.x + b * center.y + c * center.z + d;
+
+            if (distance < -radius) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Returns whether a bounding box is at least partially inside. For every
+     * plane the corner furthest along the plane normal is tested.
+     */
+    intersectsBox(box)
+    {
+        BoundingBox.validateInstance(box);
+
+        const min = box.getMin();
+        const max = box.getMax();
+
+        for (const [a, b, c, d] of this.#planes) {
+            const x = a >= 0 ? max.x : min.x;
+            const y = b >= 0 ? max.y : min.y;
+            const z = c >= 0 ? max.z : min.z;
+
+            if (a * x + b * y + c * z + d < 0) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Creates a frustum from a combined view projection matrix, for example
+     * Matrix4.multiply(viewMatrix, projectionMatrix).
+     */
+    static fromMatrix(matrix)
+    {
+        Matrix4.validateInstance(matrix);
+
+        const m = matrix.toArray();
+        const column = index => [
+            m[index], m[4 + index], m[8 + index], m[12 + index]
+        ];
+
+        const x = column(0);
+        const y = column(1);
+        const z = column(2);
+        const w = column(3);
+
+        const add = (p, q) => p.map((value, i) => value + q[i]);
+        const subtract = (p, q) => p.map((value, i) => value - q[i]);
+
+        // WebGPU clip space uses a depth range from 0 to 1
+        return new Frustum([
+            add(w, x),
+            subtract(w, x),
+            add(w, y),
+            subtract(w, y),
+            z,
+            subtract(w, z)
+        ]);
+    }
+
+    /**
+     * Scales a plane so its normal has unit length.
+     */
+    static #normalizePlane(plane)
+    {
+        const length = Math.hypot(plane[0], plane[1], plane[2]);
+
+        if (length === 0) {
+            return Array.from(plane);
+        }
+
+        return plane.map(value => value / length);
+    }
+
+    /**
+     * Validates that six planes with four numbers each are given.
+     */
+    static #validatePlanes(planes)
+    {
+        if (!Array.isArray(planes) || planes.length !== 6) {
+            throw new TypeError('Frustum requires an array of six planes.');
+        }
+
+        for (const plane of planes) {
+            if (!Array.isArray(plane) || plane.length !== 4) {
+                throw new TypeError('Each plane must contain four numbers.');
+            }
+        }
+    }
+
+    /**
+     * Validates that an object is a Frustum instance.
+     */
+    static validateInstance(value)
+    {
+        if (!(value instanceof Frustum)) {
+            throw new TypeError('Expected an instance of Frustum.');
+        }
+    }
+}
+
+export {
+    Frustum
+};
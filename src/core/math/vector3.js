@@ -1,5 +1,6 @@
 
 import { Matrix3 } from './matrix3.js';
+import { Matrix4 } from './matrix4.js';
 import { Quaternion } from './quaternion.js';
 
 /**
@@ -116,6 +117,18 @@ class Vector3
         this.z = newZ;
     }
 
+    /**
+     * Transforms this vector as a point by using a 4x4 matrix.
+     */
+    transformMatrix4(matrix)
+    {
+        const result = this.transformMatrix4Other(matrix);
+
+        this.x = result.x;
+        this.y = result.y;
+        this.z = result.z;
+    }
+
     /**
      * Transforms this vector by using a Quaternion.
      */
@@ -200,6 +213,28 @@ class Vector3
         return new Vector3(newX, newY, newZ);
     }
 
+    /**
+     * Transforms this vector as a point by using a 4x4 matrix and returns the
+     * result as a new vector.
+     */
+    transformMatrix4Other(matrix)
+    {
+        Matrix4.validateInstance(matrix);
+
+        const m = matrix.toArray();
+
+        const x = this.x * m[0] + this.y * m[4] + this.z * m[8] + m[12];
+        const y = this.x * m[1] + this.y * m[5] + this.z * m[9] + m[13];
+        const z = this.x * m[2] + this.y * m[6] + this.z * m[10] + m[14];
+        const w = this.x * m[3] + this.y * m[7] + this.z * m[11] + m[15];
+
+        if (w !== 0 && w !== 1) {
+            return new Vector3(x / w, y / w, z / w);
+        }
+
+        return new Vector3(x, y, z);
+    }
+
     /**
      * Transforms this vector by using a Quaternion and return the result as
      * a new vector.
@@ -339,6 +374,17 @@ class Vector3
         return vector.transformMatrix3Other(matrix);
     }
 
+    /**
+     * Transforms a vector as a point with a 4x4 matrix and returns the result
+     * as a new vector.
+     */
+    static transformMatrix4(vector, matrix)
+    {
+        Vector3.validateInstance(vector);
+
+        return vector.transformMatrix4Other(matrix);
+    }
+
     /**
      * Transforms a vector with a quaternion and returns the result as a new
      * vector.
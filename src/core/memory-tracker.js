@@ -0,0 +1,99 @@
+
+/**
+ * Keeps track of the GPU memory held by buffers and textures. Resources
+ * report their allocations when they are created and destroyed.
+ */
+class MemoryTracker
+{
+    static #bytes = new Map();
+
+    /**
+     * Records an allocation of the given size in bytes.
+     */
+    static allocate(category, bytes)
+    {
+        MemoryTracker.#validateCategory(category);
+
+        const current = MemoryTracker.#bytes.get(category) ?? 0;
+        MemoryTracker.#bytes.set(category, current + bytes);
+    }
+
+    /**
+     * Records that an allocation of the given size in bytes was released.
+     */
+    static release(category, bytes)
+    {
+        MemoryTracker.#validateCategory(category);
+
+        const current = MemoryTracker.#bytes.get(category) ?? 0;
+        MemoryTracker.#bytes.set(category, Math.max(current - bytes, 0));
+    }
+
+    /**
+     * Gets the bytes currently held by resources of a category.
+     */
+    static getBytes(category)
+    {
+        MemoryTracker.#validateCategory(category);
+
+        return MemoryTracker.#bytes.get(category) ?? 0;
+    }
+
+    /**
+     * Gets the bytes currently held by all tracked resources.
+     */
+    static getTotalBytes()
+    {
+        let total = 0;
+
+        for (const bytes of MemoryTracker.#bytes.values()) {
+            total += bytes;
+        }
+
+        return total;
+    }
+
+    /**
+     * Validates a category name.
+     */
+    static #validateCategory(category)
+    {
+        const validCategories = [
+            MemoryTracker.VERTEX_BUFFER,
+            MemoryTracker.INDEX_BUFFER,
+            MemoryTracker.UNIFORM_BUFFER,
+            MemoryTracker.STORAGE_BUFFER,
+            MemoryTracker.TEXTURE
+        ];
+
+        if (!validCategories.includes(category)) {
+            throw new Error(`Unknown memory category: ${category}`);
+        }
+    }
+
+    // Fake constants containing the tracked resource categories.
+
+    static get VERTEX_BUFFER() {
+        return 'vertexBuffers';
+    }
+
+    static get INDEX_BUFFER() {
+        return 'indexBuffers';
+    }
+
+    static get UNIFORM_BUFFER() {
+        return 'uniformBuffers';
+    }
+
+    static get STORAGE_BUFFER() {
+        return 'storageBuffers';
+    }
+
+    static get TEXTURE() {
+        return 'textures';
+    }
+}
+
+export {
+    MemoryTracker
+};
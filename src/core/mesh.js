@@ -1,6 +1,7 @@
 
 import { Geometry } from './geometry/geometry.js';
 import { Material } from './material/material.js';
+import { Object } from './object.js';
 import { VertexAttributes } from './vertex-attributes.js';
 
 /**
@@ -14,12 +15,20 @@ class Mesh
     #compiled = false;
     #vertexBuffer = null;
     #indexBuffer = null;
+    #wireframeIndexBuffer = null;
+    #wireframeCompiled = false;
 
     constructor(geometry, material)
     {
         Mesh.#validateGeometry(geometry);
         Mesh.#validateMaterial(material);
 
+        if (material.getUseInstancing() !== this.isInstanced()) {
+            throw new Error(
+                'Instanced materials can only be used with instanced meshes.'
+            );
+        }
+
         this.#geometry = geometry;
         this.#material = material;
     }
@@ -38,6 +47,27 @@ class Mesh
         return this.#material;
     }
 
+    /**
+     * Returns whether the mesh draws multiple instances.
+     */
+    isInstanced() {
+        return false;
+    }
+
+    /**
+     * Gets the bounding box of the mesh in local space.
+     */
+    getBoundingBox() {
+        return this.#geometry.getBoundingBox();
+    }
+
+    /**
+     * Gets the bounding sphere of the mesh in local space.
+     */
+    getBoundingSphere() {
+        return this.#geometry.getBoundingSphere();
+    }
+
     /**
      * Gets the vertex buffer for this mesh.
      */
@@ -53,7 +83,8 @@ class Mesh
     }
 
     /**
-     * Gets the index buffer for this mesh.
+     * Gets the index buffer for this mesh or null if the geometry has no
+     * faces.
      */
     getIndexBuffer()
     {
@@ -66,6 +97,21 @@ class Mesh
         return this.#indexBuffer;
     }
 
+    /**
+     * Gets the index buffer with the edges of the faces or null if the mesh
+     * can not be drawn as a wireframe.
+     */
+    getWireframeIndexBuffer()
+    {
+        if (!this.#wireframeCompiled) {
+            throw new Error(
+                'Wireframe must be compiled before accessing index buffer.'
+            );
+        }
+
+        return this.#wireframeIndexBuffer;
+    }
+
     /**
      * Returns whether the mesh is compiled.
      */
@@ -83,16 +129,46 @@ class Mesh
             return;
         }
 
-        this.#material.compile(device);
+        await this.#material.compile(device);
         const bufferLayout = this.#createBufferLayout();
         this.#vertexBuffer = this.#geometry.createVertexBuffer(bufferLayout);
         this.#vertexBuffer.compile(device);
         this.#indexBuffer = this.#geometry.createIndexBuffer();
-        this.#indexBuffer.compile(device);
+
+        // Geometries without faces are drawn without indices
+        if (this.#indexBuffer !== null) {
+            this.#indexBuffer.compile(device);
+        }
 
         this.#compiled = true;
     }
 
+    /**
+     * Compiles the index buffer used to draw the mesh as a wireframe. Only
+     * geometries with triangle faces can be drawn as a wireframe.
+     */
+    compileWireframe(device)
+    {
+        if (this.#wireframeCompiled) {
+            return;
+        }
+
+        if (!this.#compiled) {
+            throw new Error('Mesh must be compiled before its wireframe.');
+        }
+
+        if (this.#geometry.getTopology() === Object.TRIANGLES) {
+            this.#wireframeIndexBuffer = this.#geometry
+                .createWireframeIndexBuffer();
+        }
+
+        if (this.#wireframeIndexBuffer !== null) {
+            this.#wireframeIndexBuffer.compile(device);
+        }
+
+        this.#wireframeCompiled = true;
+    }
+
     /**
      * Destroys WebGPU resources associated with this mesh.
      */
@@ -106,6 +182,13 @@ class Mesh
             this.#indexBuffer.destroy();
         }
 
+        if (this.#wireframeIndexBuffer) {
+            this.#wireframeIndexBuffer.destroy();
+            this.#wireframeIndexBuffer = null;
+        }
+
+        this.#wireframeCompiled = false;
+
         if (this.#material && this.#material.isCompiled()) {
             this.#material.destroy();
         }
@@ -113,21 +196,27 @@ class Mesh
         this.#compiled = false;
     }
 
+    /**
+     * Forgets all GPU resources of the mesh and its material, so the mesh
+     * can be compiled again on a new device.
+     */
+    reset()
+    {
+        this.destroy();
+        this.#material.reset();
+    }
+
     /**
      * Creates the appropriate buffer layout based on material and geometry
      * requirements.
      */
     #createBufferLayout()
     {
-        const layout = [VertexAttributes.POSITION];
-
-        // Add normals if geometry has faces
-        if (this.#geometry.getFaceCount() > 0) {
-            layout.push(VertexAttributes.NORMAL);
-        }
+        // Shaders always expect normals, they are zero without faces
+        const layout = [VertexAttributes.POSITION, VertexAttributes.NORMAL];
 
         // Add UV coordinates if material requires them
-        if (this.#material.getUseTexture()
+        if (this.#material.getUseUv()
             && this.#geometry.getUvCount() > 0
         ) {
             layout.push(VertexAttributes.UV);
@@ -141,6 +230,15 @@ class Mesh
             layout.push(VertexAttributes.COLOR);
         }
 
+        // Tangents are derived from the UV coordinates of the faces
+        if (
+            this.#material.getUseTangents()
+            && this.#geometry.getUvCount() > 0
+            && this.#geometry.getFaceCount() > 0
+        ) {
+            layout.push(VertexAttributes.TANGENT);
+        }
+
         return layout;
     }
 
@@ -124,6 +124,10 @@ class Object
         return 'line-list';
     }
 
+    static get LINE_STRIP() {
+        return 'line-strip';
+    }
+
     static get POINTS() {
         return 'point-list';
     }
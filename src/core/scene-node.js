@@ -16,11 +16,13 @@ class SceneNode
     #parent = null;
     #position = null;
     #scale = null;
-    #camera = null;
+    #castShadow = true;
+    #receiveShadow = true;
 
     #uniformBuffer = null;
     #bindGroupLayout = null;
     #bindGroup = null;
+    #instanceBuffer = null;
 
     #compiled = false;
     #needsUpdate = false;
@@ -180,6 +182,47 @@ class SceneNode
         this.requireUpdate();
     }
 
+    /**
+     * Sets whether the mesh of this node is rendered into shadow maps.
+     */
+    setCastShadow(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Cast shadow setting must be of type boolean.');
+        }
+
+        this.#castShadow = config;
+    }
+
+    /**
+     * Returns whether the mesh of this node is rendered into shadow maps.
+     */
+    getCastShadow() {
+        return this.#castShadow;
+    }
+
+    /**
+     * Sets whether shadows are drawn on the mesh of this node.
+     */
+    setReceiveShadow(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError(
+                'Receive shadow setting must be of type boolean.'
+            );
+        }
+
+        this.#receiveShadow = config;
+        this.#needsUpdate = true;
+    }
+
+    /**
+     * Returns whether shadows are drawn on the mesh of this node.
+     */
+    getReceiveShadow() {
+        return this.#receiveShadow;
+    }
+
     /**
      * Retrieve the uniform buffer.
      */
@@ -225,20 +268,20 @@ class SceneNode
     /**
      * Compiles the scene node.
      */
-    async compile(device, camera)
+    async compile(device)
     {
         if (this.#compiled) {
             return;
         }
 
-        this.#camera = camera;
         await this.#mesh.compile(device);
         this.#fillUniformBuffer();
         this.#uniformBuffer.compile(device);
+        this.#createBindGroupLayout(device);
         this.#createBindGroup(device);
 
         for (const child of this.#children) {
-            await child.compile(device, camera);
+            await child.compile(device);
         }
 
         this.#needsUpdate = false;
@@ -268,7 +311,7 @@ class SceneNode
     /**
      * Updates the scene node's uniform buffer with current values.
      */
-    update(device, camera)
+    update(device)
     {
         if (!this.#compiled) {
             throw new Error(
@@ -276,19 +319,39 @@ class SceneNode
             );
         }
 
-        this.#camera = camera;
         this.#fillUniformBuffer();
         this.#uniformBuffer.updateUniformBuffer(device);
 
         for (const child of this.#children) {
             if (child.needsUpdate()) {
-                child.update(device, camera);
+                child.update(device);
             }
         }
 
         this.#needsUpdate = false;
     }
 
+    /**
+     * Uploads changed instances of an instanced mesh and recreates the bind
+     * group when the instance storage buffer has been replaced.
+     */
+    updateInstances(device)
+    {
+        if (!this.#mesh || !this.#mesh.isInstanced()) {
+            return;
+        }
+
+        if (this.#mesh.needsUpdate()) {
+            this.#mesh.update(device);
+        }
+
+        const storageBuffer = this.#mesh.getStorageBuffer();
+
+        if (storageBuffer.getStorageBuffer() !== this.#instanceBuffer) {
+            this.#createBindGroup(device);
+        }
+    }
+
     /**
      * Destroys WebGPU resources associated with this scene node.
      */
@@ -303,13 +366,41 @@ class SceneNode
             this.#mesh.destroy();
         }
 
+        if (this.#uniformBuffer.isCompiled()) {
+            this.#uniformBuffer.destroy();
+        }
+
         this.#bindGroup = null;
         this.#bindGroupLayout = null;
+        this.#instanceBuffer = null;
         
         this.#compiled = false;
         this.requireUpdate();
     }
 
+    /**
+     * Forgets all GPU resources of this node, its mesh and its children, so
+     * the node can be compiled again on a new device.
+     */
+    reset()
+    {
+        for (const child of this.#children) {
+            child.reset();
+        }
+
+        if (this.#mesh) {
+            this.#mesh.reset();
+        }
+
+        this.#uniformBuffer.destroy();
+        this.#bindGroup = null;
+        this.#bindGroupLayout = null;
+        this.#instanceBuffer = null;
+
+        this.#compiled = false;
+        this.requireUpdate();
+    }
+
     /**
      * Returns the scene node's model matrix.
      */
@@ -365,43 +456,75 @@ class SceneNode
     #fillUniformBuffer()
     {
         const modelMatrix = this.getModelMatrix();
-        const viewMatrix = this.#camera.getViewMatrix();
-        const modelViewMatrix = Matrix4.multiply(modelMatrix, viewMatrix);
         const normalMatrix = this.#getNormalMatrix(modelMatrix);
 
         this.#uniformBuffer.setUniform(
             'model-matrix', modelMatrix.toArray(), 'mat4x4<f32>'
         );
         this.#uniformBuffer.setUniform(
-            'model-view-matrix', modelViewMatrix.toArray(), 'mat4x4<f32>'
+            'normal-matrix', normalMatrix.toBufferArray(), 'mat3x3<f32>'
         );
         this.#uniformBuffer.setUniform(
-            'normal-matrix', normalMatrix.toBufferArray(), 'mat3x3<f32>'
+            'receive-shadow', this.#receiveShadow ? 1 : 0, 'f32'
         );
     }
 
     /**
-     * Create the bind group for this node.
+     * Create the bind group layout for this node. Instanced meshes add their
+     * instance storage buffer. Fragments read whether they receive shadows.
      */
-    #createBindGroup(device)
+    #createBindGroupLayout(device)
     {
-        this.#bindGroupLayout = device.createBindGroupLayout({
-            entries: [{
-                binding: 0,
+        const entries = [{
+            binding: 0,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+            buffer: {},
+        }];
+
+        if (this.#mesh.isInstanced()) {
+            entries.push({
+                binding: 1,
                 visibility: GPUShaderStage.VERTEX,
-                buffer: {},
-            }]
+                buffer: {
+                    type: 'read-only-storage'
+                }
+            });
+        }
+
+        this.#bindGroupLayout = device.createBindGroupLayout({
+            entries: entries
         });
+    }
+
+    /**
+     * Create the bind group for this node.
+     */
+    #createBindGroup(device)
+    {
+        const entries = [{
+            binding: 0,
+            resource: {
+                buffer: this.#uniformBuffer.getUniformBuffer()
+            }
+        }];
+
+        if (this.#mesh.isInstanced()) {
+            this.#instanceBuffer = this.#mesh
+                .getStorageBuffer()
+                .getStorageBuffer();
+
+            entries.push({
+                binding: 1,
+                resource: {
+                    buffer: this.#instanceBuffer
+                }
+            });
+        }
 
         this.#bindGroup = device.createBindGroup({
             label: 'model',
             layout: this.#bindGroupLayout,
-            entries: [{
-                binding: 0,
-                resource: {
-                    buffer: this.#uniformBuffer.getUniformBuffer()
-                }
-            }]
+            entries: entries
         });
     }
 
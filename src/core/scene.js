@@ -1,37 +1,49 @@
 
 import { AmbientLight } from './light/ambient-light.js';
+import { Background } from './background.js';
 import { Color } from './color.js';
 import { DirectionalLight } from './light/directional-light.js';
 import { Engine } from '../engine.js';
+import { Fog } from './fog.js';
+import { PointLight } from './light/point-light.js';
 import { SceneNode } from './scene-node.js';
+import { ShadowMap } from './light/shadow-map.js';
+import { SpotLight } from './light/spot-light.js';
 import { UniformBuffer } from './buffer/uniform-buffer.js';
 import { StorageBuffer } from './buffer/storage-buffer.js';
 
 /**
- * Manages the camera and objects in a scene.
+ * Manages the objects in a scene. The scene does not depend on a camera, so
+ * several cameras can render it in the same frame.
  */
 class Scene
 {
     #nodes = [];
     #ambientLights = [];
     #directionalLights = new Map();
-    #camera = null;
+    #pointLights = new Map();
+    #spotLights = new Map();
+    #fog = null;
+    #background = null;
 
     #uniformBuffer = null;
     #storageBuffer = null;
+    #pointStorageBuffer = null;
+    #spotStorageBuffer = null;
+    #shadowMap = null;
+    #shadowMapView = null;
     #bindGroupLayout = null;
     #bindGroup = null;
     #compiled = false;
-
-    #viewChangeListener = null;
+    #needsUpdate = false;
 
     constructor()
     {
         this.#uniformBuffer = new UniformBuffer();
         this.#storageBuffer = new StorageBuffer(DirectionalLight.LAYOUT, 10);
-
-        // Create bound listener function for camera view changes
-        this.#viewChangeListener = this.#onCameraViewChange.bind(this);
+        this.#pointStorageBuffer = new StorageBuffer(PointLight.LAYOUT, 10);
+        this.#spotStorageBuffer = new StorageBuffer(SpotLight.LAYOUT, 10);
+        this.#shadowMap = new ShadowMap();
     }
 
     /**
@@ -93,6 +105,159 @@ class Scene
         return this.#directionalLights;
     }
 
+    /**
+     * Gets the first directional light that casts shadows or null if there
+     * is none.
+     */
+    getShadowLight()
+    {
+        for (const light of this.#directionalLights.values()) {
+            if (light.castShadow) {
+                return light;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the shadow map of the shadow casting directional light.
+     */
+    getShadowMap()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Scene must be compiled before accessing shadow map.'
+            );
+        }
+
+        return this.#shadowMap;
+    }
+
+    /**
+     * Fits the shadow map to the view of the camera and the world space
+     * bounding boxes of all shadow casters. Creates a new bind group when the
+     * shadow map got a new depth texture.
+     */
+    updateShadowMap(device, camera, casterBounds)
+    {
+        const light = this.getShadowLight();
+        const lightIndex = Array.from(this.#directionalLights.values())
+            .indexOf(light);
+
+        this.#shadowMap.update(
+            device, light, lightIndex, camera, casterBounds
+        );
+
+        if (this.#shadowMap.getTextureView() !== this.#shadowMapView) {
+            this.#createBindGroup(device);
+        }
+    }
+
+    /**
+     * Adds a point light to the scene.
+     */
+    addPointLight(name, light)
+    {
+        if (!(light instanceof PointLight) || light instanceof SpotLight) {
+            throw new TypeError('Light must be an instance of PointLight.');
+        }
+
+        this.#pointLights.set(name, light);
+    }
+
+    /**
+     * Gets the point lights visible in this scene.
+     */
+    getPointLights() {
+        return this.#pointLights;
+    }
+
+    /**
+     * Adds a spot light to the scene.
+     */
+    addSpotLight(name, light)
+    {
+        if (!(light instanceof SpotLight)) {
+            throw new TypeError('Light must be an instance of SpotLight.');
+        }
+
+        this.#spotLights.set(name, light);
+    }
+
+    /**
+     * Gets the spot lights visible in this scene.
+     */
+    getSpotLights() {
+        return this.#spotLights;
+    }
+
+    /**
+     * Gets the fog of the scene, or null if the scene has no fog.
+     */
+    getFog() {
+        return this.#fog;
+    }
+
+    /**
+     * Sets the fog of the scene, null removes it. After changing the fog,
+     * set it again to apply the changes.
+     */
+    setFog(fog)
+    {
+        if (!(fog instanceof Fog) && fog !== null) {
+            throw new TypeError('Fog must be an instance of Fog or null.');
+        }
+
+        this.#fog = fog;
+        this.#needsUpdate = true;
+    }
+
+    /**
+     * Gets the background of the scene, or null if the scene is drawn on the
+     * clear color of the engine.
+     */
+    getBackground() {
+        return this.#background;
+    }
+
+    /**
+     * Sets the background of the scene, null removes it. The background is
+     * compiled by the engine when it is first drawn.
+     */
+    setBackground(background)
+    {
+        if (!(background instanceof Background) && background !== null) {
+            throw new TypeError(
+                'Background must be an instance of Background or null.'
+            );
+        }
+
+        this.#background = background;
+    }
+
+    /**
+     * Returns whether the scene uniforms changed since the scene was
+     * compiled or last updated.
+     */
+    needsUpdate() {
+        return this.#needsUpdate;
+    }
+
+    /**
+     * Writes the ambient light and fog to the uniform buffer.
+     */
+    update(device)
+    {
+        if (!this.#compiled) {
+            throw new Error('Scene must be compiled before updating.');
+        }
+
+        this.#fillUniformBuffer();
+        this.#uniformBuffer.updateUniformBuffer(device);
+        this.#needsUpdate = false;
+    }
+
     /**
      * Retrieve the uniform buffer.
      */
@@ -159,7 +324,7 @@ class Scene
     /**
      * Compiles the scene.
      */
-    async compile(device, camera)
+    async compile(device)
     {
         if (this.#compiled) {
             return;
@@ -167,32 +332,23 @@ class Scene
 
         Engine.validateDevice(device);
 
-        // Register listener for camera view changes
-        if (this.#camera !== camera) {
-            // Unregister from old camera if exists
-            if (this.#camera) {
-                this.#camera.removeViewChangeListener(
-                    this.#viewChangeListener
-                );
-            }
-            
-            // Register to new camera
-            this.#camera = camera;
-            camera.addViewChangeListener(this.#viewChangeListener);
-        }
-
         this.#fillUniformBuffer();
         this.#fillStorageBuffer();
         this.#uniformBuffer.compile(device);
         this.#storageBuffer.compile(device);
+        this.#pointStorageBuffer.compile(device);
+        this.#spotStorageBuffer.compile(device);
+        await this.#shadowMap.compile(device);
+        this.#createBindGroupLayout(device);
         this.#createBindGroup(device);
 
         // Compile all nodes
         for (const node of this.#nodes) {
-            await node.compile(device, camera);
+            await node.compile(device);
         }
 
         this.#compiled = true;
+        this.#needsUpdate = false;
     }
 
     /**
@@ -200,12 +356,6 @@ class Scene
      */
     destroy()
     {
-        // Unregister from camera events
-        if (this.#camera) {
-            this.#camera.removeViewChangeListener(this.#viewChangeListener);
-            this.#camera = null;
-        }
-
         // Destroy all nodes
         for (const node of this.#nodes) {
             node.destroy();
@@ -219,6 +369,48 @@ class Scene
             this.#storageBuffer.destroy();
         }
 
+        if (this.#pointStorageBuffer.isCompiled()) {
+            this.#pointStorageBuffer.destroy();
+        }
+
+        if (this.#spotStorageBuffer.isCompiled()) {
+            this.#spotStorageBuffer.destroy();
+        }
+
+        this.#shadowMap.destroy();
+        this.#shadowMapView = null;
+
+        if (this.#background) {
+            this.#background.destroy();
+        }
+
+        this.#bindGroup = null;
+        this.#bindGroupLayout = null;
+
+        this.#compiled = false;
+    }
+
+    /**
+     * Forgets all GPU resources of the scene, its nodes and its background,
+     * so the scene can be compiled again on a new device.
+     */
+    reset()
+    {
+        for (const node of this.#nodes) {
+            node.reset();
+        }
+
+        this.#uniformBuffer.destroy();
+        this.#storageBuffer.destroy();
+        this.#pointStorageBuffer.destroy();
+        this.#spotStorageBuffer.destroy();
+        this.#shadowMap.destroy();
+        this.#shadowMapView = null;
+
+        if (this.#background) {
+            this.#background.reset();
+        }
+
         this.#bindGroup = null;
         this.#bindGroupLayout = null;
 
@@ -243,6 +435,27 @@ class Scene
             ambient.intensity,
             'f32'
         );
+
+        this.#fillFogUniforms();
+    }
+
+    /**
+     * Writes the fog settings to the uniform buffer. Mode 0 disables fog,
+     * the fog modes follow in order.
+     */
+    #fillFogUniforms()
+    {
+        const fog = this.#fog;
+        const buffer = this.#uniformBuffer;
+
+        const color = fog ? fog.color.toRgbArray() : [0, 0, 0];
+        const mode = fog ? Fog.MODES.indexOf(fog.mode) + 1 : 0;
+
+        buffer.setUniform('fog_color', color, 'vec3<f32>');
+        buffer.setUniform('fog_mode', mode, 'u32');
+        buffer.setUniform('fog_start', fog ? fog.start : 0, 'f32');
+        buffer.setUniform('fog_end', fog ? fog.end : 0, 'f32');
+        buffer.setUniform('fog_density', fog ? fog.density : 0, 'f32');
     }
 
     /**
@@ -279,49 +492,40 @@ class Scene
     }
 
     /**
-     * Callback for when the camera view changes.
-     * Automatically marks all nodes as needing an update.
+     * Fills the storage buffers with the lights of the scene.
      */
-    #onCameraViewChange()
+    #fillStorageBuffer()
     {
-        if (!this.#compiled) {
-            return;
-        }
-
-        // Mark all nodes as needing update
-        for (const node of this.#nodes) {
-            this.#updateNodeForCameraChange(node);
+        for (const [name, value] of this.#directionalLights) {
+            this.#storageBuffer.setStorageEntry(name, {
+                direction: value.direction.toArray(),
+                color: value.color.toRgbArray(),
+                intensity: value.intensity
+            });
         }
-    }
-
-    /**
-     * Recursively marks a node and all its children as needing an update.
-     */
-    #updateNodeForCameraChange(node)
-    {
-        node.requireUpdate();
-
-        const children = node.getChildren();
 
-        for (const child of children) {
-            this.#updateNodeForCameraChange(child);
+        for (const [name, value] of this.#pointLights) {
+            this.#pointStorageBuffer.setStorageEntry(name, {
+                position: value.position.toArray(),
+                color: value.color.toRgbArray(),
+                intensity: value.intensity,
+                range: value.range,
+                attenuation: value.attenuation
+            });
         }
-    }
 
-    /**
-     * Fills the storage buffer with the relevant scene data.
-     */
-    #fillStorageBuffer()
-    {
-        if (this.#directionalLights.length === 0) {
-            return;
-        }
+        for (const [name, value] of this.#spotLights) {
+            const [innerCone, outerCone] = value.getConeCosines();
 
-        for (const [name, value] of this.#directionalLights) {
-            this.#storageBuffer.setStorageEntry(name, {
+            this.#spotStorageBuffer.setStorageEntry(name, {
+                position: value.position.toArray(),
                 direction: value.direction.toArray(),
                 color: value.color.toRgbArray(),
-                intensity: value.intensity
+                intensity: value.intensity,
+                range: value.range,
+                attenuation: value.attenuation,
+                inner_cone: innerCone,
+                outer_cone: outerCone
             });
         }
     }
@@ -329,7 +533,7 @@ class Scene
     /**
      * Creates the bind group layout.
      */
-    #createBindGroup(device)
+    #createBindGroupLayout(device)
     {
         this.#bindGroupLayout = device.createBindGroupLayout({
             entries: [{
@@ -344,8 +548,46 @@ class Scene
                 buffer: {
                     type: 'read-only-storage'
                 }
+            }, {
+                binding: 2,
+                visibility: GPUShaderStage.FRAGMENT,
+                buffer: {
+                    type: 'read-only-storage'
+                }
+            }, {
+                binding: 3,
+                visibility: GPUShaderStage.FRAGMENT,
+                buffer: {
+                    type: 'read-only-storage'
+                }
+            }, {
+                binding: 4,
+                visibility: GPUShaderStage.FRAGMENT,
+                buffer: {
+                    type: 'uniform'
+                }
+            }, {
+                binding: 5,
+                visibility: GPUShaderStage.FRAGMENT,
+                texture: {
+                    sampleType: 'depth'
+                }
+            }, {
+                binding: 6,
+                visibility: GPUShaderStage.FRAGMENT,
+                sampler: {
+                    type: 'comparison'
+                }
             }]
         });
+    }
+
+    /**
+     * Creates the bind group with the light buffers and the shadow map.
+     */
+    #createBindGroup(device)
+    {
+        this.#shadowMapView = this.#shadowMap.getTextureView();
 
         this.#bindGroup = device.createBindGroup({
             label: 'lights',
@@ -360,6 +602,28 @@ class Scene
                 resource: {
                     buffer: this.#storageBuffer.getStorageBuffer()
                 }
+            }, {
+                binding: 2,
+                resource: {
+                    buffer: this.#pointStorageBuffer.getStorageBuffer()
+                }
+            }, {
+                binding: 3,
+                resource: {
+                    buffer: this.#spotStorageBuffer.getStorageBuffer()
+                }
+            }, {
+                binding: 4,
+                resource: {
+                    buffer: this.#shadowMap.getUniformBuffer()
+                        .getUniformBuffer()
+                }
+            }, {
+                binding: 5,
+                resource: this.#shadowMapView
+            }, {
+                binding: 6,
+                resource: this.#shadowMap.getSampler()
             }]
         });
     }
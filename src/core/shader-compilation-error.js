@@ -0,0 +1,67 @@
+
+/**
+ * Error thrown when WGSL code fails to compile. Every message holds the
+ * shader stage, the message type and text, the line and column in the
+ * generated code, the offending source line and, if known, the chunk and
+ * the line in the chunk it came from.
+ */
+class ShaderCompilationError extends Error
+{
+    #messages = [];
+
+    constructor(messages)
+    {
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw new TypeError(
+                'Shader compilation error needs a list of messages.'
+            );
+        }
+
+        super(ShaderCompilationError.#formatMessages(messages));
+
+        this.name = 'ShaderCompilationError';
+        this.#messages = messages.map(message => ({ ...message }));
+    }
+
+    /**
+     * Gets copies of the compilation messages.
+     */
+    getMessages() {
+        return this.#messages.map(message => ({ ...message }));
+    }
+
+    /**
+     * Formats the messages into a readable error text, pointing at the
+     * column of the offending source line.
+     */
+    static #formatMessages(messages)
+    {
+        const parts = messages.map(message => {
+            let location = `${message.stage} shader`;
+
+            if (message.line > 0) {
+                location += ` line ${message.line}:${message.column}`;
+            }
+
+            if (message.chunk !== null) {
+                location += ` (chunk ${message.chunk} line ` +
+                    `${message.chunkLine})`;
+            }
+
+            let text = `${location}: ${message.message}`;
+
+            if (message.sourceLine) {
+                const marker = ' '.repeat(Math.max(message.column - 1, 0));
+                text += `\n    ${message.sourceLine}\n    ${marker}^`;
+            }
+
+            return text;
+        });
+
+        return 'Shader compilation failed.\n' + parts.join('\n');
+    }
+}
+
+export {
+    ShaderCompilationError
+};
\ No newline at end of file
@@ -1,9 +1,10 @@
 
-import { Engine } from "../engine.js";
+import { ShaderCompilationError } from './shader-compilation-error.js';
 
 /**
  * Encapsulates vertex and fragment shader code and handles compilation when
- * device is available.
+ * device is available. The optional origins hold the chunk every line of the
+ * code came from, which is used for compilation errors.
  */
 class Shader
 {
@@ -11,15 +12,25 @@ class Shader
     #fragmentSource = null;
     #vertexModule = null;
     #fragmentModule = null;
+    #origins = null;
+    #compilationMessages = null;
     #compiled = false;
 
-    constructor(vertexSource, fragmentSource)
+    constructor(vertexSource, fragmentSource, origins = {})
     {
         Shader.#validateShaderSource(vertexSource, 'Vertex');
         Shader.#validateShaderSource(fragmentSource, 'Fragment');
 
+        if (typeof origins !== 'object' || origins === null) {
+            throw new TypeError('Shader origins must be an object.');
+        }
+
         this.#vertexSource = vertexSource;
         this.#fragmentSource = fragmentSource;
+        this.#origins = {
+            vertex: origins.vertex ?? [],
+            fragment: origins.fragment ?? []
+        };
     }
 
     /**
@@ -32,7 +43,13 @@ class Shader
             return;
         }
 
-        Engine.validateDevice(device);
+        // The engine is not imported here, shader renderers load this module
+        // and must not depend on the engine and everything it imports
+        if (!device || typeof device.createShaderModule !== 'function') {
+            throw new TypeError(
+                'WebGPU device is required but was not provided.'
+            );
+        }
 
         this.#vertexModule = device.createShaderModule({
             code: this.#vertexSource
@@ -42,9 +59,55 @@ class Shader
             code: this.#fragmentSource
         });
 
+        this.#compilationMessages = null;
         this.#compiled = true;
     }
 
+    /**
+     * Collects the compilation messages of both shader modules. Every
+     * message names the stage, type, line and column, the source line and
+     * the chunk it came from if known.
+     */
+    async getCompilationMessages()
+    {
+        if (!this.isCompiled()) {
+            throw new Error('Shader must be compiled before use.');
+        }
+
+        if (this.#compilationMessages === null) {
+            this.#compilationMessages = Promise.all([
+                Shader.#collectMessages(
+                    'vertex',
+                    this.#vertexModule,
+                    this.#vertexSource,
+                    this.#origins.vertex
+                ),
+                Shader.#collectMessages(
+                    'fragment',
+                    this.#fragmentModule,
+                    this.#fragmentSource,
+                    this.#origins.fragment
+                )
+            ]).then(messages => messages.flat());
+        }
+
+        return this.#compilationMessages;
+    }
+
+    /**
+     * Throws a ShaderCompilationError if any shader module failed to
+     * compile. Warnings and infos do not throw.
+     */
+    async validate()
+    {
+        const messages = await this.getCompilationMessages();
+        const errors = messages.filter(message => message.type === 'error');
+
+        if (errors.length > 0) {
+            throw new ShaderCompilationError(errors);
+        }
+    }
+
     /**
      * Checks if shader is compiled
      */
@@ -83,10 +146,41 @@ class Shader
     {
         this.#vertexModule = null;
         this.#fragmentModule = null;
+        this.#compilationMessages = null;
 
         this.#compiled = false;
     }
 
+    /**
+     * Reads the compilation info of a shader module and maps every message
+     * to its source line and chunk.
+     */
+    static async #collectMessages(stage, module, source, origins)
+    {
+        // Not every WebGPU implementation reports compilation info
+        if (typeof module.getCompilationInfo !== 'function') {
+            return [];
+        }
+
+        const info = await module.getCompilationInfo();
+        const lines = source.split('\n');
+
+        return Array.from(info.messages, message => {
+            const origin = origins[message.lineNum - 1] ?? null;
+
+            return {
+                stage: stage,
+                type: message.type,
+                message: message.message,
+                line: message.lineNum,
+                column: message.linePos,
+                sourceLine: lines[message.lineNum - 1] ?? '',
+                chunk: origin ? origin.chunk : null,
+                chunkLine: origin ? origin.line : null
+            };
+        });
+    }
+
     /**
      * Validates that the shader source code is valid.
      */
@@ -0,0 +1,219 @@
+
+import { Engine } from '../../engine.js';
+import { MemoryTracker } from '../memory-tracker.js';
+
+/**
+ * Manages WebGPU cube textures made of six square faces, for example for
+ * skyboxes. The faces are given in the order +X, -X, +Y, -Y, +Z and -Z, each
+ * as raw RGBA data with four bytes per pixel.
+ */
+class CubeTexture
+{
+    #size = 0;
+    #faces = null;
+    #format = 'rgba8unorm';
+
+    #compiled = false;
+    #texture = null;
+    #textureView = null;
+
+    constructor(size, faces = null)
+    {
+        CubeTexture.#validateSize(size);
+        CubeTexture.#validateFaces(faces, size);
+
+        this.#size = size;
+        this.#faces = faces;
+    }
+
+    /**
+     * Gets the width and height of every face.
+     */
+    getSize() {
+        return this.#size;
+    }
+
+    /**
+     * Gets the raw data of the six faces, or null if the texture has none.
+     */
+    getFaces() {
+        return this.#faces;
+    }
+
+    /**
+     * Gets the WebGPU format of the texture.
+     */
+    getFormat() {
+        return this.#format;
+    }
+
+    /**
+     * Gets the GPU texture.
+     */
+    getGpuTexture()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Cube texture must be compiled before accessing texture!'
+            );
+        }
+
+        return this.#texture;
+    }
+
+    /**
+     * Returns the GPU texture view with the cube view dimension.
+     */
+    getGpuTextureView()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Cube texture must be compiled before accessing texture view!'
+            );
+        }
+
+        return this.#textureView;
+    }
+
+    /**
+     * Returns if the texture is compiled.
+     */
+    isCompiled() {
+        return this.#compiled;
+    }
+
+    /**
+     * Compiles the faces into a WebGPU texture with six layers.
+     */
+    compile(device)
+    {
+        if (this.#compiled) {
+            return;
+        }
+
+        Engine.validateDevice(device);
+        this.#createTexture(device);
+        this.#compiled = true;
+    }
+
+    /**
+     * Destroys the texture and releases GPU resources.
+     */
+    destroy()
+    {
+        if (this.#texture) {
+            MemoryTracker.release(MemoryTracker.TEXTURE, this.#getByteSize());
+            this.#texture.destroy();
+            this.#texture = null;
+        }
+
+        this.#textureView = null;
+        this.#compiled = false;
+    }
+
+    /**
+     * Creates the texture and writes every face into its own layer.
+     */
+    #createTexture(device)
+    {
+        this.#texture = device.createTexture({
+            size: [this.#size, this.#size, CubeTexture.FACE_COUNT],
+            format: this.#format,
+            usage: GPUTextureUsage.TEXTURE_BINDING |
+                GPUTextureUsage.COPY_DST
+        });
+
+        if (this.#faces) {
+            this.#faces.forEach((face, layer) => {
+                device.queue.writeTexture({
+                        texture: this.#texture,
+                        origin: [0, 0, layer]
+                    }, face, {
+                        bytesPerRow: this.#size * 4,
+                        rowsPerImage: this.#size
+                    }, {
+                        width: this.#size,
+                        height: this.#size
+                    }
+                );
+            });
+        }
+
+        this.#textureView = this.#texture.createView({
+            dimension: 'cube'
+        });
+
+        MemoryTracker.allocate(MemoryTracker.TEXTURE, this.#getByteSize());
+    }
+
+    /**
+     * Gets the size of all faces in GPU memory, with four bytes per pixel.
+     */
+    #getByteSize() {
+        return this.#size * this.#size * 4 * CubeTexture.FACE_COUNT;
+    }
+
+    /**
+     * Validates that the face size is a positive integer.
+     */
+    static #validateSize(size)
+    {
+        if (!Number.isInteger(size)) {
+            throw new TypeError('Cube texture size must be an integer.');
+        }
+
+        if (size <= 0) {
+            throw new RangeError('Cube texture size must be positive.');
+        }
+    }
+
+    /**
+     * Validates that the faces are six Uint8Arrays with four bytes for every
+     * pixel of a face.
+     */
+    static #validateFaces(faces, size)
+    {
+        if (faces === null) {
+            return;
+        }
+
+        if (!Array.isArray(faces) || faces.length !== CubeTexture.FACE_COUNT) {
+            throw new TypeError('Cube texture faces must be an array of six.');
+        }
+
+        for (const face of faces) {
+            if (!(face instanceof Uint8Array)) {
+                throw new TypeError(
+                    'Every cube texture face must be an Uint8Array.'
+                );
+            }
+
+            if (face.byteLength !== size * size * 4) {
+                throw new RangeError(
+                    `Every cube texture face must hold ${size * size * 4} `
+                    + 'bytes.'
+                );
+            }
+        }
+    }
+
+    /**
+     * Validates that an object is a CubeTexture instance.
+     */
+    static validateInstance(value)
+    {
+        if (!(value instanceof CubeTexture)) {
+            throw new TypeError('Expected an instance of CubeTexture.');
+        }
+    }
+
+    // The number of faces of a cube texture
+
+    static get FACE_COUNT() {
+        return 6;
+    }
+}
+
+export {
+    CubeTexture
+}
\ No newline at end of file
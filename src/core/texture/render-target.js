@@ -0,0 +1,287 @@
+
+import { Engine } from '../../engine.js';
+import { MemoryTracker } from '../memory-tracker.js';
+import { Texture } from './texture.js';
+
+/**
+ * Describes an offscreen target that a scene can be rendered into instead of
+ * the canvas. It holds a color texture and optionally a depth texture.
+ * The color texture can be used in a TextureAttachment like any other
+ * texture. With more than one sample per pixel the scene is rendered into a
+ * multisampled texture, which is resolved into the color texture.
+ */
+class RenderTarget
+{
+    #width = 0;
+    #height = 0;
+    #useDepth = true;
+    #sampleCount = 1;
+
+    #colorTexture = null;
+    #multisampleTexture = null;
+    #multisampleTextureView = null;
+    #depthTexture = null;
+    #depthTextureView = null;
+    #compiled = false;
+
+    constructor(
+        width,
+        height,
+        useDepth = true,
+        colorFormat = 'rgba8unorm',
+        sampleCount = 1
+    ) {
+        this.#validateDimension(width, 'width');
+        this.#validateDimension(height, 'height');
+
+        if (typeof useDepth !== 'boolean') {
+            throw new TypeError('Depth setting must be of type boolean.');
+        }
+
+        Engine.validateSampleCount(sampleCount);
+
+        this.#width = width;
+        this.#height = height;
+        this.#useDepth = useDepth;
+        this.#sampleCount = sampleCount;
+
+        this.#colorTexture = new Texture(width, height, null, colorFormat);
+    }
+
+    /**
+     * Gets the width of the render target.
+     */
+    getWidth() {
+        return this.#width;
+    }
+
+    /**
+     * Gets the height of the render target.
+     */
+    getHeight() {
+        return this.#height;
+    }
+
+    /**
+     * Gets the aspect ratio of the render target.
+     */
+    getAspectRatio() {
+        return this.#width / this.#height;
+    }
+
+    /**
+     * Returns whether the render target has a depth texture.
+     */
+    hasDepth() {
+        return this.#useDepth;
+    }
+
+    /**
+     * Gets the number of samples per pixel.
+     */
+    getSampleCount() {
+        return this.#sampleCount;
+    }
+
+    /**
+     * Gets the texture the color output is rendered into.
+     */
+    getColorTexture() {
+        return this.#colorTexture;
+    }
+
+    /**
+     * Gets the format of the color texture.
+     */
+    getColorFormat() {
+        return this.#colorTexture.getFormat();
+    }
+
+    /**
+     * Gets the format of the depth texture or null if there is none.
+     */
+    getDepthFormat()
+    {
+        if (!this.#useDepth) {
+            return null;
+        }
+
+        return Engine.DEPTH_FORMAT;
+    }
+
+    /**
+     * Gets the GPU texture view of the depth texture.
+     */
+    getDepthTextureView()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Render target must be compiled before accessing depth view!'
+            );
+        }
+
+        return this.#depthTextureView;
+    }
+
+    /**
+     * Gets the GPU texture view of the multisampled color texture, or null
+     * if the render target has a single sample per pixel.
+     */
+    getMultisampleTextureView()
+    {
+        if (!this.#compiled) {
+            throw new Error(
+                'Render target must be compiled before accessing color view!'
+            );
+        }
+
+        return this.#multisampleTextureView;
+    }
+
+    /**
+     * Returns if the render target is compiled.
+     */
+    isCompiled() {
+        return this.#compiled;
+    }
+
+    /**
+     * Compiles the color and depth textures of the render target.
+     */
+    compile(device)
+    {
+        if (this.#compiled) {
+            return;
+        }
+
+        Engine.validateDevice(device);
+
+        this.#colorTexture.compile(device);
+
+        if (this.#sampleCount > 1) {
+            this.#createMultisampleTexture(device);
+        }
+
+        if (this.#useDepth) {
+            this.#createDepthTexture(device);
+        }
+
+        this.#compiled = true;
+    }
+
+    /**
+     * Destroys the textures and releases GPU resources.
+     */
+    destroy()
+    {
+        this.#colorTexture.destroy();
+
+        if (this.#multisampleTexture) {
+            MemoryTracker.release(
+                MemoryTracker.TEXTURE, this.#getMultisampleByteSize()
+            );
+            this.#multisampleTexture.destroy();
+            this.#multisampleTexture = null;
+        }
+
+        if (this.#depthTexture) {
+            MemoryTracker.release(
+                MemoryTracker.TEXTURE, this.#getDepthByteSize()
+            );
+            this.#depthTexture.destroy();
+            this.#depthTexture = null;
+        }
+
+        this.#multisampleTextureView = null;
+        this.#depthTextureView = null;
+        this.#compiled = false;
+    }
+
+    /**
+     * Creates the multisampled color texture that is resolved into the color
+     * texture.
+     */
+    #createMultisampleTexture(device)
+    {
+        this.#multisampleTexture = device.createTexture({
+            size: [this.#width, this.#height, 1],
+            dimension: '2d',
+            format: this.getColorFormat(),
+            sampleCount: this.#sampleCount,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        this.#multisampleTextureView = this.#multisampleTexture.createView();
+
+        MemoryTracker.allocate(
+            MemoryTracker.TEXTURE, this.#getMultisampleByteSize()
+        );
+    }
+
+    /**
+     * Creates the depth texture with the size and sample count of the render
+     * target.
+     */
+    #createDepthTexture(device)
+    {
+        this.#depthTexture = device.createTexture({
+            size: [this.#width, this.#height, 1],
+            dimension: '2d',
+            format: Engine.DEPTH_FORMAT,
+            sampleCount: this.#sampleCount,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        this.#depthTextureView = this.#depthTexture.createView();
+
+        MemoryTracker.allocate(MemoryTracker.TEXTURE, this.#getDepthByteSize());
+    }
+
+    /**
+     * Returns the size of the depth texture in bytes.
+     */
+    #getDepthByteSize() {
+        return this.#width * this.#height * this.#sampleCount * 4;
+    }
+
+    /**
+     * Returns the size of the multisampled color texture in bytes.
+     */
+    #getMultisampleByteSize()
+    {
+        return this.#width * this.#height * this.#sampleCount
+            * Texture.FORMATS[this.getColorFormat()];
+    }
+
+    /**
+     * Validates that a dimension is a positive integer.
+     */
+    #validateDimension(value, dimensionName)
+    {
+        if (typeof value !== 'number' || !Number.isInteger(value)) {
+            throw new TypeError(
+                `${dimensionName} must be an integer.`
+            );
+        }
+
+        if (value <= 0) {
+            throw new RangeError(
+                `${dimensionName} must be a positive number.`
+            );
+        }
+    }
+
+    /**
+     * Validates that an object is a RenderTarget instance.
+     */
+    static validateInstance(value)
+    {
+        if (!(value instanceof RenderTarget)) {
+            throw new TypeError('Expected an instance of RenderTarget.');
+        }
+    }
+}
+
+export {
+    RenderTarget
+};
@@ -1,5 +1,6 @@
 
 import { Engine } from '../../engine.js';
+import { MemoryTracker } from '../memory-tracker.js';
 
 /**
  * Manages WebGPU textures for storing texture data.
@@ -9,19 +10,22 @@ class Texture
     #textureWidth = 0;
     #textureHeight = 0;
     #textureData = null;
+    #format = 'rgba8unorm';
 
     #compiled = false;
     #texture = null;
     #textureView = null;
 
-    constructor(width, height, data)
+    constructor(width, height, data = null, format = 'rgba8unorm')
     {
         this.#validateDimension(width, 'width');
         this.#validateDimension(height, 'height');
+        Texture.validateFormat(format);
 
         this.#textureWidth = width;
         this.#textureHeight = height;
         this.#textureData = data;
+        this.#format = format;
     }
 
     /**
@@ -45,6 +49,13 @@ class Texture
         return this.#textureData;
     }
 
+    /**
+     * Gets the WebGPU format of the texture.
+     */
+    getFormat() {
+        return this.#format;
+    }
+
     /**
      * Gets the GPU texture.
      */
@@ -100,6 +111,7 @@ class Texture
     destroy()
     {
         if (this.#texture) {
+            MemoryTracker.release(MemoryTracker.TEXTURE, this.#getByteSize());
             this.#texture.destroy();
             this.#texture = null;
         }
@@ -116,18 +128,20 @@ class Texture
         // Create the texture
         this.#texture = device.createTexture({
             size: [this.#textureWidth, this.#textureHeight],
-            format: 'rgba8unorm',
+            format: this.#format,
             usage: GPUTextureUsage.TEXTURE_BINDING |
                 GPUTextureUsage.COPY_DST |
+                GPUTextureUsage.COPY_SRC |
                 GPUTextureUsage.RENDER_ATTACHMENT
         });
 
         // Write initial data if available
-        if (this.#textureData.byteLength > 0) {
+        if (this.#textureData && this.#textureData.byteLength > 0) {
             device.queue.writeTexture({
                     texture: this.#texture
                 }, this.#textureData, {
-                    bytesPerRow: this.#textureWidth * 4,
+                    bytesPerRow: this.#textureWidth
+                        * Texture.FORMATS[this.#format],
                     rowsPerImage: this.#textureHeight
                 }, {
                     width: this.#textureWidth,
@@ -137,6 +151,17 @@ class Texture
         }
 
         this.#textureView = this.#texture.createView();
+
+        MemoryTracker.allocate(MemoryTracker.TEXTURE, this.#getByteSize());
+    }
+
+    /**
+     * Gets the size of the texture in GPU memory.
+     */
+    #getByteSize()
+    {
+        return this.#textureWidth * this.#textureHeight
+            * Texture.FORMATS[this.#format];
     }
 
     /**
@@ -157,6 +182,19 @@ class Texture
         }
     }
 
+    /**
+     * Validates that a format is one of the supported texture formats.
+     */
+    static validateFormat(format)
+    {
+        if (!Object.hasOwn(Texture.FORMATS, format)) {
+            throw new RangeError(
+                `Invalid texture format: ${format}. `
+                + `Must be one of ${Object.keys(Texture.FORMATS).join(', ')}.`
+            );
+        }
+    }
+
     /**
      * Validates that an object is a Texture instance.
      */
@@ -166,6 +204,18 @@ class Texture
             throw new TypeError('Expected an instance of Texture.');
         }
     }
+
+    /**
+     * Returns the supported formats with the number of bytes per pixel.
+     * Float formats hold colors brighter than white.
+     */
+    static get FORMATS()
+    {
+        return {
+            'rgba8unorm': 4,
+            'rgba16float': 8
+        };
+    }
 }
 
 export {
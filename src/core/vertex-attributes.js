@@ -19,6 +19,10 @@ class VertexAttributes
     static get COLOR() {
         return 'color';
     }
+
+    static get TANGENT() {
+        return 'tangent';
+    }
 }
 
 export {
@@ -1,7 +1,14 @@
 
 import { Camera } from './core/camera/camera.js';
 import { Color } from './core/color.js';
+import { FrameCapture } from './core/frame-capture.js';
+import { Frustum } from './core/math/frustum.js';
+import { Matrix4 } from './core/math/matrix4.js';
+import { MemoryTracker } from './core/memory-tracker.js';
+import { Object } from './core/object.js';
+import { RenderTarget } from './core/texture/render-target.js';
 import { Scene } from './core/scene.js';
+import { ShadowMap } from './core/light/shadow-map.js';
 
 /**
  * 3D rendering engine using the WebGPU API and HTML canvas.
@@ -13,6 +20,8 @@ class Engine
     #height = null;
     #aspectRatio = null;
     #clearColor = null;
+    #frustumCulling = true;
+    #sampleCount = 1;
 
     // WebGPU properties
     #canvas = null;
@@ -23,15 +32,38 @@ class Engine
     #commandEncoder = null;
     #renderPass = null;
     #depthTexture = null;
+    #depthTextureView = null;
+    #multisampleTexture = null;
+    #multisampleTextureView = null;
     #pipelines = new Map();
 
+    // Culling
+    #frustum = null;
+    #culledNodeCount = 0;
+
+    // Statistics, counted for the render in progress and published when it
+    // is submitted
+    #frameStats = Engine.#createEmptyStats();
+    #stats = Engine.#createEmptyStats();
+    #currentPipeline = null;
+    #currentBindGroups = [];
+
     // Animation
     #animationId = null;
     #animation = null;
 
+    // Device loss recovery
+    #renderedScenes = new Set();
+    #renderedCameras = new Set();
+    #renderTargets = new Set();
+    #deviceLostListeners = [];
+    #deviceRestoredListeners = [];
+    #deviceRestoreFailedListeners = [];
+
     // State
     #initialized = false;
     #animating = false;
+    #deviceLost = false;
 
     constructor()
     {
@@ -62,9 +94,10 @@ class Engine
         if (this.#canvas) {
             this.#updateCanvasSize();
 
-            // Recreate depth texture to update depth texture size
+            // Recreate depth and multisample textures to update their size
             if (this.#initialized) {
                 this.#createDepthTextureView();
+                this.#createMultisampleTextureView();
             }
         }
     }
@@ -77,7 +110,8 @@ class Engine
     }
 
     /**
-     * Sets the clear color to use when rendering a scene.
+     * Sets the clear color to use when rendering a scene. Scenes with a
+     * solid background are cleared with its color instead.
      */
     setClearColor(color)
     {
@@ -88,6 +122,35 @@ class Engine
         this.#clearColor = color;
     }
 
+    /**
+     * Sets the number of samples per pixel used for anti-aliasing when
+     * rendering to the canvas. Either 1 to disable multisampling or 4.
+     */
+    setSampleCount(sampleCount)
+    {
+        Engine.validateSampleCount(sampleCount);
+
+        this.#sampleCount = sampleCount;
+
+        // Recreate attachments to match the new sample count
+        if (this.#initialized) {
+            this.#createDepthTextureView();
+            this.#createMultisampleTextureView();
+        }
+    }
+
+    /**
+     * Enables or disables skipping nodes outside of the camera frustum.
+     */
+    setFrustumCulling(config)
+    {
+        if (typeof config !== 'boolean') {
+            throw new TypeError('Frustum culling must be of type boolean.');
+        }
+
+        this.#frustumCulling = config;
+    }
+
     /**
      * Initializes WebGPU and configures the canvas context.
      */
@@ -163,6 +226,140 @@ class Engine
         return this.#clearColor;
     }
 
+    /**
+     * Returns the number of samples per pixel used for the canvas.
+     */
+    getSampleCount() {
+        return this.#sampleCount;
+    }
+
+    /**
+     * Returns whether nodes outside of the camera frustum are skipped.
+     */
+    getFrustumCulling() {
+        return this.#frustumCulling;
+    }
+
+    /**
+     * Returns the number of nodes skipped by frustum culling during the
+     * last call to render.
+     */
+    getCulledNodeCount() {
+        return this.#culledNodeCount;
+    }
+
+    /**
+     * Returns statistics about the current frame and the GPU memory
+     * currently held by buffers and textures, in bytes. The counts are those
+     * of the last call to render that was submitted to the GPU.
+     */
+    getStats()
+    {
+        const memory = {
+            vertexBuffers: MemoryTracker.getBytes(MemoryTracker.VERTEX_BUFFER),
+            indexBuffers: MemoryTracker.getBytes(MemoryTracker.INDEX_BUFFER),
+            uniformBuffers: MemoryTracker.getBytes(
+                MemoryTracker.UNIFORM_BUFFER
+            ),
+            storageBuffers: MemoryTracker.getBytes(
+                MemoryTracker.STORAGE_BUFFER
+            ),
+            textures: MemoryTracker.getBytes(MemoryTracker.TEXTURE),
+            total: MemoryTracker.getTotalBytes()
+        };
+
+        return {
+            ...this.#stats,
+            pipelineCount: this.#pipelines.size,
+            memory: memory
+        };
+    }
+
+    /**
+     * Returns whether the device is lost and has not been restored yet.
+     */
+    isDeviceLost() {
+        return this.#deviceLost;
+    }
+
+    /**
+     * Adds a listener that gets called when the WebGPU device is lost.
+     * The listener receives the device lost info as parameter.
+     */
+    addDeviceLostListener(listener)
+    {
+        if (typeof listener !== 'function') {
+            throw new TypeError('Listener must be a function.');
+        }
+
+        this.#deviceLostListeners.push(listener);
+    }
+
+    /**
+     * Removes a previously added device lost listener.
+     */
+    removeDeviceLostListener(listener)
+    {
+        const index = this.#deviceLostListeners.indexOf(listener);
+
+        if (index !== -1) {
+            this.#deviceLostListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Adds a listener that gets called when a new device has been created
+     * and all rendered resources have been compiled again after a device
+     * loss. The listener receives the engine instance as parameter.
+     */
+    addDeviceRestoredListener(listener)
+    {
+        if (typeof listener !== 'function') {
+            throw new TypeError('Listener must be a function.');
+        }
+
+        this.#deviceRestoredListeners.push(listener);
+    }
+
+    /**
+     * Removes a previously added device restored listener.
+     */
+    removeDeviceRestoredListener(listener)
+    {
+        const index = this.#deviceRestoredListeners.indexOf(listener);
+
+        if (index !== -1) {
+            this.#deviceRestoredListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Adds a listener that gets called when no new device could be created
+     * or the rendered resources could not be compiled again after a device
+     * loss. The listener receives the error as parameter. The engine stays
+     * lost and does not try again.
+     */
+    addDeviceRestoreFailedListener(listener)
+    {
+        if (typeof listener !== 'function') {
+            throw new TypeError('Listener must be a function.');
+        }
+
+        this.#deviceRestoreFailedListeners.push(listener);
+    }
+
+    /**
+     * Removes a previously added device restore failed listener.
+     */
+    removeDeviceRestoreFailedListener(listener)
+    {
+        const index = this.#deviceRestoreFailedListeners.indexOf(listener);
+
+        if (index !== -1) {
+            this.#deviceRestoreFailedListeners.splice(index, 1);
+        }
+    }
+
     /**
      * Returns whether the animation loop is currently running.
      */
@@ -206,9 +403,11 @@ class Engine
     }
 
     /**
-     * Render a scene using the provided camera.
+     * Render a scene using the provided camera. If a render target is given,
+     * the scene is rendered into its textures instead of the canvas.
+     * While the device is lost, nothing is rendered.
      */
-    async render(scene, camera)
+    async render(scene, camera, target = null)
     {
         if (!this.#initialized) {
             throw new Error('Engine must be initialized before rendering!');
@@ -222,23 +421,127 @@ class Engine
             throw new TypeError('Camera must be an instance of Camera class.');
         }
 
-        await scene.compile(this.#device, camera);
+        if (target !== null) {
+            RenderTarget.validateInstance(target);
+        }
+
+        if (this.#deviceLost) {
+            return;
+        }
+
+        const frameStats = Engine.#createEmptyStats();
+        this.#frameStats = frameStats;
+
+        // Remember resources to compile them again after a device loss
+        this.#renderedScenes.add(scene);
+        this.#renderedCameras.add(camera);
+        this.#pruneRenderTargets();
+
+        if (target !== null) {
+            this.#renderTargets.add(target);
+            target.compile(this.#device);
+        }
+
+        await scene.compile(this.#device);
         camera.compile(this.#device);
         
-        // Update camera if needed before rendering
+        // Update camera and scene uniforms if needed before rendering
         if (camera.needsUpdate()) {
             camera.update(this.#device);
         }
+
+        if (scene.needsUpdate()) {
+            scene.update(this.#device);
+        }
+
+        await this.#prepareScene(scene);
         
-        this.#createRenderPass();
-        this.#renderPass.setBindGroup(0, camera.getBindGroup());
-        this.#renderPass.setBindGroup(1, scene.getBindGroup());
-        await this.#renderScene(scene, camera);
+        this.#commandEncoder = this.#device.createCommandEncoder();
+        await this.#renderShadowMap(scene, camera);
+
+        this.#createRenderPass(target, scene.getBackground());
+        this.#setBindGroup(0, camera.getBindGroup());
+        this.#setBindGroup(1, scene.getBindGroup());
+        await this.#drawBackground(scene, camera, target);
+        await this.#renderScene(scene, camera, target);
         this.#renderPass.end();
 
         this.#device.queue.submit([
             this.#commandEncoder.finish()
         ]);
+
+        this.#stats = frameStats;
+    }
+
+    /**
+     * Captures the current color output of the canvas or of a render target
+     * and returns its pixels. To capture the canvas, call this directly
+     * after rendering, before the frame is presented.
+     */
+    async captureFrame(target = null)
+    {
+        if (!this.#initialized) {
+            throw new Error('Engine must be initialized before capturing!');
+        }
+
+        if (this.#deviceLost) {
+            throw new Error('Cannot capture a frame while the device is lost.');
+        }
+
+        let texture = null;
+        let format = null;
+
+        if (target !== null) {
+            RenderTarget.validateInstance(target);
+            target.compile(this.#device);
+
+            texture = target.getColorTexture().getGpuTexture();
+            format = target.getColorFormat();
+
+            // Pixels are read back with one byte per channel
+            if (format !== 'rgba8unorm') {
+                throw new Error(
+                    `Cannot capture render targets with format ${format}.`
+                );
+            }
+        } else {
+            texture = this.#context.getCurrentTexture();
+            format = this.#format;
+        }
+
+        const width = texture.width;
+        const height = texture.height;
+
+        // Rows in the readback buffer must be aligned to 256 bytes
+        const bytesPerRow = Math.ceil(width * 4 / 256) * 256;
+
+        const buffer = this.#device.createBuffer({
+            size: bytesPerRow * height,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+
+        const encoder = this.#device.createCommandEncoder();
+        encoder.copyTextureToBuffer(
+            { texture: texture },
+            { buffer: buffer, bytesPerRow: bytesPerRow },
+            [width, height, 1]
+        );
+        this.#device.queue.submit([encoder.finish()]);
+
+        await buffer.mapAsync(GPUMapMode.READ);
+
+        const pixels = Engine.#readPixels(
+            new Uint8Array(buffer.getMappedRange()),
+            width,
+            height,
+            bytesPerRow,
+            format.startsWith('bgra')
+        );
+
+        buffer.unmap();
+        buffer.destroy();
+
+        return new FrameCapture(width, height, pixels);
     }
 
     /**
@@ -283,10 +586,144 @@ class Engine
             throw new Error('No compatible GPU adapter found.');
         }
 
-        this.#device = await this.#adapter.requestDevice();
-        if (!this.#device) {
+        const device = await this.#adapter.requestDevice();
+        if (!device) {
             throw new Error('Failed to initialize GPU device.');
         }
+
+        this.#device = device;
+        device.lost.then(function (info) {
+            return this.#onDeviceLost(device, info);
+        }.bind(this));
+    }
+
+    /**
+     * Handles the loss of a device by resetting all rendered resources,
+     * requesting a new device and compiling the resources again.
+     */
+    async #onDeviceLost(device, info)
+    {
+        // Ignore old devices and devices destroyed on purpose
+        if (device !== this.#device || info.reason === 'destroyed') {
+            return;
+        }
+
+        this.#deviceLost = true;
+        this.#notifyDeviceLostListeners(info);
+
+        this.#resetResources();
+
+        try {
+            await this.#requestAdapterAndDevice();
+            await this.#configureContext();
+            await this.#recompileResources();
+        } catch (error) {
+            console.error('Failed to restore WebGPU device:', error);
+            this.#notifyDeviceRestoreFailedListeners(error);
+            return;
+        }
+
+        this.#deviceLost = false;
+        this.#notifyDeviceRestoredListeners();
+    }
+
+    /**
+     * Notifies all registered listeners about the loss of the device.
+     */
+    #notifyDeviceLostListeners(info)
+    {
+        for (const listener of this.#deviceLostListeners) {
+            try {
+                listener(info);
+            } catch (error) {
+                console.error('Error in device lost listener:', error);
+            }
+        }
+    }
+
+    /**
+     * Notifies all registered listeners about the restored device.
+     */
+    #notifyDeviceRestoredListeners()
+    {
+        for (const listener of this.#deviceRestoredListeners) {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Error in device restored listener:', error);
+            }
+        }
+    }
+
+    /**
+     * Notifies all registered listeners about a failed device restoration.
+     */
+    #notifyDeviceRestoreFailedListeners(restoreError)
+    {
+        for (const listener of this.#deviceRestoreFailedListeners) {
+            try {
+                listener(restoreError);
+            } catch (error) {
+                console.error(
+                    'Error in device restore failed listener:', error
+                );
+            }
+        }
+    }
+
+    /**
+     * Forgets all GPU resources created with the lost device.
+     */
+    #resetResources()
+    {
+        for (const scene of this.#renderedScenes) {
+            scene.reset();
+        }
+
+        for (const camera of this.#renderedCameras) {
+            camera.reset();
+        }
+
+        this.#pruneRenderTargets();
+
+        for (const target of this.#renderTargets) {
+            target.destroy();
+        }
+
+        this.#pipelines.clear();
+        this.#destroyDepthTexture();
+        this.#destroyMultisampleTexture();
+    }
+
+    /**
+     * Forgets render targets that were destroyed since they were rendered,
+     * they are not used anymore.
+     */
+    #pruneRenderTargets()
+    {
+        for (const target of this.#renderTargets) {
+            if (!target.isCompiled()) {
+                this.#renderTargets.delete(target);
+            }
+        }
+    }
+
+    /**
+     * Compiles all previously rendered resources with the new device.
+     */
+    async #recompileResources()
+    {
+        for (const target of this.#renderTargets) {
+            target.compile(this.#device);
+        }
+
+        for (const camera of this.#renderedCameras) {
+            camera.compile(this.#device);
+        }
+
+        for (const scene of this.#renderedScenes) {
+            await scene.compile(this.#device);
+        }
     }
 
     /**
@@ -305,9 +742,12 @@ class Engine
         }
 
         try {
+            // Copying from the canvas texture is needed for frame captures
             this.#context.configure({
                 device: this.#device,
-                format: this.#format
+                format: this.#format,
+                usage: GPUTextureUsage.RENDER_ATTACHMENT
+                    | GPUTextureUsage.COPY_SRC
             });
         } catch (e) {
             throw new Error(
@@ -353,189 +793,974 @@ class Engine
     }
 
     /**
-     * Creates the WebGPU commend encoder and render pass.
+     * Creates the render pass into the canvas or a render target. A solid
+     * background replaces the clear color.
      */
-    #createRenderPass()
+    #createRenderPass(target, background = null)
     {
-        this.#commandEncoder = this.#device.createCommandEncoder();
-
-        if (!this.#depthTexture) {
-            this.#createDepthTextureView();
-        }
-        
-        const depthAttachment = this.#createDepthAttachment();
+        const clearColor = background !== null && !background.isDrawn()
+            ? background.color
+            : this.#clearColor;
 
         // Create render pass descriptor
         const renderPassDescriptor = {
             colorAttachments: [{
-                clearValue: this.#clearColor.toClearValue(),
+                clearValue: clearColor.toClearValue(),
                 loadOp: "clear",
                 storeOp: "store"
-            }],
-            depthStencilAttachment: depthAttachment
+            }]
         };
 
-        renderPassDescriptor.colorAttachments[0].view = this.#context
-            .getCurrentTexture()
-            .createView();
+        let depthView = null;
+
+        if (target !== null) {
+            const colorAttachment = renderPassDescriptor.colorAttachments[0];
+            const colorView = target.getColorTexture().getGpuTextureView();
+
+            // Multisampled colors are resolved into the color texture
+            if (target.getSampleCount() > 1) {
+                colorAttachment.view = target.getMultisampleTextureView();
+                colorAttachment.resolveTarget = colorView;
+            } else {
+                colorAttachment.view = colorView;
+            }
+
+            if (target.hasDepth()) {
+                depthView = target.getDepthTextureView();
+            }
+        } else {
+            if (!this.#depthTextureView) {
+                this.#createDepthTextureView();
+            }
+
+            const canvasView = this.#context.getCurrentTexture().createView();
+            const colorAttachment = renderPassDescriptor.colorAttachments[0];
+
+            // Multisampled colors are resolved into the canvas texture
+            if (this.#sampleCount > 1) {
+                if (!this.#multisampleTextureView) {
+                    this.#createMultisampleTextureView();
+                }
+
+                colorAttachment.view = this.#multisampleTextureView;
+                colorAttachment.resolveTarget = canvasView;
+            } else {
+                colorAttachment.view = canvasView;
+            }
+
+            depthView = this.#depthTextureView;
+        }
+
+        if (depthView !== null) {
+            const depthAttachment = this.#createDepthAttachment(depthView);
+            renderPassDescriptor.depthStencilAttachment = depthAttachment;
+        }
         
         this.#renderPass = this.#commandEncoder.beginRenderPass(
             renderPassDescriptor
         );
+
+        // A new render pass starts without any state set
+        this.#currentPipeline = null;
+        this.#currentBindGroups = [];
     }
 
     /**
-     * Create the depth texture view.
+     * Create the depth texture view. A previous depth texture is destroyed.
      */
     #createDepthTextureView()
     {
+        this.#destroyDepthTexture();
+
         const depthTextureDesc = {
             size: [this.#width, this.#height, 1],
             dimension: '2d',
-            format: 'depth24plus-stencil8',
+            format: Engine.DEPTH_FORMAT,
+            sampleCount: this.#sampleCount,
             usage: GPUTextureUsage.RENDER_ATTACHMENT 
         };
 
-        const depthTexture = this.#device.createTexture(depthTextureDesc);
-        this.#depthTexture = depthTexture.createView();
+        this.#depthTexture = this.#device.createTexture(depthTextureDesc);
+        this.#depthTextureView = this.#depthTexture.createView();
+
+        MemoryTracker.allocate(
+            MemoryTracker.TEXTURE,
+            Engine.#getAttachmentByteSize(this.#depthTexture)
+        );
     }
 
     /**
-     * Create the depth attachment description.
+     * Destroys the depth texture if there is one.
      */
-    #createDepthAttachment()
+    #destroyDepthTexture()
     {
-        return {
-            view: this.#depthTexture,
-            depthClearValue: 1,
-            depthLoadOp: 'clear',
-            depthStoreOp: 'store',
-            stencilClearValue: 0,
-            stencilLoadOp: 'clear',
-            stencilStoreOp: 'store'
-        };
+        if (this.#depthTexture === null) {
+            return;
+        }
+
+        MemoryTracker.release(
+            MemoryTracker.TEXTURE,
+            Engine.#getAttachmentByteSize(this.#depthTexture)
+        );
+
+        this.#depthTexture.destroy();
+        this.#depthTexture = null;
+        this.#depthTextureView = null;
     }
 
     /**
-     * Render a scene using the provided camera.
+     * Create the multisampled color texture view that is resolved into the
+     * canvas. Without multisampling no texture is needed.
      */
-    async #renderScene(scene, camera)
+    #createMultisampleTextureView()
     {
-        const nodes = scene.getNodes();
+        this.#destroyMultisampleTexture();
 
-        for (const node of nodes) {
-            await this.#renderNodeRecursive(node, camera, scene);
+        if (this.#sampleCount === 1) {
+            return;
         }
+
+        this.#multisampleTexture = this.#device.createTexture({
+            size: [this.#width, this.#height, 1],
+            dimension: '2d',
+            format: this.#format,
+            sampleCount: this.#sampleCount,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        this.#multisampleTextureView = this.#multisampleTexture.createView();
+
+        MemoryTracker.allocate(
+            MemoryTracker.TEXTURE,
+            Engine.#getAttachmentByteSize(this.#multisampleTexture)
+        );
     }
 
     /**
-     * Recursively render a node and all its children.
+     * Destroys the multisampled color texture if there is one.
      */
-    async #renderNodeRecursive(node, camera, scene)
+    #destroyMultisampleTexture()
     {
-        // Render this node if it has a mesh
-        if (node.getMesh()) {
-            await this.#renderNode(node, camera, scene);
+        if (this.#multisampleTexture === null) {
+            return;
         }
 
-        // Recursively render all children
-        const children = node.getChildren();
-        
-        for (const child of children) {
-            await this.#renderNodeRecursive(child, camera, scene);
-        }
+        MemoryTracker.release(
+            MemoryTracker.TEXTURE,
+            Engine.#getAttachmentByteSize(this.#multisampleTexture)
+        );
+
+        this.#multisampleTexture.destroy();
+        this.#multisampleTexture = null;
+        this.#multisampleTextureView = null;
     }
 
     /**
-     * Render a single node of a scene.
+     * Create the depth attachment description for the given depth view.
      */
-    async #renderNode(node, camera, scene)
+    #createDepthAttachment(view)
     {
-        if (node.needsUpdate()) {
-            node.update(this.#device, camera);
-        }
-
-        const material = node.getMesh().getMaterial();
-        const vertices = node.getMesh().getVertexBuffer();
-        const indices = node.getMesh().getIndexBuffer();
-        const geometryId = node.getMesh().getGeometry().getId();
-
-        const pipelineKey = material.getId() + '_' + geometryId;
-        let pipeline = null;
-
-        if (this.#pipelines.has(pipelineKey)) {
-            pipeline = this.#pipelines.get(pipelineKey);
+        return {
+            view: view,
+            depthClearValue: 1,
+            depthLoadOp: 'clear',
+            depthStoreOp: 'store',
+            stencilClearValue: 0,
+            stencilLoadOp: 'clear',
+            stencilStoreOp: 'store'
+        };
+    }
+
+    /**
+     * Renders the depth of all shadow casters from the view of the shadow
+     * casting directional light of a scene into its shadow map. Without such
+     * a light, shadows are only disabled.
+     */
+    async #renderShadowMap(scene, camera)
+    {
+        const light = scene.getShadowLight();
+        const casters = [];
+
+        if (light !== null) {
+            for (const node of scene.getNodes()) {
+                this.#collectShadowCasters(node, casters);
+            }
+        }
+
+        // Casters may be outside of the view and still cast into it
+        const casterBounds = casters.map(node => node.getMesh()
+            .getBoundingBox()
+            .transformOther(node.getModelMatrix())
+        );
+
+        scene.updateShadowMap(this.#device, camera, casterBounds);
+
+        if (light === null) {
+            return;
+        }
+
+        const shadowMap = scene.getShadowMap();
+
+        this.#renderPass = this.#commandEncoder.beginRenderPass({
+            colorAttachments: [],
+            depthStencilAttachment: {
+                view: shadowMap.getTextureView(),
+                depthClearValue: 1,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store'
+            }
+        });
+
+        this.#currentPipeline = null;
+        this.#currentBindGroups = [];
+        this.#setBindGroup(0, shadowMap.getBindGroup());
+
+        for (const node of casters) {
+            await this.#drawShadowCaster(node, shadowMap);
+        }
+
+        this.#renderPass.end();
+    }
+
+    /**
+     * Recursively collects a node and all its children that cast shadows.
+     * Only triangles are rendered into shadow maps.
+     */
+    #collectShadowCasters(node, casters)
+    {
+        const mesh = node.getMesh();
+
+        if (mesh
+            && node.getCastShadow()
+            && mesh.getGeometry().getTopology() === Object.TRIANGLES
+            && (!mesh.isInstanced() || mesh.getInstanceCount() > 0)
+        ) {
+            casters.push(node);
+        }
+
+        for (const child of node.getChildren()) {
+            this.#collectShadowCasters(child, casters);
+        }
+    }
+
+    /**
+     * Draws the depth of the mesh of a node into a shadow map.
+     */
+    async #drawShadowCaster(node, shadowMap)
+    {
+        if (node.needsUpdate()) {
+            node.update(this.#device);
+        }
+
+        node.updateInstances(this.#device);
+
+        const mesh = node.getMesh();
+        const vertices = mesh.getVertexBuffer();
+        const indices = mesh.getIndexBuffer();
+        const instanceCount = mesh.isInstanced()
+            ? mesh.getInstanceCount()
+            : 1;
+
+        const groups = [
+            shadowMap.getBindGroupLayout(),
+            node.getBindGroupLayout()
+        ];
+
+        const pipeline = await this.#getShadowPipeline(
+            mesh, groups, shadowMap
+        );
+
+        this.#setPipeline(pipeline);
+        this.#setBindGroup(1, node.getBindGroup());
+
+        this.#renderPass.setVertexBuffer(0, vertices.getGpuVertexBuffer());
+
+        if (indices !== null) {
+            this.#renderPass.setIndexBuffer(
+                indices.getGpuIndexBuffer(), indices.getIndexFormat()
+            );
+            this.#renderPass.drawIndexed(
+                indices.getIndexCount(), instanceCount
+            );
         } else {
-            const pipelineGroups = [
-                camera.getBindGroupLayout(),
-                scene.getBindGroupLayout(),
-                material.getBindGroupLayout(),
-                node.getBindGroupLayout(),
-            ];
-
-            pipeline = await this.#createRenderPipeline(
-                vertices, material, pipelineGroups
+            this.#renderPass.draw(vertices.getVertexCount(), instanceCount);
+        }
+
+        this.#frameStats.drawCalls++;
+    }
+
+    /**
+     * Compiles the background of a scene and the wireframes and outlines of
+     * its nodes. Their shaders are validated before the render pass starts,
+     * so the canvas texture is not held while waiting.
+     */
+    async #prepareScene(scene)
+    {
+        const background = scene.getBackground();
+
+        if (background !== null) {
+            await background.compile(this.#device);
+        }
+
+        for (const node of scene.getNodes()) {
+            await this.#prepareNode(node);
+        }
+    }
+
+    /**
+     * Recursively compiles the wireframe and outline resources a node and
+     * its children are drawn with.
+     */
+    async #prepareNode(node)
+    {
+        const mesh = node.getMesh();
+
+        if (mesh) {
+            const material = mesh.getMaterial();
+            const topology = mesh.getGeometry().getTopology();
+
+            if (material.isWireframe()) {
+                mesh.compileWireframe(this.#device);
+                await material.compileWireframe(this.#device);
+            }
+
+            if (material.hasOutline() && topology === Object.TRIANGLES) {
+                await material.compileOutline(this.#device);
+            }
+        }
+
+        for (const child of node.getChildren()) {
+            await this.#prepareNode(child);
+        }
+    }
+
+    /**
+     * Draws the gradient or skybox background of a scene before its nodes.
+     * It neither tests nor writes depth, so every node is drawn over it.
+     */
+    async #drawBackground(scene, camera, target)
+    {
+        const background = scene.getBackground();
+
+        if (background === null || !background.isDrawn()) {
+            return;
+        }
+
+        if (background.needsUpdate()) {
+            background.update(this.#device);
+        }
+
+        const groups = [
+            camera.getBindGroupLayout(),
+            scene.getBindGroupLayout(),
+            background.getBindGroupLayout()
+        ];
+
+        const pipeline = await this.#getBackgroundPipeline(
+            background, groups, target
+        );
+
+        this.#setPipeline(pipeline);
+        this.#setBindGroup(2, background.getBindGroup());
+        this.#renderPass.draw(background.getVertexCount());
+
+        this.#frameStats.drawCalls++;
+        this.#frameStats.triangles += background.getVertexCount() / 3;
+    }
+
+    /**
+     * Render a scene using the provided camera. Opaque nodes are drawn first,
+     * then transparent nodes sorted from back to front.
+     */
+    async #renderScene(scene, camera, target)
+    {
+        const viewMatrix = camera.getViewMatrix();
+        const opaqueNodes = [];
+        const transparentNodes = [];
+
+        this.#frustum = Frustum.fromMatrix(Matrix4.multiply(
+            viewMatrix, camera.getProjectionMatrix()
+        ));
+        this.#culledNodeCount = 0;
+
+        for (const node of scene.getNodes()) {
+            this.#collectVisibleNodes(node, opaqueNodes, transparentNodes);
+        }
+
+        const sortedNodes = this.#sortBackToFront(
+            transparentNodes, viewMatrix
+        );
+
+        for (const node of opaqueNodes) {
+            await this.#renderNode(node, camera, scene, target);
+        }
+
+        for (const node of sortedNodes) {
+            await this.#renderNode(node, camera, scene, target);
+        }
+    }
+
+    /**
+     * Recursively collects a node and all its children that have a mesh and
+     * are visible, split by the transparency of their material.
+     */
+    #collectVisibleNodes(node, opaqueNodes, transparentNodes)
+    {
+        const mesh = node.getMesh();
+
+        if (mesh) {
+            if (!this.#isNodeVisible(node)) {
+                this.#culledNodeCount++;
+                this.#frameStats.culledNodes++;
+            } else if (mesh.getMaterial().isTransparent()) {
+                transparentNodes.push(node);
+            } else {
+                opaqueNodes.push(node);
+            }
+        }
+
+        for (const child of node.getChildren()) {
+            this.#collectVisibleNodes(child, opaqueNodes, transparentNodes);
+        }
+    }
+
+    /**
+     * Returns the nodes sorted by the view space depth of their bounding
+     * sphere centers, starting with the node furthest away.
+     */
+    #sortBackToFront(nodes, viewMatrix)
+    {
+        const depths = new Map();
+
+        for (const node of nodes) {
+            const center = node.getMesh()
+                .getBoundingSphere()
+                .transformOther(node.getModelMatrix())
+                .getCenter();
+
+            // The camera looks along the negative z-axis in view space
+            depths.set(node, center.transformMatrix4Other(viewMatrix).z);
+        }
+
+        return Array.from(nodes).sort(
+            (nodeA, nodeB) => depths.get(nodeA) - depths.get(nodeB)
+        );
+    }
+
+    /**
+     * Returns whether the world space bounds of a node intersect the current
+     * camera frustum. The cheap sphere test runs before the box test.
+     */
+    #isNodeVisible(node)
+    {
+        if (!this.#frustumCulling) {
+            return true;
+        }
+
+        const mesh = node.getMesh();
+        const modelMatrix = node.getModelMatrix();
+
+        const sphere = mesh.getBoundingSphere().transformOther(modelMatrix);
+        if (!this.#frustum.intersectsSphere(sphere)) {
+            return false;
+        }
+
+        const box = mesh.getBoundingBox().transformOther(modelMatrix);
+        return this.#frustum.intersectsBox(box);
+    }
+
+    /**
+     * Render a single node of a scene.
+     */
+    async #renderNode(node, camera, scene, target)
+    {
+        if (node.needsUpdate()) {
+            node.update(this.#device);
+        }
+
+        const mesh = node.getMesh();
+        const instanceCount = mesh.isInstanced()
+            ? mesh.getInstanceCount()
+            : 1;
+
+        // Instanced meshes without instances have nothing to draw
+        if (instanceCount === 0) {
+            return;
+        }
+
+        node.updateInstances(this.#device);
+
+        const material = mesh.getMaterial();
+        let wireframeIndices = null;
+
+        if (material.needsUpdate()) {
+            material.update(this.#device);
+        }
+
+        if (material.isWireframe()) {
+            if (material.wireframeNeedsUpdate()) {
+                material.updateWireframe(this.#device);
+            }
+
+            wireframeIndices = mesh.getWireframeIndexBuffer();
+        }
+
+        // Meshes without triangle faces are drawn normally
+        if (wireframeIndices === null || material.isWireframeOverlay()) {
+            await this.#drawSurface(node, camera, scene, target, instanceCount);
+        }
+
+        if (wireframeIndices !== null) {
+            await this.#drawWireframe(
+                node, camera, scene, target, instanceCount
             );
-            this.#pipelines.set(pipelineKey, pipeline);
         }
 
-        this.#renderPass.setPipeline(pipeline);
-        this.#renderPass.setBindGroup(2, material.getBindGroup());
-        this.#renderPass.setBindGroup(3, node.getBindGroup());
+        // Outlines are drawn around triangles only
+        const topology = mesh.getGeometry().getTopology();
+
+        if (material.hasOutline() && topology === Object.TRIANGLES) {
+            if (material.outlineNeedsUpdate()) {
+                material.updateOutline(this.#device);
+            }
+
+            await this.#drawOutline(node, camera, scene, target, instanceCount);
+        }
+    }
+
+    /**
+     * Draws the shaded surface of the mesh of a node.
+     */
+    async #drawSurface(node, camera, scene, target, instanceCount)
+    {
+        const mesh = node.getMesh();
+        const material = mesh.getMaterial();
+        const geometry = mesh.getGeometry();
+        const vertices = mesh.getVertexBuffer();
+        const indices = mesh.getIndexBuffer();
+
+        const groups = [
+            camera.getBindGroupLayout(),
+            scene.getBindGroupLayout(),
+            material.getBindGroupLayout(),
+            node.getBindGroupLayout(),
+        ];
+
+        const pipeline = await this.#getPipeline(
+            mesh, groups, target, Engine.PASS_SURFACE
+        );
+
+        this.#setPipeline(pipeline);
+        this.#setBindGroup(2, material.getBindGroup());
+        this.#setBindGroup(3, node.getBindGroup());
 
         this.#renderPass.setVertexBuffer(0, vertices.getGpuVertexBuffer());
-        this.#renderPass.setIndexBuffer(indices.getGpuIndexBuffer(), indices.getIndexFormat());
-        this.#renderPass.drawIndexed(indices.getIndexCount());
+
+        let elementCount = 0;
+
+        // Geometries without faces are drawn in vertex order
+        if (indices !== null) {
+            elementCount = indices.getIndexCount();
+
+            this.#renderPass.setIndexBuffer(
+                indices.getGpuIndexBuffer(), indices.getIndexFormat()
+            );
+            this.#renderPass.drawIndexed(elementCount, instanceCount);
+        } else {
+            elementCount = vertices.getVertexCount();
+            this.#renderPass.draw(elementCount, instanceCount);
+        }
+
+        this.#frameStats.drawCalls++;
+
+        if (geometry.getTopology() === Object.TRIANGLES) {
+            this.#frameStats.triangles += elementCount / 3 * instanceCount;
+        }
     }
 
     /**
-     * Creates a render pipeline for the given material and geometry.
+     * Draws the edges of the faces of the mesh of a node as lines.
      */
-    async #createRenderPipeline(vertices, material, groups)
+    async #drawWireframe(node, camera, scene, target, instanceCount)
     {
-        const shader = material.getShader();
-        
-        const pipelineLayout = this.#device.createPipelineLayout({
-            bindGroupLayouts: groups
-        });
+        const mesh = node.getMesh();
+        const material = mesh.getMaterial();
+        const vertices = mesh.getVertexBuffer();
+        const indices = mesh.getWireframeIndexBuffer();
+
+        const groups = [
+            camera.getBindGroupLayout(),
+            scene.getBindGroupLayout(),
+            material.getWireframeBindGroupLayout(),
+            node.getBindGroupLayout(),
+        ];
 
-        return this.#device.createRenderPipeline({
-            layout: pipelineLayout,
+        const pipeline = await this.#getPipeline(
+            mesh, groups, target, Engine.PASS_WIREFRAME
+        );
+
+        this.#setPipeline(pipeline);
+        this.#setBindGroup(2, material.getWireframeBindGroup());
+        this.#setBindGroup(3, node.getBindGroup());
+
+        this.#renderPass.setVertexBuffer(0, vertices.getGpuVertexBuffer());
+        this.#renderPass.setIndexBuffer(
+            indices.getGpuIndexBuffer(), indices.getIndexFormat()
+        );
+        this.#renderPass.drawIndexed(indices.getIndexCount(), instanceCount);
+
+        this.#frameStats.drawCalls++;
+    }
+
+    /**
+     * Draws the inverted hull outline of the mesh of a node behind its
+     * surface.
+     */
+    async #drawOutline(node, camera, scene, target, instanceCount)
+    {
+        const mesh = node.getMesh();
+        const material = mesh.getMaterial();
+        const vertices = mesh.getVertexBuffer();
+        const indices = mesh.getIndexBuffer();
+
+        const groups = [
+            camera.getBindGroupLayout(),
+            scene.getBindGroupLayout(),
+            material.getOutlineBindGroupLayout(),
+            node.getBindGroupLayout(),
+        ];
+
+        const pipeline = await this.#getPipeline(
+            mesh, groups, target, Engine.PASS_OUTLINE
+        );
+
+        this.#setPipeline(pipeline);
+        this.#setBindGroup(2, material.getOutlineBindGroup());
+        this.#setBindGroup(3, node.getBindGroup());
+
+        this.#renderPass.setVertexBuffer(0, vertices.getGpuVertexBuffer());
+
+        let elementCount = 0;
+
+        if (indices !== null) {
+            elementCount = indices.getIndexCount();
+
+            this.#renderPass.setIndexBuffer(
+                indices.getGpuIndexBuffer(), indices.getIndexFormat()
+            );
+            this.#renderPass.drawIndexed(elementCount, instanceCount);
+        } else {
+            elementCount = vertices.getVertexCount();
+            this.#renderPass.draw(elementCount, instanceCount);
+        }
+
+        this.#frameStats.drawCalls++;
+        this.#frameStats.triangles += elementCount / 3 * instanceCount;
+    }
+
+    /**
+     * Gets the pipeline to draw a mesh with in one of the passes, creating
+     * it if it does not exist yet. Pipelines depend on the attachments
+     * rendered into.
+     */
+    async #getPipeline(mesh, groups, target, pass)
+    {
+        const material = mesh.getMaterial();
+        const geometry = mesh.getGeometry();
+        const attachments = this.#getAttachmentState(target);
+
+        const pipelineKey = [
+            material.getId(),
+            geometry.getId(),
+            geometry.getTopology(),
+            attachments.colorFormat,
+            attachments.depthFormat,
+            attachments.sampleCount,
+            material.isTransparent(),
+            pass
+        ].join('_');
+
+        if (this.#pipelines.has(pipelineKey)) {
+            return this.#pipelines.get(pipelineKey);
+        }
+
+        const pipeline = await this.#createRenderPipeline(
+            mesh, groups, attachments, pass
+        );
+
+        this.#pipelines.set(pipelineKey, pipeline);
+        this.#frameStats.pipelinesCreated++;
+
+        return pipeline;
+    }
+
+    /**
+     * Gets the depth only pipeline to draw a mesh into a shadow map, creating
+     * it if it does not exist yet.
+     */
+    async #getShadowPipeline(mesh, groups, shadowMap)
+    {
+        const pipelineKey = [
+            'shadow',
+            mesh.getMaterial().getId(),
+            mesh.getGeometry().getId(),
+            mesh.isInstanced()
+        ].join('_');
+
+        if (this.#pipelines.has(pipelineKey)) {
+            return this.#pipelines.get(pipelineKey);
+        }
+
+        const shader = shadowMap.getShader(mesh.isInstanced());
+        const vertices = mesh.getVertexBuffer();
+
+        // Both sides are drawn, so open meshes like planes cast shadows too
+        const pipeline = this.#device.createRenderPipeline({
+            layout: this.#device.createPipelineLayout({
+                bindGroupLayouts: groups
+            }),
             vertex: {
                 module: shader.getVertexModule(),
                 buffers: [
                     await vertices.getVertexBufferLayout()
                 ]
             },
+            primitive: {
+                topology: Object.TRIANGLES,
+                cullMode: 'none'
+            },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: ShadowMap.DEPTH_FORMAT
+            }
+        });
+
+        this.#pipelines.set(pipelineKey, pipeline);
+        this.#frameStats.pipelinesCreated++;
+
+        return pipeline;
+    }
+
+    /**
+     * Gets the pipeline to draw a background with, creating it if it does
+     * not exist yet. Backgrounds of the same mode share their pipelines.
+     */
+    async #getBackgroundPipeline(background, groups, target)
+    {
+        const attachments = this.#getAttachmentState(target);
+
+        const pipelineKey = [
+            'background',
+            background.mode,
+            attachments.colorFormat,
+            attachments.depthFormat,
+            attachments.sampleCount
+        ].join('_');
+
+        if (this.#pipelines.has(pipelineKey)) {
+            return this.#pipelines.get(pipelineKey);
+        }
+
+        const shader = background.getShader();
+
+        // The vertices are generated in the shader from their index
+        const descriptor = {
+            layout: this.#device.createPipelineLayout({
+                bindGroupLayouts: groups
+            }),
+            vertex: {
+                module: shader.getVertexModule()
+            },
             fragment: {
                 module: shader.getFragmentModule(),
                 targets: [{
-                    format: this.#format,
-                    blend: {
-                        color: {
-                            srcFactor: 'src-alpha',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add'
-                        },
-                        alpha: {
-                            srcFactor: 'one',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add'
-                        }
-                    }
+                    format: attachments.colorFormat
                 }]
             },
             primitive: {
-                topology: 'triangle-list',
-                frontFace: 'ccw',
-                cullMode: material.getCullMode()
+                topology: Object.TRIANGLES,
+                cullMode: 'none'
             },
-            depthStencil: {
-                depthWriteEnabled: true,
-                depthCompare: 'less',
-                format: 'depth24plus-stencil8'
+            multisample: {
+                count: attachments.sampleCount
             }
+        };
+
+        if (attachments.depthFormat !== null) {
+            descriptor.depthStencil = {
+                depthWriteEnabled: false,
+                depthCompare: 'always',
+                format: attachments.depthFormat
+            };
+        }
+
+        const pipeline = this.#device.createRenderPipeline(descriptor);
+
+        this.#pipelines.set(pipelineKey, pipeline);
+        this.#frameStats.pipelinesCreated++;
+
+        return pipeline;
+    }
+
+    /**
+     * Sets the pipeline of the current render pass unless it is already set.
+     */
+    #setPipeline(pipeline)
+    {
+        if (this.#currentPipeline === pipeline) {
+            return;
+        }
+
+        this.#renderPass.setPipeline(pipeline);
+        this.#currentPipeline = pipeline;
+        this.#frameStats.pipelineSwitches++;
+    }
+
+    /**
+     * Sets a bind group of the current render pass unless it is already set.
+     */
+    #setBindGroup(index, bindGroup)
+    {
+        if (this.#currentBindGroups[index] === bindGroup) {
+            return;
+        }
+
+        this.#renderPass.setBindGroup(index, bindGroup);
+        this.#currentBindGroups[index] = bindGroup;
+        this.#frameStats.bindGroupChanges++;
+    }
+
+    /**
+     * Returns the color format, depth format and sample count of the
+     * attachments rendered into.
+     */
+    #getAttachmentState(target)
+    {
+        if (target !== null) {
+            return {
+                colorFormat: target.getColorFormat(),
+                depthFormat: target.getDepthFormat(),
+                sampleCount: target.getSampleCount()
+            };
+        }
+
+        return {
+            colorFormat: this.#format,
+            depthFormat: Engine.DEPTH_FORMAT,
+            sampleCount: this.#sampleCount
+        };
+    }
+
+    /**
+     * Creates a render pipeline for the material and geometry of a mesh.
+     * Without a depth format the pipeline does not use depth testing.
+     * Wireframe pipelines draw lines with the wireframe shader, outline
+     * pipelines draw the back faces with the outline shader.
+     */
+    async #createRenderPipeline(mesh, groups, attachments, pass)
+    {
+        const material = mesh.getMaterial();
+        const vertices = mesh.getVertexBuffer();
+        const wireframe = pass === Engine.PASS_WIREFRAME;
+        let shader = material.getShader();
+        let primitive = this.#createPrimitiveState(mesh);
+
+        if (wireframe) {
+            shader = material.getWireframeShader();
+            primitive = { topology: Object.LINES };
+        }
+
+        if (pass === Engine.PASS_OUTLINE) {
+            shader = material.getOutlineShader();
+            primitive.cullMode = 'front';
+        }
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: groups
         });
+
+        const descriptor = {
+            layout: pipelineLayout,
+            vertex: {
+                module: shader.getVertexModule(),
+                buffers: [
+                    await vertices.getVertexBufferLayout()
+                ]
+            },
+            fragment: {
+                module: shader.getFragmentModule(),
+                targets: [
+                    this.#createColorTarget(attachments.colorFormat, material)
+                ]
+            },
+            primitive: primitive,
+            multisample: {
+                count: attachments.sampleCount
+            }
+        };
+
+        if (attachments.depthFormat !== null) {
+            // Transparent surfaces must not hide what is drawn behind them,
+            // wireframe lines may lie exactly on the surface they belong to
+            descriptor.depthStencil = {
+                depthWriteEnabled: !material.isTransparent() && !wireframe,
+                depthCompare: wireframe ? 'less-equal' : 'less',
+                format: attachments.depthFormat
+            };
+        }
+
+        return this.#device.createRenderPipeline(descriptor);
+    }
+
+    /**
+     * Creates the primitive state from the topology of the geometry. Indexed
+     * strips need to know the index format.
+     */
+    #createPrimitiveState(mesh)
+    {
+        const topology = mesh.getGeometry().getTopology();
+        const indices = mesh.getIndexBuffer();
+
+        const primitive = {
+            topology: topology,
+            frontFace: 'ccw',
+            cullMode: mesh.getMaterial().getCullMode()
+        };
+
+        if (topology === Object.LINE_STRIP && indices !== null) {
+            primitive.stripIndexFormat = indices.getIndexFormat();
+        }
+
+        return primitive;
+    }
+
+    /**
+     * Creates the color target state. Only transparent materials blend with
+     * the colors already rendered.
+     */
+    #createColorTarget(colorFormat, material)
+    {
+        const target = {
+            format: colorFormat
+        };
+
+        if (material.isTransparent()) {
+            target.blend = {
+                color: {
+                    srcFactor: 'src-alpha',
+                    dstFactor: 'one-minus-src-alpha',
+                    operation: 'add'
+                },
+                alpha: {
+                    srcFactor: 'one',
+                    dstFactor: 'one-minus-src-alpha',
+                    operation: 'add'
+                }
+            };
+        }
+
+        return target;
     }
 
     /**
@@ -582,6 +1807,94 @@ class Engine
         }
     }
 
+    /**
+     * Removes the row padding of mapped texture data and converts BGRA
+     * pixels into RGBA pixels if needed.
+     */
+    static #readPixels(data, width, height, bytesPerRow, swapRedBlue)
+    {
+        const pixels = new Uint8ClampedArray(width * height * 4);
+
+        for (let row = 0; row < height; row++) {
+            const source = row * bytesPerRow;
+            const destination = row * width * 4;
+
+            pixels.set(
+                data.subarray(source, source + width * 4),
+                destination
+            );
+        }
+
+        if (swapRedBlue) {
+            for (let i = 0; i < pixels.length; i += 4) {
+                const blue = pixels[i];
+                pixels[i] = pixels[i + 2];
+                pixels[i + 2] = blue;
+            }
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Creates the statistics for a frame with all counts at zero.
+     */
+    static #createEmptyStats()
+    {
+        return {
+            drawCalls: 0,
+            triangles: 0,
+            pipelinesCreated: 0,
+            pipelineSwitches: 0,
+            bindGroupChanges: 0,
+            culledNodes: 0
+        };
+    }
+
+    /**
+     * Returns the size of a canvas attachment in bytes, with four bytes for
+     * every sample of a pixel.
+     */
+    static #getAttachmentByteSize(texture) {
+        return texture.width * texture.height * texture.sampleCount * 4;
+    }
+
+    /**
+     * Validates a number of samples per pixel.
+     */
+    static validateSampleCount(sampleCount)
+    {
+        const validCounts = [1, 4];
+
+        if (!validCounts.includes(sampleCount)) {
+            throw new RangeError(
+                `Invalid sample count: ${sampleCount}. `
+                + `Must be one of ${validCounts.join(', ')}.`
+            );
+        }
+    }
+
+    /**
+     * Returns the format used for all depth textures.
+     */
+    static get DEPTH_FORMAT() {
+        return 'depth24plus-stencil8';
+    }
+
+    // Some fake constants containing the passes a mesh is drawn in
+
+    static get PASS_SURFACE() {
+        return 'surface';
+    }
+
+    static get PASS_WIREFRAME() {
+        return 'wireframe';
+    }
+
+    static get PASS_OUTLINE() {
+        return 'outline';
+    }
+
     /**
      * Validates the engine instance.
      */
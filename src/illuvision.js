@@ -1,13 +1,23 @@
 
 import { AmbientLight } from './core/light/ambient-light.js';
 import { Angle } from './core/math/angle.js';
+import { Background } from './core/background.js';
 import { BasicMaterial } from './core/material/basic-material.js';
+import { BoundingBox } from './core/math/bounding-box.js';
+import { BoundingSphere } from './core/math/bounding-sphere.js';
 import { Box } from './core/geometry/box.js';
 import { Color } from './core/color.js';
+import { CubeTexture } from './core/texture/cube-texture.js';
 import { DirectionalLight } from './core/light/directional-light.js';
+import { EffectComposer } from './core/effect/effect-composer.js';
+import { EffectPass } from './core/effect/effect-pass.js';
 import { Engine } from './engine.js';
 import { Face } from './core/face.js';
+import { Fog } from './core/fog.js';
+import { FrameCapture } from './core/frame-capture.js';
+import { Frustum } from './core/math/frustum.js';
 import { Geometry } from './core/geometry/geometry.js';
+import { InstancedMesh } from './core/instanced-mesh.js';
 import { LambertMaterial } from './core/material/lambert-material.js';
 import { Material } from './core/material/material.js';
 import { Matrix3 } from './core/math/matrix3.js';
@@ -16,15 +26,24 @@ import { Mesh } from './core/mesh.js';
 import { OrthographicCamera } from './core/camera/orthographic-camera.js';
 import { PerformanceMonitor } from './utils/performance-monitor.js';
 import { PerspectiveCamera } from './core/camera/perspective-camera.js';
+import { PhongMaterial } from './core/material/phong-material.js';
 import { Plane } from './core/geometry/plane.js';
+import { PointLight } from './core/light/point-light.js';
 import { Quaternion } from './core/math/quaternion.js';
+import { RenderTarget } from './core/texture/render-target.js';
 import { Sampler } from './core/texture/sampler.js';
 import { Scene } from './core/scene.js';
 import { SceneNode } from './core/scene-node.js';
+import { ShaderCompilationError } from './core/shader-compilation-error.js';
+import { ShaderMaterial } from './core/material/shader-material.js';
+import { ShaderRenderer } from './core/material/shaders/shader-renderer.js';
+import { SpotLight } from './core/light/spot-light.js';
 import { StandardController } from './core/camera/controls/standard-controller.js';
+import { StandardMaterial } from './core/material/standard-material.js';
 import { Texture } from './core/texture/texture.js';
 import { TextureAttachment } from './core/texture/texture-attachment.js';
 import { Timer } from './core/timer.js';
+import { ToonMaterial } from './core/material/toon-material.js';
 import { Triangle } from './core/geometry/triangle.js';
 import { Vector3 } from './core/math/vector3.js';
 
@@ -35,13 +54,23 @@ const Utils = {
 export {
     AmbientLight,
     Angle,
+    Background,
     BasicMaterial,
+    BoundingBox,
+    BoundingSphere,
     Box,
     Color,
+    CubeTexture,
     DirectionalLight,
+    EffectComposer,
+    EffectPass,
     Engine,
     Face,
+    Fog,
+    FrameCapture,
+    Frustum,
     Geometry,
+    InstancedMesh,
     LambertMaterial,
     Material,
     Matrix3,
@@ -49,15 +78,24 @@ export {
     Mesh,
     OrthographicCamera,
     PerspectiveCamera,
+    PhongMaterial,
     Plane,
+    PointLight,
     Quaternion,
+    RenderTarget,
     Sampler,
     Scene,
     SceneNode,
+    ShaderCompilationError,
+    ShaderMaterial,
+    ShaderRenderer,
+    SpotLight,
     StandardController,
+    StandardMaterial,
     Texture,
     TextureAttachment,
     Timer,
+    ToonMaterial,
     Triangle,
     Utils,
     Vector3
@@ -66,13 +104,23 @@ export {
 export default {
     AmbientLight,
     Angle,
+    Background,
     BasicMaterial,
+    BoundingBox,
+    BoundingSphere,
     Box,
     Color,
+    CubeTexture,
     DirectionalLight,
+    EffectComposer,
+    EffectPass,
     Engine,
     Face,
+    Fog,
+    FrameCapture,
+    Frustum,
     Geometry,
+    InstancedMesh,
     LambertMaterial,
     Material,
     Matrix3,
@@ -80,15 +128,24 @@ export default {
     Mesh,
     OrthographicCamera,
     PerspectiveCamera,
+    PhongMaterial,
     Plane,
+    PointLight,
     Quaternion,
+    RenderTarget,
     Sampler,
     Scene,
     SceneNode,
+    ShaderCompilationError,
+    ShaderMaterial,
+    ShaderRenderer,
+    SpotLight,
     StandardController,
+    StandardMaterial,
     Texture,
     TextureAttachment,
     Timer,
+    ToonMaterial,
     Triangle,
     Utils,
     Vector3
@@ -1,23 +1,31 @@
 
+import { Engine } from '../engine.js';
 import { Timer } from '../core/timer.js';
 
 /**
- * Class for monitoring rendering performance
+ * Class for monitoring rendering performance. If an engine is given, its
+ * render statistics are shown as extra rows below the FPS.
  */
 class PerformanceMonitor
 {
     #timer = null;
+    #engine = null;
     #timeSinceLastFpsUpdate = 0;
     #fpsUpdateInterval = 1.0;
     #container = null;
 
-    constructor(timer)
+    constructor(timer, engine = null)
     {
         if (!(timer instanceof Timer)) {
             throw new Error('Timer must be an instance of Timer.');
         }
 
+        if (engine !== null) {
+            Engine.validateEngine(engine);
+        }
+
         this.#timer = timer;
+        this.#engine = engine;
         this.#init();
     }
 
@@ -36,11 +44,35 @@ class PerformanceMonitor
         this.#timeSinceLastFpsUpdate += this.#timer.getDeltaTime();
 
         if (this.#timeSinceLastFpsUpdate >= this.#fpsUpdateInterval) {
-            this.#container.textContent = 'FPS: ' + this.#timer.getFps();
+            const rows = ['FPS: ' + this.#timer.getFps()];
+
+            if (this.#engine !== null) {
+                rows.push(...this.#createStatsRows());
+            }
+
+            this.#container.textContent = rows.join('\n');
             this.#timeSinceLastFpsUpdate = 0;
         }
     }
 
+    /**
+     * Creates the rows showing the render statistics of the engine.
+     */
+    #createStatsRows()
+    {
+        const stats = this.#engine.getStats();
+        const megabytes = stats.memory.total / (1024 * 1024);
+
+        return [
+            'Draw calls: ' + stats.drawCalls,
+            'Triangles: ' + stats.triangles,
+            'Pipelines: ' + stats.pipelineCount
+                + ' (' + stats.pipelineSwitches + ' switches)',
+            'Bind groups: ' + stats.bindGroupChanges,
+            'GPU memory: ' + megabytes.toFixed(2) + ' MB'
+        ];
+    }
+
     /**
      * Initialize the performance monitor and apply default styling.
      */
@@ -59,6 +91,7 @@ class PerformanceMonitor
             pointerEvents: 'none',
             position: 'absolute',
             top: '10px',
+            whiteSpace: 'pre',
             zIndex: '1000'
         };
 